@@ -0,0 +1,232 @@
+import { getDb } from '../data/db.js';
+
+const METHOD = String(process.env.CALIBRATION_METHOD ?? 'isotonic').toLowerCase();
+const MIN_SAMPLES = Number(process.env.CALIBRATION_MIN_SAMPLES) || 50;
+const REFRESH_MS = Number(process.env.CALIBRATION_REFRESH_MS) || 15 * 60 * 1000;
+const ENABLED = String(process.env.CALIBRATION_ENABLED ?? 'true').toLowerCase() !== 'false';
+const RECOMMENDATION_THRESHOLD = 0.58;
+const OUTCOMES = ['home', 'draw', 'away'];
+const BINS = 10;
+
+let cache = { fittedAt: 0, groups: new Map() };
+
+export function calibratePrediction(result) {
+  if (!ENABLED || !result?.probabilities) return result;
+  const label = result.data_quality?.diagnostics?.localQualityLabel ?? null;
+  const group = findGroup(result.engine, label);
+  if (!group) return result;
+
+  const raw = result.probabilities;
+  const mapped = Object.fromEntries(OUTCOMES.map((outcome) => [outcome, group.outcome.predict(raw[outcome] ?? 0)]));
+  const total = mapped.home + mapped.draw + mapped.away;
+  const probabilities = Object.fromEntries(OUTCOMES.map((outcome) => [outcome, round(total ? mapped[outcome] / total : 1 / 3)]));
+
+  const rawConfidence = result.betting_advice?.confidence ?? null;
+  const confidence = rawConfidence === null || !group.confidence ? rawConfidence : round(group.confidence.predict(rawConfidence));
+  const advice = result.betting_advice ?? {};
+  const prediction = pick(probabilities);
+  let recommendation = prediction;
+  if (confidence !== null && confidence < RECOMMENDATION_THRESHOLD) recommendation = 'Keine klare Wette';
+  else if (confidence === null && /keine/i.test(String(advice.recommendation ?? ''))) recommendation = advice.recommendation;
+
+  return {
+    ...result,
+    prediction,
+    probabilities,
+    betting_advice: { ...advice, recommendation, confidence },
+    calibration: {
+      applied: true,
+      method: group.method,
+      group: group.key,
+      samples: group.samples,
+      raw_probabilities: raw,
+      raw_confidence: rawConfidence
+    }
+  };
+}
+
+export function getCalibrationReport({ engine = null } = {}) {
+  const groups = getGroups();
+  const settled = loadSettled();
+  return [...groups.values()]
+    .filter((group) => !engine || group.engine === engine)
+    .map((group) => {
+      const pairs = outcomePairs(settled.filter((row) => matchesGroup(row, group)));
+      return {
+        key: group.key,
+        method: group.method,
+        samples: group.samples,
+        curve: reliabilityCurve(pairs).map((bin) => ({ ...bin, calibrated: bin.predicted === null ? null : round(group.outcome.predict(bin.predicted)) }))
+      };
+    });
+}
+
+export function refreshCalibration() {
+  cache = { fittedAt: Date.now(), groups: fitGroups(loadSettled()) };
+  return cache.groups.size;
+}
+
+function findGroup(engine, label) {
+  const groups = getGroups();
+  return groups.get(groupKey(engine, label)) ?? groups.get(groupKey(engine, null)) ?? null;
+}
+
+function getGroups() {
+  if (Date.now() - cache.fittedAt > REFRESH_MS) {
+    try {
+      refreshCalibration();
+    } catch (error) {
+      console.warn('Kalibrierung fehlgeschlagen:', error?.message ?? error);
+      cache = { fittedAt: Date.now(), groups: new Map() };
+    }
+  }
+  return cache.groups;
+}
+
+function loadSettled() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT engine,
+           COALESCE(raw_prob_home, prob_home) AS prob_home,
+           COALESCE(raw_prob_draw, prob_draw) AS prob_draw,
+           COALESCE(raw_prob_away, prob_away) AS prob_away,
+           COALESCE(raw_confidence, confidence) AS confidence,
+           data_quality, actual_outcome, status
+    FROM predictions
+    WHERE status IN ('won', 'lost') AND actual_outcome IS NOT NULL
+  `).all().map((row) => ({ ...row, label: qualityLabel(row.data_quality) }));
+}
+
+function fitGroups(rows) {
+  const buckets = new Map();
+  for (const row of rows) {
+    for (const label of [row.label, null]) {
+      const key = groupKey(row.engine, label);
+      if (!buckets.has(key)) buckets.set(key, { key, engine: row.engine, label, rows: [] });
+      buckets.get(key).rows.push(row);
+    }
+  }
+
+  const groups = new Map();
+  for (const bucket of buckets.values()) {
+    if (bucket.rows.length < MIN_SAMPLES) continue;
+    const confidencePairs = bucket.rows
+      .filter((row) => row.confidence !== null)
+      .map((row) => ({ x: row.confidence, y: rawPick(row) === row.actual_outcome ? 1 : 0 }));
+    groups.set(bucket.key, {
+      key: bucket.key,
+      engine: bucket.engine,
+      label: bucket.label,
+      method: METHOD === 'platt' ? 'platt' : 'isotonic',
+      samples: bucket.rows.length,
+      outcome: fitMapping(outcomePairs(bucket.rows)),
+      confidence: confidencePairs.length >= MIN_SAMPLES ? fitMapping(confidencePairs) : null
+    });
+  }
+  return groups;
+}
+
+function fitMapping(pairs) {
+  return METHOD === 'platt' ? fitPlatt(pairs) : fitIsotonic(pairs);
+}
+
+function fitIsotonic(pairs) {
+  const pooled = new Map();
+  for (const pair of pairs) {
+    const entry = pooled.get(pair.x) ?? { sumX: 0, sumY: 0, weight: 0 };
+    entry.sumX += pair.x;
+    entry.sumY += pair.y;
+    entry.weight += 1;
+    pooled.set(pair.x, entry);
+  }
+
+  const sorted = [...pooled.entries()].sort((a, b) => a[0] - b[0]).map(([, entry]) => entry);
+  const blocks = [];
+  for (const entry of sorted) {
+    blocks.push({ ...entry });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.weight < last.sumY / last.weight) break;
+      blocks.splice(blocks.length - 2, 2, { sumX: prev.sumX + last.sumX, sumY: prev.sumY + last.sumY, weight: prev.weight + last.weight });
+    }
+  }
+
+  const points = blocks.map((block) => ({ x: block.sumX / block.weight, y: block.sumY / block.weight }));
+  return {
+    predict(x) {
+      if (!points.length) return bound(x);
+      if (x <= points[0].x) return bound(points[0].y);
+      const last = points[points.length - 1];
+      if (x >= last.x) return bound(last.y);
+      const index = points.findIndex((point) => point.x >= x);
+      const left = points[index - 1];
+      const right = points[index];
+      const t = right.x === left.x ? 0 : (x - left.x) / (right.x - left.x);
+      return bound(left.y + t * (right.y - left.y));
+    }
+  };
+}
+
+function fitPlatt(pairs) {
+  let a = 1;
+  let b = 0;
+  const rate = 0.05;
+  for (let iteration = 0; iteration < 500; iteration += 1) {
+    let gradA = 0;
+    let gradB = 0;
+    for (const pair of pairs) {
+      const z = logit(pair.x);
+      const error = sigmoid(a * z + b) - pair.y;
+      gradA += error * z;
+      gradB += error;
+    }
+    a -= (rate * gradA) / pairs.length;
+    b -= (rate * gradB) / pairs.length;
+  }
+  return { predict: (x) => bound(sigmoid(a * logit(x) + b)) };
+}
+
+function outcomePairs(rows) {
+  const pairs = [];
+  for (const row of rows) {
+    for (const outcome of OUTCOMES) {
+      const x = row[`prob_${outcome}`];
+      if (x === null || x === undefined) continue;
+      pairs.push({ x, y: row.actual_outcome === outcome ? 1 : 0 });
+    }
+  }
+  return pairs;
+}
+
+function reliabilityCurve(pairs) {
+  const bins = Array.from({ length: BINS }, (_, index) => ({ range: `${index / BINS}-${(index + 1) / BINS}`, count: 0, sumX: 0, sumY: 0 }));
+  for (const pair of pairs) {
+    const bin = bins[Math.min(BINS - 1, Math.floor(pair.x * BINS))];
+    bin.count += 1;
+    bin.sumX += pair.x;
+    bin.sumY += pair.y;
+  }
+  return bins.map((bin) => ({
+    range: bin.range,
+    count: bin.count,
+    predicted: bin.count ? round(bin.sumX / bin.count) : null,
+    observed: bin.count ? round(bin.sumY / bin.count) : null
+  }));
+}
+
+function matchesGroup(row, group) {
+  return row.engine === group.engine && (group.label === null || row.label === group.label);
+}
+
+function qualityLabel(json) {
+  try { return JSON.parse(json)?.diagnostics?.localQualityLabel ?? null; } catch { return null; }
+}
+
+function rawPick(row) { return OUTCOMES.reduce((top, outcome) => (Number(row[`prob_${outcome}`]) > Number(row[`prob_${top}`]) ? outcome : top), 'home'); }
+function pick(p) { return [['Heimsieg', p.home], ['Unentschieden', p.draw], ['Auswaertssieg', p.away]].sort((a, b) => b[1] - a[1])[0][0]; }
+function groupKey(engine, label) { return `${engine ?? 'unknown'}|${label ?? '*'}`; }
+function logit(p) { const x = Math.min(0.999, Math.max(0.001, p)); return Math.log(x / (1 - x)); }
+function sigmoid(z) { return 1 / (1 + Math.exp(-z)); }
+function bound(p) { return Math.min(0.99, Math.max(0.01, Number(p))); }
+function round(v) { return Math.round(Number(v) * 100) / 100; }
@@ -0,0 +1,100 @@
+import { fetchMatches } from '../api/matchBrowserV3.js';
+import { cached } from '../api/cache.js';
+import { getDb } from '../data/db.js';
+import { predictMatch } from './predictorV3.js';
+
+const DIGEST_LEAGUES = parseIdList(process.env.DIGEST_LEAGUES ?? '');
+const DIGEST_MAX_MATCHES = Number(process.env.DIGEST_MAX_MATCHES) || 15;
+const DIGEST_BATCH_SIZE = Number(process.env.DIGEST_BATCH_SIZE) || 3;
+const DIGEST_CACHE_MS = Number(process.env.DIGEST_CACHE_MS) || 30 * 60 * 1000;
+const OPEN_STATUS_CODES = ['NS', 'TBD'];
+const DAY_FORMAT = new Intl.DateTimeFormat('en-CA', { timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin' });
+const QUALITY_PENALTY = { gut: 0, mittel: 0.05, schwach: 0.12 };
+
+export async function buildDailyDigest({ leagues = DIGEST_LEAGUES, limit = DIGEST_MAX_MATCHES, refresh = false } = {}) {
+  const key = `digest:${DAY_FORMAT.format(new Date())}:${leagues.join(',')}:${limit}`;
+  if (refresh) return createDigest(leagues, limit);
+  return cached(key, DIGEST_CACHE_MS, () => createDigest(leagues, limit));
+}
+
+async function createDigest(leagues, limit) {
+  const fixtures = await fetchMatches({ sport: 'football', mode: 'upcoming', range: 'today', limit: 500 });
+  const matches = loadDigestMatches(fixtures.map(resolveMatchId).filter((id) => id !== null))
+    .filter((match) => !leagues.length || leagues.includes(Number(match.league_id)))
+    .filter((match) => !match.status || OPEN_STATUS_CODES.includes(match.status))
+    .slice(0, limit);
+
+  const items = await mapInBatches(matches, DIGEST_BATCH_SIZE, async (match) => {
+    try {
+      return toDigestItem(match, await predictMatch(match.match_id));
+    } catch (error) {
+      return toDigestItem(match, { error: error?.message ?? String(error) });
+    }
+  });
+
+  return {
+    created_at: new Date().toISOString(),
+    leagues,
+    total: matches.length,
+    items: items.sort(compareItems)
+  };
+}
+
+function loadDigestMatches(ids) {
+  if (!ids.length) return [];
+  const db = getDb();
+  return db.prepare(`
+    SELECT match_id, date, status, home_team, away_team, league_id, league_name, league_country
+    FROM matches
+    WHERE match_id IN (SELECT value FROM json_each(@ids))
+    ORDER BY datetime(date) ASC
+  `).all({ ids: JSON.stringify(ids) });
+}
+
+function toDigestItem(match, result) {
+  const base = {
+    match_id: match.match_id,
+    date: match.date,
+    home_team: match.home_team,
+    away_team: match.away_team,
+    league_name: match.league_name
+  };
+  if (!result || result.error) return { ...base, error: result?.error ?? 'Keine Prediction' };
+
+  const probs = result.probabilities ?? {};
+  const quality = result.data_quality?.diagnostics?.localQualityLabel ?? 'schwach';
+  const confidence = Number(result.betting_advice?.confidence) || 0;
+  const value = result.value_bets?.best ?? null;
+  return {
+    ...base,
+    engine: result.engine,
+    prediction: result.prediction,
+    recommendation: result.betting_advice?.recommendation ?? null,
+    probability: Math.max(Number(probs.home) || 0, Number(probs.draw) || 0, Number(probs.away) || 0),
+    confidence,
+    quality,
+    value: value ? { label: value.label, odd: value.odd, ev: value.ev, bookmaker: value.bookmaker } : null,
+    strength: round(confidence - (QUALITY_PENALTY[quality] ?? QUALITY_PENALTY.schwach) + (value ? Math.min(value.ev, 0.2) : 0))
+  };
+}
+
+function compareItems(a, b) {
+  if (Boolean(a.error) !== Boolean(b.error)) return a.error ? 1 : -1;
+  return (b.strength ?? 0) - (a.strength ?? 0) || String(a.date).localeCompare(String(b.date));
+}
+
+async function mapInBatches(items, size, fn) {
+  const results = [];
+  for (let index = 0; index < items.length; index += size) {
+    results.push(...await Promise.all(items.slice(index, index + size).map(fn)));
+  }
+  return results;
+}
+
+function resolveMatchId(row) {
+  const id = Number(row?.fixture?.id ?? row?.match_id ?? row?.id);
+  return Number.isFinite(id) ? id : null;
+}
+
+function parseIdList(raw) { return String(raw).split(',').map((x) => Number(x.trim())).filter((x) => Number.isFinite(x) && x > 0); }
+function round(value) { return Math.round(Number(value) * 10000) / 10000; }
@@ -0,0 +1,111 @@
+import { getDb } from '../data/db.js';
+
+const OUTCOMES = ['home', 'draw', 'away'];
+const MIN_SAMPLES = Number(process.env.ENSEMBLE_MIN_SAMPLES) || 30;
+const SHARPNESS = Number(process.env.ENSEMBLE_SHARPNESS) || 8;
+const REFRESH_MS = Number(process.env.ENSEMBLE_REFRESH_MS) || 15 * 60 * 1000;
+const DISAGREEMENT_THRESHOLD = Number(process.env.ENSEMBLE_DISAGREEMENT_THRESHOLD) || 0.15;
+const PRIOR_WEIGHTS = { market: 1, llm: 0.8, poisson: 0.8, api: 0.6, rule: 0.4 };
+const EPSILON = 1e-6;
+
+let cache = { fittedAt: 0, weights: null };
+
+export function blendPredictions(components, weights = getEnsembleWeights()) {
+  const usable = components.filter((component) => component?.probabilities && OUTCOMES.every((outcome) => Number.isFinite(component.probabilities[outcome])));
+  if (!usable.length) return null;
+
+  const weighted = usable.map((component) => ({ ...component, weight: weights[component.source]?.weight ?? PRIOR_WEIGHTS[component.source] ?? 0.5 }));
+  const total = weighted.reduce((sum, component) => sum + component.weight, 0);
+  const mixed = Object.fromEntries(OUTCOMES.map((outcome) => [
+    outcome,
+    weighted.reduce((sum, component) => sum + component.weight * component.probabilities[outcome], 0) / total
+  ]));
+
+  return {
+    probabilities: normalize(mixed),
+    components: weighted.map((component) => ({
+      source: component.source,
+      engine: component.engine,
+      weight: round(component.weight / total),
+      learned: Boolean(weights[component.source]?.learned),
+      probabilities: component.probabilities
+    })),
+    disagreement: round(maxDistance(weighted)),
+    picks: [...new Set(weighted.map((component) => pick(component.probabilities)))]
+  };
+}
+
+export function ensembleConfidence(probabilities, disagreement) {
+  const top = Math.max(...OUTCOMES.map((outcome) => probabilities[outcome]));
+  const penalty = Math.max(0, disagreement - DISAGREEMENT_THRESHOLD) * 1.5;
+  return round(clamp(0.2, 0.72, clamp(0.35, 0.72, top + 0.1) - penalty));
+}
+
+export function getEnsembleWeights() {
+  if (!cache.weights || Date.now() - cache.fittedAt > REFRESH_MS) {
+    try {
+      refreshEnsembleWeights();
+    } catch (error) {
+      console.warn('Ensemble-Gewichte nicht lernbar:', error?.message ?? error);
+      cache = { fittedAt: Date.now(), weights: fitWeights([]) };
+    }
+  }
+  return cache.weights;
+}
+
+export function refreshEnsembleWeights() {
+  cache = { fittedAt: Date.now(), weights: fitWeights(loadSettled()) };
+  return cache.weights;
+}
+
+export function isDisagreement(disagreement) {
+  return disagreement > DISAGREEMENT_THRESHOLD;
+}
+
+function loadSettled() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT c.source, c.prob_home, c.prob_draw, c.prob_away, p.actual_outcome
+    FROM prediction_components c
+    JOIN predictions p ON p.id = c.prediction_id
+    WHERE p.status IN ('won', 'lost') AND p.actual_outcome IS NOT NULL
+  `).all();
+}
+
+function fitWeights(rows) {
+  const stats = new Map();
+  for (const row of rows) {
+    const entry = stats.get(row.source) ?? { loss: 0, count: 0 };
+    entry.loss += -Math.log(Math.max(EPSILON, Number(row[`prob_${row.actual_outcome}`]) || 0));
+    entry.count += 1;
+    stats.set(row.source, entry);
+  }
+
+  const learned = [...stats.values()].filter((entry) => entry.count >= MIN_SAMPLES).map((entry) => entry.loss / entry.count);
+  const best = learned.length ? Math.min(...learned) : null;
+
+  return Object.fromEntries(Object.entries(PRIOR_WEIGHTS).map(([source, prior]) => {
+    const entry = stats.get(source);
+    const logLoss = entry ? round(entry.loss / entry.count) : null;
+    if (!entry || entry.count < MIN_SAMPLES || best === null) {
+      return [source, { weight: prior, samples: entry?.count ?? 0, log_loss: logLoss, learned: false }];
+    }
+    return [source, { weight: round(Math.max(0.05, Math.exp(-SHARPNESS * (entry.loss / entry.count - best)))), samples: entry.count, log_loss: logLoss, learned: true }];
+  }));
+}
+
+function maxDistance(components) {
+  let max = 0;
+  for (let i = 0; i < components.length; i += 1) {
+    for (let j = i + 1; j < components.length; j += 1) {
+      const distance = OUTCOMES.reduce((sum, outcome) => sum + Math.abs(components[i].probabilities[outcome] - components[j].probabilities[outcome]), 0) / 2;
+      max = Math.max(max, distance);
+    }
+  }
+  return max;
+}
+
+function normalize(p) { const t = p.home + p.draw + p.away; return { home: round(p.home / t), draw: round(p.draw / t), away: round(p.away / t) }; }
+function pick(p) { return [['Heimsieg', p.home], ['Unentschieden', p.draw], ['Auswaertssieg', p.away]].sort((a, b) => b[1] - a[1])[0][0]; }
+function clamp(min, max, v) { return Math.max(min, Math.min(max, Number(v))); }
+function round(v) { return Math.round(Number(v) * 100) / 100; }
@@ -0,0 +1,297 @@
+import { getDb } from '../data/db.js';
+
+const LOOKBACK_DAYS = Number(process.env.POISSON_LOOKBACK_DAYS) || 730;
+const DECAY_XI = Number(process.env.POISSON_DECAY_XI) || 0.0019;
+const MAX_MATCHES = Number(process.env.POISSON_MAX_MATCHES) || 4000;
+const MIN_TEAM_MATCHES = Number(process.env.POISSON_MIN_TEAM_MATCHES) || 3;
+const PRIOR_GOALS = Number(process.env.POISSON_PRIOR_GOALS) || 3;
+const MAX_GOALS = 10;
+const ITERATIONS = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STOPPAGE_MINUTES = Number(process.env.LIVE_STOPPAGE_MINUTES) || 4;
+const RED_CARD_OWN_FACTOR = 0.7;
+const RED_CARD_OPPONENT_FACTOR = 1.2;
+const EXTRA_TIME_STATUS_CODES = ['ET', 'BT', 'P'];
+const MODEL_CACHE_TTL_MS = Number(process.env.POISSON_CACHE_TTL_MS) || 60 * 60 * 1000;
+const MODEL_CACHE_SIZE = 16;
+
+const modelCache = new Map();
+
+export function predictGoalModel(match, options = {}) {
+  const model = Object.keys(options).length ? fitGoalModel(options.matches ?? loadTrainingMatches(match), { referenceDate: match.date, ...options }) : getDailyModel(match);
+  const homeKey = teamKey(match.home_team_id, match.home_team);
+  const awayKey = teamKey(match.away_team_id, match.away_team);
+  const home = model.teams.get(homeKey);
+  const away = model.teams.get(awayKey);
+  const minMatches = options.minTeamMatches ?? MIN_TEAM_MATCHES;
+
+  if (!home || !away || home.matches < minMatches || away.matches < minMatches) {
+    return {
+      error: 'Zu wenige Spiele fuer das Tormodell',
+      sample: { matches: model.matches, homeMatches: home?.matches ?? 0, awayMatches: away?.matches ?? 0 }
+    };
+  }
+
+  const lambdaHome = model.homeRate * home.attack * away.defence;
+  const lambdaAway = model.awayRate * away.attack * home.defence;
+  const matrix = scorelineMatrix(lambdaHome, lambdaAway, model.rho);
+
+  return {
+    expectedGoals: { home: round(lambdaHome, 2), away: round(lambdaAway, 2) },
+    rho: round(model.rho, 3),
+    matrix,
+    outcomes: matrixOutcomes(matrix),
+    sample: { matches: model.matches, homeMatches: home.matches, awayMatches: away.matches },
+    strengths: {
+      home: { attack: round(home.attack, 3), defence: round(home.defence, 3) },
+      away: { attack: round(away.attack, 3), defence: round(away.defence, 3) }
+    }
+  };
+}
+
+export function fitGoalModel(rows, options = {}) {
+  const referenceTime = parseTime(options.referenceDate) ?? Date.now();
+  const xi = options.decay ?? DECAY_XI;
+  const prior = options.priorGoals ?? PRIOR_GOALS;
+
+  const games = [];
+  for (const row of rows ?? []) {
+    const homeGoals = toNumber(row.home_goals);
+    const awayGoals = toNumber(row.away_goals);
+    const time = parseTime(row.date);
+    if (homeGoals === null || awayGoals === null || time === null || time >= referenceTime) continue;
+    const home = teamKey(row.home_team_id, row.home_team);
+    const away = teamKey(row.away_team_id, row.away_team);
+    if (!home || !away || home === away) continue;
+    const weight = Math.exp(-xi * ((referenceTime - time) / DAY_MS));
+    games.push({ home, away, homeGoals, awayGoals, weight });
+  }
+
+  const teams = new Map();
+  for (const game of games) {
+    for (const key of [game.home, game.away]) {
+      if (!teams.has(key)) teams.set(key, { attack: 1, defence: 1, matches: 0 });
+      teams.get(key).matches += 1;
+    }
+  }
+
+  let weightTotal = 0;
+  let homeGoalsTotal = 0;
+  let awayGoalsTotal = 0;
+  for (const game of games) {
+    weightTotal += game.weight;
+    homeGoalsTotal += game.weight * game.homeGoals;
+    awayGoalsTotal += game.weight * game.awayGoals;
+  }
+
+  const homeRate = weightTotal ? Math.max(homeGoalsTotal / weightTotal, 0.2) : 1.45;
+  const awayRate = weightTotal ? Math.max(awayGoalsTotal / weightTotal, 0.2) : 1.15;
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration += 1) {
+    const attackNum = new Map();
+    const attackDen = new Map();
+    for (const game of games) {
+      const home = teams.get(game.home);
+      const away = teams.get(game.away);
+      add(attackNum, game.home, game.weight * game.homeGoals);
+      add(attackDen, game.home, game.weight * homeRate * away.defence);
+      add(attackNum, game.away, game.weight * game.awayGoals);
+      add(attackDen, game.away, game.weight * awayRate * home.defence);
+    }
+    for (const [key, team] of teams) {
+      team.attack = ((attackNum.get(key) ?? 0) + prior) / ((attackDen.get(key) ?? 0) + prior);
+    }
+
+    const defenceNum = new Map();
+    const defenceDen = new Map();
+    for (const game of games) {
+      const home = teams.get(game.home);
+      const away = teams.get(game.away);
+      add(defenceNum, game.home, game.weight * game.awayGoals);
+      add(defenceDen, game.home, game.weight * awayRate * away.attack);
+      add(defenceNum, game.away, game.weight * game.homeGoals);
+      add(defenceDen, game.away, game.weight * homeRate * home.attack);
+    }
+    for (const [key, team] of teams) {
+      team.defence = ((defenceNum.get(key) ?? 0) + prior) / ((defenceDen.get(key) ?? 0) + prior);
+    }
+  }
+
+  const rho = fitRho(games, teams, homeRate, awayRate);
+  return { teams, homeRate, awayRate, rho, matches: games.length };
+}
+
+export function clearGoalModelCache() {
+  const size = modelCache.size;
+  modelCache.clear();
+  return size;
+}
+
+export function scorelineMatrix(lambdaHome, lambdaAway, rho = 0, maxGoals = MAX_GOALS) {
+  const homePmf = poissonPmf(lambdaHome, maxGoals);
+  const awayPmf = poissonPmf(lambdaAway, maxGoals);
+  const matrix = [];
+  let total = 0;
+
+  for (let h = 0; h <= maxGoals; h += 1) {
+    const row = [];
+    for (let a = 0; a <= maxGoals; a += 1) {
+      const p = Math.max(0, homePmf[h] * awayPmf[a] * tau(h, a, lambdaHome, lambdaAway, rho));
+      row.push(p);
+      total += p;
+    }
+    matrix.push(row);
+  }
+
+  return matrix.map((row) => row.map((p) => (total ? p / total : 0)));
+}
+
+export function inPlayModel(expectedGoals, live, maxGoals = MAX_GOALS) {
+  const score = { home: toNumber(live.score?.home) ?? 0, away: toNumber(live.score?.away) ?? 0 };
+  const reds = { home: toNumber(live.red_cards?.home) ?? 0, away: toNumber(live.red_cards?.away) ?? 0 };
+  const end = (EXTRA_TIME_STATUS_CODES.includes(live.status) ? 120 : 90) + STOPPAGE_MINUTES;
+  const remainingShare = live.status === 'P' ? 0 : Math.max(0, end - (toNumber(live.minute) ?? 0)) / (90 + STOPPAGE_MINUTES);
+
+  const lambdaHome = expectedGoals.home * remainingShare * RED_CARD_OWN_FACTOR ** reds.home * RED_CARD_OPPONENT_FACTOR ** reds.away;
+  const lambdaAway = expectedGoals.away * remainingShare * RED_CARD_OWN_FACTOR ** reds.away * RED_CARD_OPPONENT_FACTOR ** reds.home;
+  const remaining = scorelineMatrix(lambdaHome, lambdaAway, 0, maxGoals);
+
+  const matrix = Array.from({ length: score.home + maxGoals + 1 }, () => new Array(score.away + maxGoals + 1).fill(0));
+  remaining.forEach((row, h) => row.forEach((p, a) => { matrix[score.home + h][score.away + a] = p; }));
+
+  const total = lambdaHome + lambdaAway;
+  const noGoal = Math.exp(-total);
+  return {
+    remainingShare: round(remainingShare, 3),
+    remainingGoals: { home: round(lambdaHome, 2), away: round(lambdaAway, 2) },
+    nextGoal: total > 0
+      ? { home: round((lambdaHome / total) * (1 - noGoal), 3), none: round(noGoal, 3), away: round((lambdaAway / total) * (1 - noGoal), 3) }
+      : { home: 0, none: 1, away: 0 },
+    matrix,
+    outcomes: matrixOutcomes(matrix)
+  };
+}
+
+export function matrixOutcomes(matrix) {
+  let home = 0;
+  let draw = 0;
+  let away = 0;
+  matrix.forEach((row, h) => row.forEach((p, a) => {
+    if (h > a) home += p;
+    else if (h === a) draw += p;
+    else away += p;
+  }));
+  return { home, draw, away };
+}
+
+export function buildMarkets(matrix, { lines = [1.5, 2.5, 3.5], topScores = 5 } = {}) {
+  const overUnder = {};
+  for (const line of lines) {
+    let over = 0;
+    matrix.forEach((row, h) => row.forEach((p, a) => { if (h + a > line) over += p; }));
+    overUnder[String(line)] = { over: round(over, 3), under: round(1 - over, 3) };
+  }
+
+  let bttsYes = 0;
+  const scores = [];
+  matrix.forEach((row, h) => row.forEach((p, a) => {
+    if (h > 0 && a > 0) bttsYes += p;
+    scores.push({ score: `${h}:${a}`, probability: p });
+  }));
+
+  return {
+    over_under: overUnder,
+    btts: { yes: round(bttsYes, 3), no: round(1 - bttsYes, 3) },
+    correct_scores: scores
+      .sort((x, y) => y.probability - x.probability)
+      .slice(0, topScores)
+      .map((item) => ({ score: item.score, probability: round(item.probability, 3) }))
+  };
+}
+
+function getDailyModel(match) {
+  const sport = match.sport ?? 'football';
+  const referenceDate = `${(parseTime(match.date) ? new Date(match.date) : new Date()).toISOString().slice(0, 10)}T00:00:00.000Z`;
+  const key = `${sport}:${referenceDate}`;
+  const entry = modelCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.model;
+
+  const model = fitGoalModel(loadTrainingMatches({ sport, date: referenceDate }), { referenceDate });
+  if (modelCache.size >= MODEL_CACHE_SIZE) modelCache.delete(modelCache.keys().next().value);
+  modelCache.set(key, { model, expiresAt: Date.now() + MODEL_CACHE_TTL_MS });
+  return model;
+}
+
+function loadTrainingMatches(match) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT match_id, date, home_team, away_team, home_team_id, away_team_id, home_goals, away_goals
+    FROM matches
+    WHERE COALESCE(sport, 'football') = @sport
+      AND match_id != @matchId
+      AND home_goals IS NOT NULL
+      AND away_goals IS NOT NULL
+      AND date IS NOT NULL
+      AND datetime(date) < datetime(@beforeDate)
+      AND datetime(date) >= datetime(@beforeDate, @lookback)
+    ORDER BY datetime(date) DESC
+    LIMIT @limit
+  `).all({
+    sport: match.sport ?? 'football',
+    matchId: match.match_id ?? -1,
+    beforeDate: match.date ?? new Date().toISOString(),
+    lookback: `-${LOOKBACK_DAYS} days`,
+    limit: MAX_MATCHES
+  });
+}
+
+function fitRho(games, teams, homeRate, awayRate) {
+  const lowScores = games.filter((game) => game.homeGoals <= 1 && game.awayGoals <= 1);
+  if (lowScores.length < 10) return 0;
+
+  let best = 0;
+  let bestLikelihood = Number.NEGATIVE_INFINITY;
+  for (let step = -20; step <= 20; step += 1) {
+    const rho = step / 100;
+    let likelihood = 0;
+    let valid = true;
+    for (const game of lowScores) {
+      const lambdaHome = homeRate * teams.get(game.home).attack * teams.get(game.away).defence;
+      const lambdaAway = awayRate * teams.get(game.away).attack * teams.get(game.home).defence;
+      const t = tau(game.homeGoals, game.awayGoals, lambdaHome, lambdaAway, rho);
+      if (t <= 0) { valid = false; break; }
+      likelihood += game.weight * Math.log(t);
+    }
+    if (valid && likelihood > bestLikelihood) {
+      bestLikelihood = likelihood;
+      best = rho;
+    }
+  }
+  return best;
+}
+
+function tau(h, a, lambdaHome, lambdaAway, rho) {
+  if (h === 0 && a === 0) return 1 - lambdaHome * lambdaAway * rho;
+  if (h === 0 && a === 1) return 1 + lambdaHome * rho;
+  if (h === 1 && a === 0) return 1 + lambdaAway * rho;
+  if (h === 1 && a === 1) return 1 - rho;
+  return 1;
+}
+
+function poissonPmf(lambda, maxGoals) {
+  const values = [Math.exp(-lambda)];
+  for (let k = 1; k <= maxGoals; k += 1) values.push(values[k - 1] * lambda / k);
+  return values;
+}
+
+function teamKey(id, name) {
+  const numeric = toNumber(id);
+  if (numeric !== null) return `id:${numeric}`;
+  const normalized = String(name ?? '').trim().toLowerCase();
+  return normalized ? `name:${normalized}` : null;
+}
+
+function add(map, key, value) { map.set(key, (map.get(key) ?? 0) + value); }
+function parseTime(value) { const t = value ? Date.parse(value) : NaN; return Number.isFinite(t) ? t : null; }
+function toNumber(value) { if (value === null || value === undefined || value === '') return null; const n = Number(value); return Number.isFinite(n) ? n : null; }
+function round(value, digits) { const f = 10 ** digits; return Math.round(Number(value) * f) / f; }
@@ -0,0 +1,60 @@
+import { createLlamaServerProvider } from './llamaServer.js';
+import { createOllamaProvider } from './ollama.js';
+import { createOpenAiProvider } from './openaiCompatible.js';
+import { createStubProvider } from './stub.js';
+
+export { setStubResponder } from './stub.js';
+
+const FACTORIES = {
+  llama: createLlamaServerProvider,
+  openai: createOpenAiProvider,
+  ollama: createOllamaProvider,
+  stub: createStubProvider
+};
+const DEFAULT_ORDER = ['llama', 'openai', 'ollama'];
+
+let providers = null;
+
+export function getLlmProviders() {
+  if (!providers) providers = buildProviders(process.env.LLM_PROVIDERS);
+  return providers.filter((provider) => provider.enabled);
+}
+
+export function describeLlmProviders() {
+  if (!providers) getLlmProviders();
+  return providers.map((provider) => provider.describe());
+}
+
+export async function completeWithProviders(request, handle) {
+  const errors = [];
+  for (const provider of getLlmProviders()) {
+    const call = { ...request, options: { ...request.options, ...request.providerOptions?.[provider.id] } };
+    const current = provider.engineFor ? { ...provider, engine: provider.engineFor(call) } : provider;
+    try {
+      const text = await provider.complete(call);
+      const result = handle ? await handle(text, current, call) : text;
+      if (result) return { result, provider: current, errors };
+      errors.push(`${current.engine}: unbrauchbare Antwort`);
+    } catch (error) {
+      console.warn(`${current.engine} fehlgeschlagen:`, error?.message ?? error);
+      errors.push(`${current.engine}: ${error?.response?.data?.error ?? error?.message ?? error}`);
+    }
+  }
+  return { result: null, provider: null, errors };
+}
+
+export function resetLlmProviders() {
+  providers = null;
+}
+
+function buildProviders(raw) {
+  const order = String(raw ?? '').split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+  const ids = order.length ? order : DEFAULT_ORDER;
+  return ids.map((id) => {
+    if (!FACTORIES[id]) {
+      console.warn(`Unbekannter LLM-Provider in LLM_PROVIDERS: ${id}`);
+      return null;
+    }
+    return FACTORIES[id]();
+  }).filter(Boolean);
+}
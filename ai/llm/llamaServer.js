@@ -0,0 +1,39 @@
+import { envNumber, postJson, readModelOptions } from './request.js';
+
+const DEFAULT_OPTIONS = { temperature: 0.08, max_tokens: 900 };
+
+export function createLlamaServerProvider({
+  url = process.env.LLAMA_SERVER_URL ?? null,
+  timeoutMs = envNumber('LLAMA_TIMEOUT_MS', 30000),
+  retries = envNumber('LLAMA_RETRIES', 0),
+  options = readModelOptions('LLAMA', ['temperature', 'max_tokens'])
+} = {}) {
+  return {
+    id: 'llama',
+    engine: 'llama',
+    enabled: Boolean(url),
+    describe: () => ({ id: 'llama', host: url, timeoutMs, retries, enabled: Boolean(url) }),
+    async complete({ prompt, system = null, options: callOptions = {} }) {
+      const merged = { ...DEFAULT_OPTIONS, ...options, ...callOptions };
+      const body = { prompt: system ? `${system}\n\n${prompt}` : prompt, maxTokens: merged.max_tokens, temperature: merged.temperature };
+      if (merged.stop) body.stop = merged.stop;
+      const data = await postJson(url, body, { timeoutMs, retries, label: 'llama' });
+      return extractText(data);
+    }
+  };
+}
+
+function extractText(data) {
+  if (!data) return null;
+  if (typeof data === 'string') return data;
+  if (data.prediction && data.probabilities) return JSON.stringify(data);
+  for (const key of ['response', 'completion', 'content', 'output', 'text']) {
+    if (typeof data[key] === 'string') return data[key];
+  }
+  for (const key of ['choices', 'results', 'generations']) {
+    const entry = Array.isArray(data[key]) ? data[key][0] : null;
+    const text = entry?.message?.content ?? entry?.text ?? entry?.content;
+    if (typeof text === 'string') return text;
+  }
+  return JSON.stringify(data);
+}
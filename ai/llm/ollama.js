@@ -0,0 +1,56 @@
+import { envNumber, postJson, readModelOptions } from './request.js';
+
+const DEFAULT_OPTIONS = { temperature: 0.05, top_p: 0.75, repeat_penalty: 1.08, num_ctx: 8192, max_tokens: 900 };
+const DEFAULT_MODEL = 'gemma3:27b';
+
+export function createOllamaProvider({
+  host = process.env.OLLAMA_HOST ?? 'http://localhost:11434',
+  model = process.env.OLLAMA_MODEL ?? null,
+  mode = process.env.OLLAMA_MODE ?? 'generate',
+  timeoutMs = envNumber('OLLAMA_TIMEOUT_MS', 90000),
+  retries = envNumber('OLLAMA_RETRIES', 0),
+  options = readOllamaOptions()
+} = {}) {
+  const baseUrl = String(host).replace(/\/+$/, '');
+  const enabled = model !== '';
+  const resolveModel = (callOptions = {}) => callOptions.model || model || DEFAULT_MODEL;
+
+  return {
+    id: 'ollama',
+    engine: `ollama:${resolveModel()}`,
+    engineFor: (request) => `ollama:${resolveModel(request?.options)}`,
+    enabled,
+    describe: () => ({ id: 'ollama', host: baseUrl, model: resolveModel(), mode, timeoutMs, retries, enabled }),
+    async complete({ prompt, system = null, json = true, mode: requestedMode = null, options: callOptions = {} }) {
+      const activeModel = resolveModel(callOptions);
+      const params = toOllamaOptions({ ...DEFAULT_OPTIONS, ...options, ...callOptions });
+      const send = async (endpoint) => {
+        const body = endpoint === 'chat'
+          ? { model: activeModel, stream: false, messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }], options: params }
+          : { model: activeModel, prompt, ...(system ? { system } : {}), stream: false, options: params };
+        if (json) body.format = 'json';
+        const data = await postJson(`${baseUrl}/api/${endpoint}`, body, { timeoutMs, retries, label: `ollama:${activeModel}` });
+        return endpoint === 'chat' ? data?.message?.content ?? null : data?.response ?? null;
+      };
+
+      if ((requestedMode ?? mode) !== 'chat') return send('generate');
+      try {
+        return await send('chat');
+      } catch (error) {
+        console.warn(`ollama:${activeModel} chat fehlgeschlagen, versuche generate:`, error?.message ?? error);
+        return send('generate');
+      }
+    }
+  };
+}
+
+function readOllamaOptions() {
+  const options = readModelOptions('OLLAMA', ['temperature', 'top_p', 'repeat_penalty', 'num_ctx']);
+  const numPredict = envNumber('OLLAMA_NUM_PREDICT', null);
+  if (numPredict !== null) options.max_tokens = numPredict;
+  return options;
+}
+
+function toOllamaOptions({ max_tokens: maxTokens, model: _model, ...rest }) {
+  return { ...rest, num_predict: maxTokens };
+}
@@ -0,0 +1,39 @@
+import { envNumber, postJson, readModelOptions } from './request.js';
+
+const DEFAULT_OPTIONS = { temperature: 0.05, top_p: 0.75, max_tokens: 900 };
+
+export function createOpenAiProvider({
+  baseUrl = process.env.OPENAI_BASE_URL ?? null,
+  apiKey = process.env.OPENAI_API_KEY ?? null,
+  model = process.env.OPENAI_MODEL ?? 'local-model',
+  jsonMode = String(process.env.OPENAI_JSON_MODE ?? 'false').toLowerCase() === 'true',
+  timeoutMs = envNumber('OPENAI_TIMEOUT_MS', 60000),
+  retries = envNumber('OPENAI_RETRIES', 1),
+  options = readModelOptions('OPENAI')
+} = {}) {
+  const root = baseUrl ? String(baseUrl).replace(/\/+$/, '').replace(/\/v1$/, '') : null;
+
+  return {
+    id: 'openai',
+    engine: `openai:${model}`,
+    enabled: Boolean(root),
+    describe: () => ({ id: 'openai', host: root, model, jsonMode, timeoutMs, retries, enabled: Boolean(root) }),
+    async complete({ prompt, system = null, json = true, options: callOptions = {} }) {
+      const body = {
+        model,
+        messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
+        stream: false,
+        ...DEFAULT_OPTIONS,
+        ...options,
+        ...pick(callOptions, ['temperature', 'top_p', 'max_tokens'])
+      };
+      if (json && jsonMode) body.response_format = { type: 'json_object' };
+
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      const data = await postJson(`${root}/v1/chat/completions`, body, { timeoutMs, retries, headers, label: `openai:${model}` });
+      return data?.choices?.[0]?.message?.content ?? null;
+    }
+  };
+}
+
+function pick(source, keys) { return Object.fromEntries(keys.filter((key) => source[key] !== undefined).map((key) => [key, source[key]])); }
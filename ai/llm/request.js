@@ -0,0 +1,43 @@
+import axios from 'axios';
+
+const RETRY_DELAY_MS = Number(process.env.LLM_RETRY_DELAY_MS) || 1000;
+
+export async function postJson(url, body, { timeoutMs, retries = 0, headers = {}, label = 'llm' } = {}) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    try {
+      const response = await axios.post(url, body, { headers, timeout: timeoutMs });
+      return response.data ?? null;
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error) || attempt === retries) break;
+      console.warn(`${label} Versuch ${attempt + 1} fehlgeschlagen, neuer Versuch:`, error?.message ?? error);
+      await sleep(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+  throw lastError;
+}
+
+export function readModelOptions(prefix, keys = ['temperature', 'top_p', 'max_tokens']) {
+  const options = {};
+  for (const key of keys) {
+    const raw = process.env[`${prefix}_${key.toUpperCase()}`];
+    if (raw === undefined || raw === '') continue;
+    const value = Number(raw);
+    if (Number.isFinite(value)) options[key] = value;
+  }
+  return options;
+}
+
+export function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+function isRetryable(error) {
+  const status = error?.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) { return new Promise((resolve) => setTimeout(resolve, ms)); }
@@ -0,0 +1,38 @@
+import crypto from 'node:crypto';
+
+let responder = null;
+
+export function setStubResponder(fn) {
+  responder = typeof fn === 'function' ? fn : null;
+}
+
+export function createStubProvider({ response = process.env.LLM_STUB_RESPONSE ?? null } = {}) {
+  return {
+    id: 'stub',
+    engine: 'stub',
+    enabled: true,
+    describe: () => ({ id: 'stub', fixed: Boolean(response), enabled: true }),
+    async complete({ prompt, system = null }) {
+      if (responder) return serialize(await responder({ prompt, system }));
+      if (response) return response;
+      return serialize(defaultPrediction(prompt));
+    }
+  };
+}
+
+function defaultPrediction(prompt) {
+  const hash = crypto.createHash('sha1').update(String(prompt ?? '')).digest();
+  const home = 0.3 + (hash[0] / 255) * 0.3;
+  const draw = 0.2 + (hash[1] / 255) * 0.1;
+  const away = 1 - home - draw;
+  const prediction = home >= away && home >= draw ? 'Heimsieg' : away >= draw ? 'Auswaertssieg' : 'Unentschieden';
+  return {
+    prediction,
+    probabilities: { home: round(home), draw: round(draw), away: round(away) },
+    explanation: 'Deterministische Stub-Antwort.',
+    betting_advice: { recommendation: 'Keine klare Wette', confidence: 0.4, reasoning: 'Stub-Provider ohne echtes Modell.' }
+  };
+}
+
+function serialize(value) { return typeof value === 'string' ? value : JSON.stringify(value); }
+function round(value) { return Math.round(value * 100) / 100; }
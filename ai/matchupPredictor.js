@@ -1,14 +1,14 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
 import { fetchFootballTeamHistoryV2, fetchFootballHeadToHeadHistoryV2 } from '../api/footballHistoryV2.js';
+import { completeWithProviders, getLlmProviders } from './llm/index.js';
 
 dotenv.config();
 
-const OLLAMA_HOST = process.env.OLLAMA_HOST ?? 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL ?? 'gemma3:27b';
-const OLLAMA_REQUIRED = String(process.env.OLLAMA_REQUIRED ?? 'false').toLowerCase() === 'true';
+const LLM_REQUIRED = String(process.env.LLM_REQUIRED ?? process.env.OLLAMA_REQUIRED ?? 'false').toLowerCase() === 'true';
+const LLM_SYSTEM = 'Return exactly one flat JSON object. Do not wrap it in response/result/data. No markdown.';
+const LLM_OPTIONS = { temperature: 0.02, top_p: 0.65 };
 const TEAM_HISTORY_SIZE = Number(process.env.TEAM_HISTORY_SIZE) || 24;
 const H2H_HISTORY_SIZE = Number(process.env.H2H_HISTORY_SIZE) || 10;
 
@@ -26,11 +26,11 @@ export async function predictTeamMatchup(homeTeam, awayTeam) {
   const diagnostics = buildDiagnostics(context, features);
   const prepared = { home, away, context, features, diagnostics, aiError: null };
 
-  if (OLLAMA_MODEL) {
-    const ai = await tryOllama(prepared);
-    if (ai.result) return withMeta(ai.result, `ollama:${OLLAMA_MODEL}`, prepared);
+  if (getLlmProviders().length) {
+    const ai = await tryLlm(prepared);
+    if (ai.result) return withMeta(ai.result, ai.engine, prepared);
     prepared.aiError = ai.error;
-    if (OLLAMA_REQUIRED) return { error: `Ollama/Gemma fehlgeschlagen: ${ai.error}` };
+    if (LLM_REQUIRED) return { error: `LLM fehlgeschlagen: ${ai.error}` };
   }
 
   return withMeta(rulePredict(prepared), 'rule-based-manual', prepared);
@@ -156,58 +156,18 @@ function buildDiagnostics(context, features) {
   };
 }
 
-async function tryOllama(prepared) {
-  const prompt = buildPrompt(prepared);
-  const host = OLLAMA_HOST.replace(/\/$/, '');
-
-  try {
-    const response = await axios.post(`${host}/api/chat`, {
-      model: OLLAMA_MODEL,
-      stream: false,
-      format: 'json',
-      messages: [
-        { role: 'system', content: 'Return exactly one flat JSON object. Do not wrap it in response/result/data. No markdown.' },
-        { role: 'user', content: prompt }
-      ],
-      options: ollamaOptions()
-    }, { timeout: Number(process.env.OLLAMA_TIMEOUT_MS) || 90000 });
-
-    const parsed = parsePayload(response.data);
-    const normalized = normalizePrediction(parsed, prepared);
-    if (normalized) return { result: normalized, error: null };
-    return { result: null, error: `Ollama chat returned unusable JSON: ${preview(response.data)}` };
-  } catch (chatError) {
-    console.warn('manual-matchup ollama chat failed:', chatError?.message ?? chatError);
-  }
-
-  try {
-    const response = await axios.post(`${host}/api/generate`, {
-      model: OLLAMA_MODEL,
-      prompt,
-      stream: false,
-      format: 'json',
-      options: ollamaOptions()
-    }, { timeout: Number(process.env.OLLAMA_TIMEOUT_MS) || 90000 });
-
-    const parsed = parsePayload(response.data);
-    const normalized = normalizePrediction(parsed, prepared);
-    if (normalized) return { result: normalized, error: null };
-    return { result: null, error: `Ollama generate returned unusable JSON: ${preview(response.data)}` };
-  } catch (generateError) {
-    const message = generateError?.response?.data?.error ?? generateError?.message ?? String(generateError);
-    console.warn('manual-matchup ollama generate failed:', message);
-    return { result: null, error: message };
-  }
-}
-
-function ollamaOptions() {
-  return {
-    temperature: 0.02,
-    top_p: 0.65,
-    repeat_penalty: 1.08,
-    num_ctx: Number(process.env.OLLAMA_NUM_CTX) || 8192,
-    num_predict: Number(process.env.OLLAMA_NUM_PREDICT) || 900
-  };
+async function tryLlm(prepared) {
+  const unusable = [];
+  const { result, provider, errors } = await completeWithProviders(
+    { prompt: buildPrompt(prepared), system: LLM_SYSTEM, mode: 'chat', options: LLM_OPTIONS },
+    (text, current) => {
+      const normalized = normalizePrediction(parsePayload(text), prepared);
+      if (!normalized) unusable.push(`${current.engine} returned unusable JSON: ${preview(text)}`);
+      return normalized;
+    }
+  );
+  if (result) return { result, engine: provider.engine, error: null };
+  return { result: null, engine: null, error: unusable.at(-1) ?? errors.at(-1) ?? 'kein LLM verfuegbar' };
 }
 
 function buildPrompt(prepared) {
@@ -1,4 +1,5 @@
 import { getDb } from '../data/db.js';
+import { savePrediction } from '../data/predictionStore.js';
 import { fetchFootballTeamHistoryV2, fetchFootballHeadToHeadHistoryV2 } from '../api/footballHistoryV2.js';
 import { predictTeamMatchup as predictWithGemma } from './matchupPredictor.js';
 
@@ -43,7 +44,9 @@ export async function predictTeamMatchup(homeTeam, awayTeam) {
     };
   }
 
-  return predictWithGemma(home, away);
+  const result = await predictWithGemma(home, away);
+  savePrediction(result);
+  return result;
 }
 
 function getContext(homeId, awayId) {
@@ -0,0 +1,140 @@
+const OUTCOMES = ['home', 'draw', 'away'];
+const LABELS = { home: 'Heimsieg', draw: 'Unentschieden', away: 'Auswaertssieg' };
+const SUM_TOLERANCE = 0.03;
+const PICK_TOLERANCE = 0.01;
+
+export function parseJsonObject(text) {
+  const source = String(text ?? '');
+  const start = source.indexOf('{');
+  if (start === -1) return { value: null, error: 'kein JSON-Objekt in der Antwort' };
+  const end = findObjectEnd(source, start);
+  if (end === -1) return { value: null, error: 'JSON-Objekt ist nicht abgeschlossen' };
+  try {
+    return { value: JSON.parse(source.slice(start, end + 1)), error: null };
+  } catch (error) {
+    return { value: null, error: `ungueltiges JSON: ${error.message}` };
+  }
+}
+
+export function validatePrediction(payload, { matchId = null } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { valid: false, errors: ['Antwort ist kein JSON-Objekt'] };
+
+  const errors = [];
+  if (payload.match_id !== undefined && payload.match_id !== null && matchId !== null && Number(payload.match_id) !== Number(matchId)) {
+    errors.push(`match_id ${payload.match_id} passt nicht zu ${matchId}`);
+  }
+
+  const outcome = outcomeOf(payload.prediction);
+  if (payload.prediction === undefined || payload.prediction === null || payload.prediction === '') errors.push('prediction fehlt');
+  else if (!outcome) errors.push(`prediction "${payload.prediction}" ist keins von Heimsieg, Unentschieden, Auswaertssieg`);
+
+  const probs = checkProbabilities(payload.probabilities, errors);
+  if (probs && outcome) {
+    const best = OUTCOMES.reduce((top, key) => (probs[key] > probs[top] ? key : top), 'home');
+    if (probs[outcome] < probs[best] - PICK_TOLERANCE) {
+      errors.push(`prediction ${LABELS[outcome]} widerspricht probabilities: ${best} ist mit ${percent(probs[best])} am hoechsten, ${outcome} nur ${percent(probs[outcome])}`);
+    }
+  }
+
+  const advice = payload.betting_advice;
+  if (!advice || typeof advice !== 'object' || Array.isArray(advice)) {
+    errors.push('betting_advice fehlt');
+  } else {
+    const confidence = share(advice.confidence);
+    if (advice.confidence === undefined || advice.confidence === null) errors.push('betting_advice.confidence fehlt');
+    else if (confidence === null) errors.push('betting_advice.confidence ist keine Zahl');
+    else if (confidence < 0 || confidence > 1) errors.push('betting_advice.confidence muss zwischen 0 und 1 liegen');
+    if (!isText(advice.recommendation)) errors.push('betting_advice.recommendation fehlt');
+    if (advice.reasoning !== undefined && advice.reasoning !== null && typeof advice.reasoning !== 'string') errors.push('betting_advice.reasoning ist kein Text');
+  }
+
+  if (!isText(payload.explanation)) errors.push('explanation fehlt');
+  return { valid: errors.length === 0, errors };
+}
+
+export function buildRepairPrompt(prompt, answer, errors) {
+  return [
+    prompt,
+    '',
+    'Deine letzte Antwort war ungueltig:',
+    String(answer ?? '').slice(0, 1500),
+    '',
+    'Fehler:',
+    ...errors.map((error) => `- ${error}`),
+    '',
+    'Korrigiere genau diese Fehler und antworte erneut nur mit einem JSON-Objekt.',
+    'prediction muss das Ergebnis mit der hoechsten Wahrscheinlichkeit sein, probabilities home/draw/away ergeben zusammen 1, confidence liegt zwischen 0 und 1.'
+  ].join('\n');
+}
+
+function checkProbabilities(raw, errors) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('probabilities fehlt');
+    return null;
+  }
+
+  const values = {};
+  let ok = true;
+  for (const key of OUTCOMES) {
+    const value = share(raw[key]);
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '') errors.push(`probabilities.${key} fehlt`);
+    else if (value === null) errors.push(`probabilities.${key} ist keine Zahl`);
+    else if (value < 0 || value > 1) errors.push(`probabilities.${key} muss zwischen 0 und 1 liegen`);
+    else {
+      values[key] = value;
+      continue;
+    }
+    ok = false;
+  }
+  if (!ok) return null;
+
+  const sum = values.home + values.draw + values.away;
+  if (Math.abs(sum - 1) > SUM_TOLERANCE) {
+    errors.push(`probabilities ergeben zusammen ${percent(sum)} statt 100%`);
+    return null;
+  }
+  return values;
+}
+
+function findObjectEnd(source, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let index = start; index < source.length; index += 1) {
+    const char = source[index];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth += 1;
+    else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return -1;
+}
+
+function outcomeOf(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (!s) return null;
+  if (s.includes('heim') || s.includes('home') || s === '1') return 'home';
+  if (s.includes('auswaert') || s.includes('auswärt') || s.includes('away') || s === '2') return 'away';
+  if (s.includes('unentschieden') || s.includes('remis') || s.includes('draw') || s === 'x') return 'draw';
+  return null;
+}
+
+function share(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? (value > 1 ? value / 100 : value) : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  const n = Number(text.replace('%', '').trim());
+  if (!text || !Number.isFinite(n)) return null;
+  return text.endsWith('%') || n > 1 ? n / 100 : n;
+}
+
+function isText(value) { return typeof value === 'string' && value.trim().length > 0; }
+function percent(value) { return `${Math.round(value * 100)}%`; }
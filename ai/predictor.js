@@ -1,16 +1,18 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
 import { fetchTeamHistory, fetchHeadToHeadHistory, fetchMatchById } from '../api/apiHandler.js';
 import { buildFootballContext, formatFootballContextForPrompt, getFootballContextDebug } from '../api/footballContext.js';
 import { calculateFeatures } from '../features/featureEngine.js';
+import { completeWithProviders, describeLlmProviders } from './llm/index.js';
 
 dotenv.config();
 
-const LLAMA_SERVER_URL = process.env.LLAMA_SERVER_URL ?? null;
-const OLLAMA_HOST = process.env.OLLAMA_HOST ?? 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL ?? 'qwen3:8b';
+const LLM_OPTIONS = { temperature: 0.1, top_p: 0.8, max_tokens: 700 };
+const LLM_PROVIDER_OPTIONS = {
+  llama: { temperature: 0.12, stop: ['\n\n'] },
+  ollama: { model: 'qwen3:8b', repeat_penalty: 1.08 }
+};
 
 const TEAM_HISTORY_SIZE = 12;
 const H2H_HISTORY_SIZE = 10;
@@ -76,33 +78,13 @@ export async function predictMatch(matchId) {
   const { match, features, context, externalContext } = prepared;
   const prompt = buildPrompt(match, features, context, externalContext);
 
-  if (LLAMA_SERVER_URL) {
-    try {
-      const remoteRaw = await callRemoteLlama(prompt);
-      const parsed = normalizeIncomingPayload(remoteRaw);
-      if (parsed) {
-        const validated = normalizePrediction(parsed, match.match_id, match.sport);
-        if (validated) return addMeta(validated, 'llama', prepared);
-        console.warn('Remote Llama lieferte ein ungueltiges Format, wechsle zum naechsten Fallback.');
-      }
-    } catch (error) {
-      console.warn('Remote Llama Anfrage fehlgeschlagen, nutze Fallback:', error?.message ?? error);
-    }
-  }
-
-  if (OLLAMA_MODEL) {
-    try {
-      const ollamaRaw = await callOllama(prompt);
-      const parsed = normalizeIncomingPayload(ollamaRaw);
-      if (parsed) {
-        const validated = normalizePrediction(parsed, match.match_id, match.sport);
-        if (validated) return addMeta(validated, `ollama:${OLLAMA_MODEL}`, prepared);
-        console.warn('Ollama lieferte ein ungueltiges Format, nutze das regelbasierte Modell.');
-      }
-    } catch (error) {
-      console.warn('Ollama-Anfrage fehlgeschlagen, nutze Fallback:', error?.message ?? error);
-    }
-  }
+  const { result } = await completeWithProviders({ prompt, options: LLM_OPTIONS, providerOptions: LLM_PROVIDER_OPTIONS }, (raw, provider) => {
+    const parsed = normalizeIncomingPayload(raw);
+    const validated = parsed ? normalizePrediction(parsed, match.match_id, match.sport) : null;
+    if (!validated) console.warn(`${provider.engine} lieferte ein ungueltiges Format, wechsle zum naechsten Fallback.`);
+    return validated ? addMeta(validated, provider.engine, prepared) : null;
+  });
+  if (result) return result;
 
   return addMeta(simpleRulePredict(match, features, context, externalContext), 'rule-based', prepared);
 }
@@ -118,6 +100,7 @@ export async function getPredictionDebug(matchId) {
   const prepared = await preparePredictionInput(matchId);
   if (prepared.error) return { error: prepared.error };
   const { match, features, context, externalContext } = prepared;
+  const llm = describeLlmProviders();
   return {
     match,
     features,
@@ -130,14 +113,9 @@ export async function getPredictionDebug(matchId) {
       h2h: context.headToHead.slice(0, 5)
     },
     external: getFootballContextDebug(externalContext),
-    ollama: {
-      host: OLLAMA_HOST,
-      model: OLLAMA_MODEL,
-      enabled: Boolean(OLLAMA_MODEL)
-    },
-    llama: {
-      enabled: Boolean(LLAMA_SERVER_URL)
-    }
+    llm,
+    ollama: llm.find((item) => item.id === 'ollama') ?? { enabled: false },
+    llama: llm.find((item) => item.id === 'llama') ?? { enabled: false }
   };
 }
 
@@ -210,36 +188,6 @@ function buildPrompt(match, features, context, externalContext) {
   ].join('\n');
 }
 
-async function callRemoteLlama(prompt) {
-  const response = await axios.post(
-    LLAMA_SERVER_URL,
-    { prompt, maxTokens: 700, temperature: 0.12, stop: ['\n\n'] },
-    { timeout: 25000 }
-  );
-  return response.data ?? null;
-}
-
-async function callOllama(prompt) {
-  const host = OLLAMA_HOST.replace(/\/$/, '');
-  const response = await axios.post(
-    `${host}/api/generate`,
-    {
-      model: OLLAMA_MODEL,
-      prompt,
-      stream: false,
-      format: 'json',
-      options: {
-        temperature: 0.1,
-        top_p: 0.8,
-        repeat_penalty: 1.08,
-        num_predict: 700
-      }
-    },
-    { timeout: 45000 }
-  );
-  return response.data ?? null;
-}
-
 function extractJson(text) {
   if (!text || typeof text !== 'string') return null;
   const match = text.match(/\{[\s\S]*\}/);
@@ -1,4 +1,3 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
@@ -14,13 +13,10 @@ import {
   getFootballContextDebug
 } from '../api/footballContext.js';
 import { calculateFeatures } from '../features/featureEngine.js';
+import { completeWithProviders, describeLlmProviders } from './llm/index.js';
 
 dotenv.config();
 
-const LLAMA_SERVER_URL = process.env.LLAMA_SERVER_URL ?? null;
-const OLLAMA_HOST = process.env.OLLAMA_HOST ?? 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL ?? 'gemma3:12b';
-
 const TEAM_HISTORY_SIZE = Number(process.env.TEAM_HISTORY_SIZE) || 12;
 const H2H_HISTORY_SIZE = Number(process.env.H2H_HISTORY_SIZE) || 10;
 const SPORT_OFFSETS = { football: 0, basketball: 5_000_000_000 };
@@ -67,15 +63,8 @@ export async function predictMatch(matchId) {
   const { match, features, context, externalContext, diagnostics } = prepared;
   const prompt = buildPrompt(prepared);
 
-  if (LLAMA_SERVER_URL) {
-    const remote = await tryAiEngine('llama', () => callRemoteLlama(prompt), match, prepared);
-    if (remote) return remote;
-  }
-
-  if (OLLAMA_MODEL) {
-    const local = await tryAiEngine(`ollama:${OLLAMA_MODEL}`, () => callOllama(prompt), match, prepared);
-    if (local) return local;
-  }
+  const { result } = await completeWithProviders({ prompt }, (text, provider) => toAiPrediction(text, provider.engine, match, prepared));
+  if (result) return result;
 
   return addMeta(simpleRulePredict(match, features, context, externalContext, diagnostics), 'rule-based', prepared);
 }
@@ -85,6 +74,7 @@ export async function getPredictionDebug(matchId) {
   if (prepared.error) return { error: prepared.error };
 
   const { match, features, context, externalContext, diagnostics } = prepared;
+  const llm = describeLlmProviders();
 
   return {
     match,
@@ -100,14 +90,9 @@ export async function getPredictionDebug(matchId) {
     },
     external: getFootballContextDebug(externalContext),
     recentApiFetches: getRecentApiFetchLog(8),
-    ollama: {
-      host: OLLAMA_HOST,
-      model: OLLAMA_MODEL,
-      enabled: Boolean(OLLAMA_MODEL)
-    },
-    llama: {
-      enabled: Boolean(LLAMA_SERVER_URL)
-    }
+    llm,
+    ollama: llm.find((item) => item.id === 'ollama') ?? { enabled: false },
+    llama: llm.find((item) => item.id === 'llama') ?? { enabled: false }
   };
 }
 
@@ -376,49 +361,11 @@ function buildRawInput({ match, features, context, externalContext, diagnostics
   };
 }
 
-async function tryAiEngine(engine, callFn, match, prepared) {
-  try {
-    const raw = await callFn();
-    const parsed = normalizeIncomingPayload(raw);
-    if (!parsed) return null;
-    const validated = normalizePrediction(parsed, match.match_id, match.sport, prepared.diagnostics);
-    if (!validated) return null;
-    return addMeta(validated, engine, prepared);
-  } catch (error) {
-    console.warn(`${engine} fehlgeschlagen:`, error?.message ?? error);
-    return null;
-  }
-}
-
-async function callRemoteLlama(prompt) {
-  const response = await axios.post(
-    LLAMA_SERVER_URL,
-    { prompt, maxTokens: 900, temperature: 0.08 },
-    { timeout: 30000 }
-  );
-  return response.data ?? null;
-}
-
-async function callOllama(prompt) {
-  const host = OLLAMA_HOST.replace(/\/$/, '');
-  const response = await axios.post(
-    `${host}/api/generate`,
-    {
-      model: OLLAMA_MODEL,
-      prompt,
-      stream: false,
-      format: 'json',
-      options: {
-        temperature: 0.05,
-        top_p: 0.75,
-        repeat_penalty: 1.08,
-        num_ctx: Number(process.env.OLLAMA_NUM_CTX) || 8192,
-        num_predict: Number(process.env.OLLAMA_NUM_PREDICT) || 900
-      }
-    },
-    { timeout: Number(process.env.OLLAMA_TIMEOUT_MS) || 90000 }
-  );
-  return response.data ?? null;
+function toAiPrediction(raw, engine, match, prepared) {
+  const parsed = normalizeIncomingPayload(raw);
+  if (!parsed) return null;
+  const validated = normalizePrediction(parsed, match.match_id, match.sport, prepared.diagnostics);
+  return validated ? addMeta(validated, engine, prepared) : null;
 }
 
 function normalizeIncomingPayload(raw) {
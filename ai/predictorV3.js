@@ -1,36 +1,223 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
+import { getLatestPrediction, hashPrompt, savePrediction } from '../data/predictionStore.js';
 import { fetchMatchById, getRecentApiFetchLog } from '../api/apiHandler.js';
 import { fetchFootballTeamHistoryV2, fetchFootballHeadToHeadHistoryV2 } from '../api/footballHistoryV2.js';
 import { buildFootballContext, formatFootballContextForPrompt, getFootballContextDebug } from '../api/footballContext.js';
+import { getQuotaState, runInBackground } from '../api/requestClient.js';
 import { calculateFeatures } from '../features/featureEngine.js';
+import { calibratePrediction } from './calibration.js';
+import { buildMarkets, inPlayModel, predictGoalModel, scorelineMatrix } from './goalModel.js';
+import { blendPredictions, ensembleConfidence, getEnsembleWeights, isDisagreement } from './ensemble.js';
+import { findValueBets, impliedProbabilities } from './valueBets.js';
+import { buildRepairPrompt, parseJsonObject, validatePrediction } from './predictionSchema.js';
+import { completeWithProviders, describeLlmProviders } from './llm/index.js';
 
 dotenv.config();
 
-const OLLAMA_HOST = process.env.OLLAMA_HOST ?? 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL ?? 'gemma3:27b';
-const LLAMA_SERVER_URL = process.env.LLAMA_SERVER_URL ?? null;
 const TEAM_HISTORY_SIZE = Number(process.env.TEAM_HISTORY_SIZE) || 16;
 const H2H_HISTORY_SIZE = Number(process.env.H2H_HISTORY_SIZE) || 10;
+const PREDICTION_ENGINE = String(process.env.PREDICTION_ENGINE ?? 'llm').toLowerCase();
+const PRE_MATCH_STATUS_CODES = ['NS', 'TBD'];
+const LIVE_STATUS_CODES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'LIVE', 'INT', 'SUSP'];
 
 export async function predictMatch(matchId) {
   const prepared = await prepare(matchId);
   if (prepared.error) return { error: prepared.error };
 
   const prompt = buildPrompt(prepared);
+  const calibrated = applyCalibration(await runEngines(prepared, prompt));
+  const valueBets = findValueBets(calibrated.probabilities, prepared.externalContext?.odds);
+  const result = {
+    ...calibrated,
+    betting_advice: { ...calibrated.betting_advice, stake: suggestStake(valueBets) },
+    value_bets: valueBets
+  };
+  if (isPreMatch(prepared.match)) savePrediction(result, { promptHash: hashPrompt(prompt) });
+  return result;
+}
+
+function suggestStake(valueBets) {
+  const best = valueBets?.best;
+  if (!best?.kelly_share) return null;
+  return { outcome: best.outcome, label: best.label, odds: best.odd, bookmaker: best.bookmaker, kelly_share: best.kelly_share };
+}
 
-  if (LLAMA_SERVER_URL) {
-    const result = await tryEngine('llama', () => callRemote(prompt), prepared);
-    if (result) return result;
+function applyCalibration(result) {
+  const calibrated = calibratePrediction(result);
+  if (!calibrated.calibration) return calibrated;
+  return {
+    ...calibrated,
+    markets: calibrated.markets ? { ...calibrated.markets, double_chance: doubleChance(calibrated.probabilities) } : calibrated.markets
+  };
+}
+
+async function runEngines(prepared, prompt) {
+  if (PREDICTION_ENGINE === 'rule') return withMeta(rulePredict(prepared), 'rule-based', prepared);
+  if (PREDICTION_ENGINE === 'poisson') {
+    const result = poissonPredict(prepared);
+    if (result) return withMeta(result, 'poisson-dixon-coles', prepared);
+    const { error, sample } = prepared.goalModel;
+    console.warn(`poisson uebersprungen: ${error} (home=${sample.homeMatches}, away=${sample.awayMatches})`);
+    return withMeta(rulePredict(prepared), 'rule-based', prepared);
   }
 
-  if (OLLAMA_MODEL) {
-    const result = await tryEngine(`ollama:${OLLAMA_MODEL}`, () => callOllama(prompt), prepared);
-    if (result) return result;
+  if (PREDICTION_ENGINE === 'ensemble') return ensemblePredict(prepared, prompt);
+
+  const llm = await runLlm(prepared, prompt);
+  if (llm.result) return llm.result;
+  return withValidation(withMeta(rulePredict(prepared), 'rule-based', prepared), llm.validation, llm.reason);
+}
+
+async function runLlm(prepared, prompt) {
+  const attempts = [];
+  const { result, errors } = await completeWithProviders({ prompt }, (text, provider, call) => validatedPrediction(text, provider, call, prepared, attempts));
+  if (result) return { result, validation: result.data_quality.llm_validation, reason: null };
+
+  const reason = attempts.length ? `${attempts.at(-1).engine}: ${attempts.at(-1).errors.join('; ')}` : errors.at(-1) ?? null;
+  return { result: null, validation: { status: attempts.length ? 'invalid' : 'unavailable', engine: null, attempts, provider_errors: errors }, reason };
+}
+
+async function ensemblePredict(prepared, prompt) {
+  const { match, diagnostics, externalContext } = prepared;
+  const llm = await runLlm(prepared, prompt);
+  const poisson = poissonPredict(prepared);
+  const blend = blendPredictions([
+    llm.result ? { source: 'llm', engine: llm.result.engine, probabilities: llm.result.probabilities } : null,
+    poisson ? { source: 'poisson', engine: 'poisson-dixon-coles', probabilities: poisson.probabilities } : null,
+    { source: 'rule', engine: 'rule-based', probabilities: rulePredict(prepared).probabilities },
+    apiComponent(externalContext),
+    marketComponent(externalContext)
+  ]);
+
+  const probs = blend.probabilities;
+  const prediction = pick(probs);
+  const disagreeing = isDisagreement(blend.disagreement);
+  let confidence = ensembleConfidence(probs, blend.disagreement);
+  if (!diagnostics.hasUsableSamples) confidence = Math.min(confidence, 0.45);
+  if (diagnostics.localQualityLabel === 'schwach') confidence = Math.min(confidence, 0.58);
+  const sources = blend.components.map((component) => `${component.source} ${Math.round(component.weight * 100)}%`).join(', ');
+
+  const result = {
+    match_id: match.match_id,
+    prediction,
+    probabilities: probs,
+    explanation: [`Gewichtetes Ensemble: ${sources}.`, llm.result?.explanation].filter(Boolean).join(' ').slice(0, 1200),
+    betting_advice: {
+      recommendation: confidence < 0.58 ? 'Keine klare Wette' : prediction,
+      confidence,
+      reasoning: disagreeing
+        ? `Quellen uneinig (max. Abstand ${Math.round(blend.disagreement * 100)} Punkte, Tipps: ${blend.picks.join('/')}), Confidence reduziert.`
+        : `Quellen weitgehend einig (max. Abstand ${Math.round(blend.disagreement * 100)} Punkte).`
+    },
+    ensemble: { components: blend.components, disagreement: blend.disagreement, disagreeing, picks: blend.picks }
+  };
+  return withValidation(withMeta(result, 'ensemble', prepared), llm.validation, llm.reason);
+}
+
+function apiComponent(external) {
+  const percent = external?.apiPrediction?.percent;
+  if (!percent || ['home', 'draw', 'away'].some((key) => probability(percent[key]) === null)) return null;
+  return { source: 'api', engine: 'api-football', probabilities: normalizeProbabilities(percent) };
+}
+
+function marketComponent(external) {
+  const implied = impliedProbabilities(external?.odds);
+  return implied ? { source: 'market', engine: external.odds.bookmaker ?? 'odds', probabilities: normalizeProbabilities(implied) } : null;
+}
+
+async function validatedPrediction(text, provider, call, prepared, attempts) {
+  let check = checkAnswer(text, prepared);
+  attempts.push({ engine: provider.engine, stage: 'initial', errors: check.errors });
+  if (!check.payload) {
+    const repaired = await provider.complete({ ...call, prompt: buildRepairPrompt(call.prompt, text, check.errors) });
+    check = checkAnswer(repaired, prepared);
+    attempts.push({ engine: provider.engine, stage: 'repair', errors: check.errors });
+    if (!check.payload) return null;
   }
 
+  const status = attempts.at(-1).stage === 'repair' ? 'repaired' : 'valid';
+  const result = withMeta(normalizePrediction(check.payload, prepared), provider.engine, prepared);
+  return withValidation(result, { status, engine: provider.engine, attempts, provider_errors: [] });
+}
+
+function checkAnswer(text, prepared) {
+  const { value, error } = parseJsonObject(text);
+  if (error) return { payload: null, errors: [error] };
+  const { valid, errors } = validatePrediction(value, { matchId: prepared.match.match_id });
+  return { payload: valid ? value : null, errors };
+}
+
+function withValidation(result, validation, aiError = null) {
+  return { ...result, data_quality: { ...result.data_quality, llm_validation: validation, ai_error: aiError } };
+}
+
+export async function predictLive(matchId) {
+  const numericId = toNumber(matchId);
+  if (numericId === null) return { error: 'Ungueltige Match-ID' };
+
+  await fetchMatchById(numericId);
+  const match = getMatch(numericId);
+  if (!match) return { error: 'Match nicht gefunden' };
+
+  const live = parseLiveState(match, getRawJson(numericId));
+  if (!live) return { error: `Spiel ist nicht live (Status ${match.status ?? 'unbekannt'}).` };
+
+  const prepared = prepareLocal(match, { teamFetches: [], h2hFetch: null });
+  const source = prepared.goalModel.error ? 'feature-poisson' : 'dixon-coles';
+  const base = prepared.goalModel.error ? featureExpectedGoals(prepared.features, prepared.diagnostics) : prepared.goalModel.expectedGoals;
+  const model = inPlayModel(base, live);
+
+  const probs = normalizeProbabilities(model.outcomes);
+  const prediction = pick(probs);
+  let confidence = clamp(0.35, 0.9, Math.max(probs.home, probs.draw, probs.away));
+  if (!prepared.diagnostics.hasUsableSamples) confidence = Math.min(confidence, 0.6);
+  confidence = round(confidence);
+  const goals = live.score.home + live.score.away;
+
+  return {
+    match_id: match.match_id,
+    engine: 'live-poisson',
+    prediction,
+    probabilities: probs,
+    explanation: `In-Play-Poisson: ${live.minute}. Minute, Stand ${live.score.home}:${live.score.away}, Rote Karten ${live.red_cards.home}:${live.red_cards.away}. Erwartete Resttore ${model.remainingGoals.home}:${model.remainingGoals.away} (${Math.round(model.remainingShare * 100)}% Restspielzeit, Basis ${source} xG ${base.home}:${base.away}).`,
+    betting_advice: {
+      recommendation: confidence < 0.58 ? 'Keine klare Wette' : prediction,
+      confidence,
+      reasoning: 'Vorab-Torerwartung auf die Restspielzeit skaliert und um Platzverweise korrigiert. Live-Quoten sind nicht beruecksichtigt.'
+    },
+    live: {
+      ...live,
+      remaining_share: model.remainingShare,
+      remaining_goals: model.remainingGoals,
+      next_goal: model.nextGoal,
+      pre_match_expected_goals: base,
+      updated_at: new Date().toISOString()
+    },
+    markets: {
+      source: 'live-poisson',
+      expected_goals: { home: round(live.score.home + model.remainingGoals.home), away: round(live.score.away + model.remainingGoals.away) },
+      ...buildMarkets(model.matrix, { lines: [goals + 0.5, goals + 1.5, goals + 2.5] }),
+      double_chance: doubleChance(probs)
+    },
+    data_quality: { diagnostics: prepared.diagnostics, external: null }
+  };
+}
+
+export function isLiveStatus(status) {
+  return LIVE_STATUS_CODES.includes(String(status ?? '').toUpperCase());
+}
+
+export function predictOffline(match, engine = 'rule') {
+  const prepared = {
+    ...prepareLocal(match, { teamFetches: [], h2hFetch: null }),
+    externalContext: { available: false, reason: 'offline', quality: { score: 0, label: 'schwach', reason: 'offline' } }
+  };
+  if (engine === 'poisson') {
+    const result = poissonPredict(prepared);
+    return result ? withMeta(result, 'poisson-dixon-coles', prepared) : null;
+  }
   return withMeta(rulePredict(prepared), 'rule-based', prepared);
 }
 
@@ -52,11 +239,28 @@ export async function getPredictionDebug(matchId) {
     },
     external: getFootballContextDebug(prepared.externalContext),
     recentApiFetches: getRecentApiFetchLog(10),
-    ollama: { host: OLLAMA_HOST, model: OLLAMA_MODEL, enabled: Boolean(OLLAMA_MODEL) },
-    llama: { enabled: Boolean(LLAMA_SERVER_URL) }
+    apiQuota: getQuotaState(),
+    llm: describeLlmProviders(),
+    llmValidation: latestValidation(prepared.match.match_id),
+    ensembleWeights: getEnsembleWeights(),
+    engine: PREDICTION_ENGINE,
+    goalModel: prepared.goalModel.error
+      ? { available: false, reason: prepared.goalModel.error, sample: prepared.goalModel.sample }
+      : { available: true, expectedGoals: prepared.goalModel.expectedGoals, rho: prepared.goalModel.rho, sample: prepared.goalModel.sample }
   };
 }
 
+function latestValidation(matchId) {
+  try {
+    const latest = getLatestPrediction(matchId);
+    const validation = latest?.data_quality ? JSON.parse(latest.data_quality).llm_validation : null;
+    return validation ? { ...validation, prediction_engine: latest.engine, created_at: latest.created_at } : null;
+  } catch (error) {
+    console.warn('LLM-Validierung nicht lesbar:', error?.message ?? error);
+    return null;
+  }
+}
+
 async function prepare(matchId) {
   const numericId = toNumber(matchId);
   if (numericId === null) return { error: 'Ungueltige Match-ID' };
@@ -68,12 +272,8 @@ async function prepare(matchId) {
   }
   if (!match) return { error: 'Match nicht gefunden' };
 
-  const hydration = await hydrateHistory(match);
-  calculateFeatures({ matchId: match.match_id });
-
-  const features = getFeatures(match.match_id, match.sport) ?? emptyFeatures(match.sport);
-  const context = getContext(match);
-  const diagnostics = diagnose(match, features, context, hydration);
+  const hydration = await runInBackground(() => hydrateHistory(match));
+  const local = prepareLocal(match, hydration);
 
   let externalContext;
   try {
@@ -84,7 +284,24 @@ async function prepare(matchId) {
     externalContext = { available: false, reason: error?.message ?? String(error), quality: { score: 0, label: 'schwach', reason: 'external_failed' } };
   }
 
-  return { match, features, context, diagnostics, externalContext };
+  return { ...local, externalContext };
+}
+
+function prepareLocal(match, hydration) {
+  calculateFeatures({ matchId: match.match_id });
+
+  const features = getFeatures(match.match_id, match.sport) ?? emptyFeatures(match.sport);
+  const context = getContext(match);
+  const diagnostics = diagnose(match, features, context, hydration);
+
+  let goalModel;
+  try {
+    goalModel = predictGoalModel(match);
+  } catch (error) {
+    goalModel = { error: error?.message ?? String(error), sample: { matches: 0, homeMatches: 0, awayMatches: 0 } };
+  }
+
+  return { match, features, context, diagnostics, goalModel };
 }
 
 async function hydrateHistory(match) {
@@ -125,6 +342,39 @@ function getMatch(matchId) {
   return stmt.get({ id: matchId }) ?? null;
 }
 
+function getRawJson(matchId) {
+  const db = getDb();
+  const row = db.prepare(`SELECT raw_json FROM matches WHERE match_id = @id`).get({ id: matchId });
+  try {
+    return row?.raw_json ? JSON.parse(row.raw_json) : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseLiveState(match, raw) {
+  const fixtureStatus = raw?.fixture?.status ?? {};
+  const status = String(fixtureStatus.short ?? match.status ?? '').toUpperCase();
+  if (!isLiveStatus(status)) return null;
+
+  const elapsed = fixtureStatus.elapsed === null || fixtureStatus.elapsed === undefined ? null : toNumber(fixtureStatus.elapsed);
+  const minute = status === 'HT' ? 45 : status === 'BT' ? 90 : (elapsed ?? 0) + (toNumber(fixtureStatus.extra ?? 0) ?? 0);
+  const homeId = raw?.teams?.home?.id ?? match.home_team_id;
+  const reds = (Array.isArray(raw?.events) ? raw.events : [])
+    .filter((event) => norm(event?.type) === 'card' && /red|second yellow/.test(norm(event?.detail)));
+  const homeReds = reds.filter((event) => event?.team?.id === homeId).length;
+
+  return {
+    status,
+    minute,
+    score: {
+      home: toNumber(raw?.goals?.home ?? 0) ?? 0,
+      away: toNumber(raw?.goals?.away ?? 0) ?? 0
+    },
+    red_cards: { home: homeReds, away: reds.length - homeReds }
+  };
+}
+
 function getFeatures(matchId, sportHint) {
   const db = getDb();
   const row = db.prepare(`
@@ -231,6 +481,7 @@ function buildPrompt(prepared) {
     'Du bist ein vorsichtiger Fussball-Analyst. Nutze nur diese Daten.',
     'Fehlende lokale Werte bedeuten NICHT, dass ein Team schlecht ist. Sie bedeuten nur fehlende Daten.',
     'Wenn local_stats.diagnostics.hasUsableSamples false ist, confidence maximal 0.45 und keine starke Wette.',
+    'venue_* sind Heimspiele des Heimteams bzw. Auswaertsspiele des Gastteams, adj_goals_* sind gegnerbereinigte Tore pro Spiel, rest_days die Ruhetage seit dem letzten Spiel.',
     'Antworte nur als JSON: match_id, prediction, probabilities {home, draw, away}, explanation, betting_advice {recommendation, confidence, reasoning}.',
     '',
     'RAW_DATA_JSON:',
@@ -241,55 +492,7 @@ function buildPrompt(prepared) {
   ].join('\n');
 }
 
-async function tryEngine(engine, callFn, prepared) {
-  try {
-    const raw = await callFn();
-    const parsed = parsePayload(raw);
-    const normalized = normalizePrediction(parsed, prepared);
-    return normalized ? withMeta(normalized, engine, prepared) : null;
-  } catch (error) {
-    console.warn(`${engine} fehlgeschlagen:`, error?.message ?? error);
-    return null;
-  }
-}
-
-async function callOllama(prompt) {
-  const host = OLLAMA_HOST.replace(/\/$/, '');
-  const response = await axios.post(`${host}/api/generate`, {
-    model: OLLAMA_MODEL,
-    prompt,
-    stream: false,
-    format: 'json',
-    options: {
-      temperature: 0.05,
-      top_p: 0.75,
-      repeat_penalty: 1.08,
-      num_ctx: Number(process.env.OLLAMA_NUM_CTX) || 8192,
-      num_predict: Number(process.env.OLLAMA_NUM_PREDICT) || 900
-    }
-  }, { timeout: Number(process.env.OLLAMA_TIMEOUT_MS) || 90000 });
-  return response.data;
-}
-
-async function callRemote(prompt) {
-  const response = await axios.post(LLAMA_SERVER_URL, { prompt, maxTokens: 900, temperature: 0.08 }, { timeout: 30000 });
-  return response.data;
-}
-
-function parsePayload(raw) {
-  if (!raw) return null;
-  if (typeof raw === 'string') return extractJson(raw);
-  if (raw.prediction && raw.probabilities) return raw;
-  for (const key of ['response', 'completion', 'output', 'text']) {
-    if (typeof raw[key] === 'string') {
-      const parsed = extractJson(raw[key]);
-      if (parsed) return parsed;
-    }
-  }
-  return null;
-}
-
-function normalizePrediction(payload, prepared) {
+export function normalizePrediction(payload, prepared) {
   if (!payload?.probabilities) return null;
   const probs = normalizeProbabilities(payload.probabilities);
   let confidence = probability(payload?.betting_advice?.confidence) ?? 0.35;
@@ -316,8 +519,10 @@ function rulePredict(prepared) {
   const diffEdge = clamp(-1, 1, (features.home_goal_diff_avg - features.away_goal_diff_avg) / 3) * 0.25;
   const homeAdv = 0.07;
   const apiEdge = apiPredictionEdge(externalContext, match.home_team, match.away_team) * 0.12;
-  const edge = diagnostics.hasUsableSamples ? clamp(-0.85, 0.85, formEdge + ppgEdge + diffEdge + homeAdv + apiEdge) : homeAdv + apiEdge;
-  const draw = clamp(0.14, 0.34, 0.28 - Math.abs(edge) * 0.18);
+  const localEdge = formEdge + ppgEdge + diffEdge + venueEdge(features) * 0.12 + adjustedGoalEdge(features) * 0.15 + restEdge(features) * 0.04;
+  const edge = diagnostics.hasUsableSamples ? clamp(-0.85, 0.85, localEdge + homeAdv + apiEdge) : homeAdv + apiEdge;
+  const lowScoring = diagnostics.hasUsableSamples ? lowScoringDrawShift(features) : 0;
+  const draw = clamp(0.14, 0.34, 0.28 + lowScoring - Math.abs(edge) * 0.18);
   const rest = 1 - draw;
   const homeShare = clamp(0.15, 0.85, 0.5 + edge / 1.65);
   const probs = normalizeProbabilities({ home: rest * homeShare, draw, away: rest * (1 - homeShare) });
@@ -332,8 +537,102 @@ function rulePredict(prepared) {
   };
 }
 
+function venueEdge(features) {
+  if (features.home_venue_games < 3 || features.away_venue_games < 3) return 0;
+  return features.home_venue_form - features.away_venue_form;
+}
+
+function adjustedGoalEdge(features) {
+  const values = [features.home_adj_goals_for, features.home_adj_goals_against, features.away_adj_goals_for, features.away_adj_goals_against];
+  if (values.some((value) => value === null)) return 0;
+  const homeDiff = features.home_adj_goals_for - features.home_adj_goals_against;
+  const awayDiff = features.away_adj_goals_for - features.away_adj_goals_against;
+  return clamp(-1, 1, (homeDiff - awayDiff) / 3);
+}
+
+function restEdge(features) {
+  if (features.home_rest_days === null || features.away_rest_days === null) return 0;
+  return clamp(-1, 1, (Math.min(features.home_rest_days, 7) - Math.min(features.away_rest_days, 7)) / 4);
+}
+
+function lowScoringDrawShift(features) {
+  const rate = (features.home_clean_sheet_rate + features.away_clean_sheet_rate + features.home_failed_to_score_rate + features.away_failed_to_score_rate) / 4;
+  return clamp(-0.03, 0.03, (rate - 0.3) * 0.15);
+}
+
+function poissonPredict(prepared) {
+  const { match, context, diagnostics, goalModel: model } = prepared;
+  if (model.error) return null;
+
+  const probs = normalizeProbabilities(model.outcomes);
+  const prediction = pick(probs);
+  let confidence = clamp(0.35, 0.7, Math.max(probs.home, probs.draw, probs.away) + 0.08);
+  if (!diagnostics.hasUsableSamples) confidence = Math.min(confidence, 0.45);
+  if (diagnostics.localQualityLabel === 'schwach') confidence = Math.min(confidence, 0.58);
+  confidence = round(confidence);
+  return {
+    match_id: match.match_id,
+    prediction,
+    probabilities: probs,
+    explanation: `Dixon-Coles-Tormodell. xG ${model.expectedGoals.home}:${model.expectedGoals.away}, rho=${model.rho}, Spiele im Fit=${model.sample.matches}, H2H=${context.headToHead.length}.`,
+    betting_advice: {
+      recommendation: confidence < 0.58 ? 'Keine klare Wette' : prediction,
+      confidence,
+      reasoning: `Angriffs-/Abwehrstaerken aus ${model.sample.homeMatches} bzw. ${model.sample.awayMatches} Spielen mit Zeitgewichtung.`
+    },
+    goal_model: {
+      expected_goals: model.expectedGoals,
+      rho: model.rho,
+      strengths: model.strengths,
+      sample: model.sample,
+      score_matrix: model.matrix.map((row) => row.map((p) => Math.round(p * 10000) / 10000))
+    }
+  };
+}
+
 function withMeta(result, engine, prepared) {
-  return { ...result, engine, data_quality: { diagnostics: prepared.diagnostics, external: prepared.externalContext?.quality ?? null } };
+  return {
+    ...result,
+    markets: buildPredictionMarkets(result.probabilities, prepared),
+    engine,
+    data_quality: { diagnostics: prepared.diagnostics, external: prepared.externalContext?.quality ?? null }
+  };
+}
+
+function buildPredictionMarkets(probs, prepared) {
+  const { features, goalModel, externalContext } = prepared;
+  let source = 'dixon-coles';
+  let expectedGoals = goalModel?.error ? null : goalModel?.expectedGoals;
+  let matrix = goalModel?.error ? null : goalModel?.matrix;
+
+  if (!matrix) {
+    source = 'feature-poisson';
+    expectedGoals = featureExpectedGoals(features, prepared.diagnostics);
+    matrix = scorelineMatrix(expectedGoals.home, expectedGoals.away);
+  }
+
+  return {
+    source,
+    expected_goals: expectedGoals,
+    ...buildMarkets(matrix),
+    double_chance: doubleChance(probs),
+    api_under_over: externalContext?.apiPrediction?.underOver ?? null
+  };
+}
+
+function doubleChance(probs) {
+  return {
+    '1X': round((probs?.home ?? 0) + (probs?.draw ?? 0)),
+    'X2': round((probs?.draw ?? 0) + (probs?.away ?? 0)),
+    '12': round((probs?.home ?? 0) + (probs?.away ?? 0))
+  };
+}
+
+function featureExpectedGoals(features, diagnostics) {
+  if (!diagnostics.hasUsableSamples) return { home: 1.45, away: 1.15 };
+  const home = (features.home_goals_avg + features.away_goals_against_avg) / 2;
+  const away = (features.away_goals_avg + features.home_goals_against_avg) / 2;
+  return { home: round(clamp(0.2, 4.5, home || 1.45)), away: round(clamp(0.2, 4.5, away || 1.15)) };
 }
 
 function apiPredictionEdge(external, homeTeam, awayTeam) {
@@ -358,7 +657,18 @@ function normalizeFeatures(row, sport) {
     home_goals_against_avg: num(row.home_goals_against_avg), away_goals_against_avg: num(row.away_goals_against_avg),
     home_goal_diff_avg: num(row.home_goal_diff_avg), away_goal_diff_avg: num(row.away_goal_diff_avg),
     home_points_per_game: num(row.home_points_per_game), away_points_per_game: num(row.away_points_per_game),
-    home_recent_form: row.home_recent_form ?? '', away_recent_form: row.away_recent_form ?? ''
+    home_recent_form: row.home_recent_form ?? '', away_recent_form: row.away_recent_form ?? '',
+    home_elo: toNumber(row.home_elo), away_elo: toNumber(row.away_elo),
+    elo_home_win_prob: toNumber(row.elo_home_win_prob), elo_draw_prob: toNumber(row.elo_draw_prob), elo_away_win_prob: toNumber(row.elo_away_win_prob),
+    home_venue_games: num(row.home_venue_games), away_venue_games: num(row.away_venue_games),
+    home_venue_form: num(row.home_venue_form), away_venue_form: num(row.away_venue_form),
+    home_venue_goals_avg: num(row.home_venue_goals_avg), away_venue_goals_avg: num(row.away_venue_goals_avg),
+    home_venue_goals_against_avg: num(row.home_venue_goals_against_avg), away_venue_goals_against_avg: num(row.away_venue_goals_against_avg),
+    home_adj_goals_for: toNumber(row.home_adj_goals_for), away_adj_goals_for: toNumber(row.away_adj_goals_for),
+    home_adj_goals_against: toNumber(row.home_adj_goals_against), away_adj_goals_against: toNumber(row.away_adj_goals_against),
+    home_clean_sheet_rate: num(row.home_clean_sheet_rate), away_clean_sheet_rate: num(row.away_clean_sheet_rate),
+    home_failed_to_score_rate: num(row.home_failed_to_score_rate), away_failed_to_score_rate: num(row.away_failed_to_score_rate),
+    home_rest_days: toNumber(row.home_rest_days), away_rest_days: toNumber(row.away_rest_days)
   };
 }
 
@@ -368,8 +678,9 @@ function toNumber(v) { const n = Number(v); return Number.isFinite(n) ? n : null
 function round(v) { return Math.round(Number(v) * 100) / 100; }
 function clamp(min, max, v) { return Math.max(min, Math.min(max, Number(v))); }
 function norm(v) { return String(v ?? '').trim().toLowerCase(); }
-function probability(v) { const n = Number(String(v ?? '').replace('%', '').trim()); return Number.isFinite(n) ? (n > 1 ? n / 100 : n) : null; }
-function normalizeProbabilities(p) { const h = Math.max(0, probability(p.home) ?? 0); const d = Math.max(0, probability(p.draw) ?? 0); const a = Math.max(0, probability(p.away) ?? 0); const t = h + d + a; return t ? { home: round(h / t), draw: round(d / t), away: round(a / t) } : { home: 0.34, draw: 0.33, away: 0.33 }; }
+function probability(v) { const text = String(v ?? '').replace('%', '').trim(); const n = text ? Number(text) : NaN; return Number.isFinite(n) ? (n > 1 ? n / 100 : n) : null; }
+export function normalizeProbabilities(p) { const h = Math.max(0, probability(p.home) ?? 0); const d = Math.max(0, probability(p.draw) ?? 0); const a = Math.max(0, probability(p.away) ?? 0); const t = h + d + a; return t ? { home: round(h / t), draw: round(d / t), away: round(a / t) } : { home: 0.34, draw: 0.33, away: 0.33 }; }
 function pick(p) { return [['Heimsieg', p.home], ['Unentschieden', p.draw], ['Auswaertssieg', p.away]].sort((a, b) => b[1] - a[1])[0][0]; }
 function normalizeLabel(v) { const s = norm(v); if (s.includes('heim') || s.includes('home') || s === '1') return 'Heimsieg'; if (s.includes('away') || s.includes('auswaert') || s.includes('auswärt') || s === '2') return 'Auswaertssieg'; return 'Unentschieden'; }
-function extractJson(text) { const m = String(text ?? '').match(/\{[\s\S]*\}/); if (!m) return null; try { return JSON.parse(m[0]); } catch { return null; } }
+export function extractJson(text) { return parseJsonObject(text).value; }
+function isPreMatch(match) { return PRE_MATCH_STATUS_CODES.includes(match?.status ?? 'NS') && Date.parse(match?.date) > Date.now(); }
@@ -0,0 +1,112 @@
+import { getDb } from '../data/db.js';
+import { getMatchWinnerOdds } from '../data/oddsStore.js';
+
+const MIN_EV = Number(process.env.VALUE_BET_MIN_EV ?? 0.05);
+const KELLY_FRACTION = Number(process.env.KELLY_FRACTION) || 0.25;
+const KELLY_MAX_SHARE = Number(process.env.KELLY_MAX_SHARE) || 0.05;
+const OUTCOMES = ['home', 'draw', 'away'];
+const LABELS = { home: 'Heimsieg', draw: 'Unentschieden', away: 'Auswaertssieg' };
+const DAY_FORMAT = new Intl.DateTimeFormat('en-CA', { timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin' });
+
+export function findValueBets(probabilities, odds, { minEv = MIN_EV } = {}) {
+  const prices = toOutcomeOdds(odds);
+  if (!probabilities || !prices) return null;
+
+  const overround = OUTCOMES.reduce((sum, outcome) => sum + 1 / prices[outcome], 0);
+  const outcomes = OUTCOMES.map((outcome) => {
+    const fair = 1 / prices[outcome] / overround;
+    const best = prices.best?.[outcome]?.odd > 1 ? prices.best[outcome] : null;
+    const odd = best?.odd ?? prices[outcome];
+    const model = Number(probabilities[outcome]) || 0;
+    const ev = model * odd - 1;
+    return {
+      outcome,
+      label: LABELS[outcome],
+      odd,
+      bookmaker: best?.bookmaker ?? prices.bookmaker,
+      consensus_odd: prices[outcome],
+      fair_probability: round(fair),
+      fair_odd: round(1 / fair),
+      model_probability: round(model),
+      edge: round(model - fair),
+      ev: round(ev),
+      kelly_share: kellyShare(model, odd),
+      value: ev > minEv
+    };
+  });
+
+  return {
+    bookmaker: prices.bookmaker,
+    margin: round(overround - 1),
+    min_ev: minEv,
+    outcomes,
+    best: outcomes.filter((item) => item.value).sort((a, b) => b.ev - a.ev)[0] ?? null
+  };
+}
+
+export function impliedProbabilities(odds) {
+  const prices = toOutcomeOdds(odds);
+  if (!prices) return null;
+  const overround = OUTCOMES.reduce((sum, outcome) => sum + 1 / prices[outcome], 0);
+  return Object.fromEntries(OUTCOMES.map((outcome) => [outcome, round(1 / prices[outcome] / overround)]));
+}
+
+export function kellyShare(probability, odds, { fraction = KELLY_FRACTION, maxShare = KELLY_MAX_SHARE } = {}) {
+  const p = Number(probability);
+  const b = Number(odds) - 1;
+  if (!(p > 0) || !(b > 0)) return 0;
+  const full = (b * p - (1 - p)) / b;
+  return full > 0 ? round(Math.min(maxShare, full * fraction)) : 0;
+}
+
+export function getTodayValueBets({ limit = 10, minEv = MIN_EV, date = DAY_FORMAT.format(new Date()) } = {}) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT p.match_id, p.engine, p.prob_home, p.prob_draw, p.prob_away,
+           m.date, m.home_team, m.away_team, m.league_name
+    FROM predictions p
+    JOIN (SELECT match_id, MAX(id) AS id FROM predictions WHERE match_id IS NOT NULL GROUP BY match_id) latest ON latest.id = p.id
+    JOIN matches m ON m.match_id = p.match_id
+    WHERE p.status = 'open'
+      AND date(m.date) BETWEEN date(@date, '-1 day') AND date(@date, '+1 day')
+  `).all({ date });
+
+  return rows
+    .filter((row) => DAY_FORMAT.format(new Date(row.date)) === date)
+    .flatMap((row) => {
+      const probabilities = { home: row.prob_home, draw: row.prob_draw, away: row.prob_away };
+      const result = findValueBets(probabilities, getMatchWinnerOdds(row.match_id), { minEv });
+      return (result?.outcomes ?? [])
+        .filter((item) => item.value)
+        .map((item) => ({
+          match_id: row.match_id,
+          date: row.date,
+          home_team: row.home_team,
+          away_team: row.away_team,
+          league_name: row.league_name,
+          engine: row.engine,
+          margin: result.margin,
+          ...item
+        }));
+    })
+    .sort((a, b) => b.ev - a.ev)
+    .slice(0, limit);
+}
+
+function toOutcomeOdds(odds) {
+  if (!odds) return null;
+  let prices = odds;
+  if (Array.isArray(odds.values)) {
+    const byLabel = Object.fromEntries(odds.values.map((value) => [String(value.label ?? '').trim().toLowerCase(), value]));
+    const entries = { home: byLabel.home ?? byLabel['1'], draw: byLabel.draw ?? byLabel.x, away: byLabel.away ?? byLabel['2'] };
+    prices = {
+      ...Object.fromEntries(OUTCOMES.map((outcome) => [outcome, entries[outcome]?.odd])),
+      best: Object.fromEntries(OUTCOMES.map((outcome) => [outcome, { odd: entries[outcome]?.best ?? null, bookmaker: entries[outcome]?.bestBookmaker ?? null }]))
+    };
+  }
+  const result = Object.fromEntries(OUTCOMES.map((outcome) => [outcome, Number(prices[outcome])]));
+  if (OUTCOMES.some((outcome) => !(result[outcome] > 1))) return null;
+  return { ...result, best: prices.best ?? null, bookmaker: odds.bookmaker ?? null };
+}
+
+function round(value) { return Math.round(Number(value) * 10000) / 10000; }
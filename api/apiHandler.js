@@ -1,15 +1,17 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
+import { settleUserBets } from '../data/bankrollStore.js';
 import { getDb } from '../data/db.js';
+import { settlePredictions } from '../data/predictionStore.js';
+import { invalidateTeamFeatures } from '../features/featureEngine.js';
+import { FOOTBALL_API_URL, BASKETBALL_API_URL, requestApiSports } from './requestClient.js';
 
 dotenv.config();
 
-const FOOTBALL_BASE_URL = 'https://v3.football.api-sports.io/fixtures';
-const FOOTBALL_TEAMS_URL = 'https://v3.football.api-sports.io/teams';
-const BASKETBALL_BASE_URL = 'https://v1.basketball.api-sports.io/games';
+const FOOTBALL_BASE_URL = `${FOOTBALL_API_URL}/fixtures`;
+const FOOTBALL_TEAMS_URL = `${FOOTBALL_API_URL}/teams`;
+const BASKETBALL_BASE_URL = `${BASKETBALL_API_URL}/games`;
 const DEFAULT_TIMEZONE = process.env.API_TIMEZONE ?? 'Europe/Berlin';
-const DEFAULT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 15000;
 const FOOTBALL_HISTORY_DAYS = Number(process.env.API_FOOTBALL_HISTORY_DAYS) || 730;
 const FREE_HISTORY_FROM = process.env.API_FOOTBALL_FREE_HISTORY_FROM ?? '2022-01-01';
 const FREE_HISTORY_TO = process.env.API_FOOTBALL_FREE_HISTORY_TO ?? '2024-12-31';
@@ -467,65 +469,23 @@ async function requestFootballFixtures(params, apiKey, label) {
     ? params
     : `${FOOTBALL_BASE_URL}?${params.toString()}`;
 
-  const payload = await requestApi(url, {
-    headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': 'v3.football.api-sports.io' },
-    label
-  });
+  const payload = await requestApiSports(url, { apiKey, label });
 
   return Array.isArray(payload.response) ? payload.response : [];
 }
 
 async function requestFootballTeams(params, apiKey, label) {
-  const payload = await requestApi(`${FOOTBALL_TEAMS_URL}?${params.toString()}`, {
-    headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': 'v3.football.api-sports.io' },
-    label
-  });
+  const payload = await requestApiSports(`${FOOTBALL_TEAMS_URL}?${params.toString()}`, { apiKey, label });
 
   return Array.isArray(payload.response) ? payload.response : [];
 }
 
 async function requestBasketballGames(params, apiKey, label) {
-  const payload = await requestApi(`${BASKETBALL_BASE_URL}?${params.toString()}`, {
-    headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': 'v1.basketball.api-sports.io' },
-    label
-  });
+  const payload = await requestApiSports(`${BASKETBALL_BASE_URL}?${params.toString()}`, { apiKey, label });
 
   return Array.isArray(payload.response) ? payload.response : [];
 }
 
-async function requestApi(url, { headers, label }) {
-  let response;
-  try {
-    response = await axios.get(url, {
-      headers,
-      timeout: DEFAULT_TIMEOUT_MS,
-      validateStatus: (status) => status >= 200 && status < 500
-    });
-  } catch (error) {
-    recordApiFetch({ label, ok: false, url, error: error?.message ?? String(error) });
-    throw error;
-  }
-
-  const payload = response.data ?? {};
-  const responseCount = Array.isArray(payload.response) ? payload.response.length : 0;
-
-  if (response.status !== 200) {
-    const message = `${label}: HTTP ${response.status} ${response.statusText ?? ''}`.trim();
-    recordApiFetch({ label, ok: false, status: response.status, responseCount, url, error: message });
-    throw new Error(message);
-  }
-
-  const apiError = getApiErrorMessage(payload.errors);
-  if (apiError) {
-    const message = `${label}: API-Fehler: ${apiError}`;
-    recordApiFetch({ label, ok: false, status: response.status, responseCount, url, error: message });
-    throw new Error(message);
-  }
-
-  recordApiFetch({ label, ok: true, status: response.status, responseCount, url });
-  return payload;
-}
-
 async function safeRequest(fn, label) {
   try {
     const matches = await fn();
@@ -568,6 +528,9 @@ function saveMatches(matches, sport) {
   });
 
   insertMany(rows);
+  invalidateTeamFeatures(rows);
+  settlePredictions();
+  settleUserBets();
   return rows.length;
 }
 
@@ -716,22 +679,6 @@ function getBasketballApiKey() {
   return apiKey;
 }
 
-function getApiErrorMessage(errors) {
-  if (!errors) return null;
-  if (Array.isArray(errors)) {
-    const items = errors.filter(Boolean).map(String);
-    return items.length ? items.join('; ') : null;
-  }
-  if (typeof errors === 'string') return errors.trim() || null;
-  if (typeof errors === 'object') {
-    const items = Object.entries(errors)
-      .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
-      .map(([key, value]) => `${key}: ${String(value)}`);
-    return items.length ? items.join('; ') : null;
-  }
-  return String(errors);
-}
-
 function hasFinalScore(match) {
   const footballGoals = match?.goals;
   if (footballGoals && isNumber(footballGoals.home) && isNumber(footballGoals.away)) return true;
@@ -781,34 +728,3 @@ function safeJsonStringify(value) {
   }
 }
 
-function recordApiFetch({ label, ok, status = null, responseCount = 0, error = null, url = null, params = null }) {
-  try {
-    const db = getDb();
-    db.prepare(`
-      INSERT INTO api_fetch_log (label, ok, status, response_count, error, url, params)
-      VALUES (@label, @ok, @status, @responseCount, @error, @url, @params)
-    `).run({
-      label: label ?? 'unknown',
-      ok: ok ? 1 : 0,
-      status,
-      responseCount: Number(responseCount) || 0,
-      error,
-      url: sanitizeUrl(url),
-      params
-    });
-  } catch {
-    // Diagnostics must never break the actual bot flow. Sadly, logging can also fail, because software.
-  }
-}
-
-function sanitizeUrl(url) {
-  if (!url) return null;
-  try {
-    const parsed = new URL(url);
-    parsed.searchParams.delete('key');
-    parsed.searchParams.delete('api_key');
-    return parsed.toString();
-  } catch {
-    return String(url).slice(0, 500);
-  }
-}
@@ -1,56 +1,120 @@
-const cache = new Map();
+import { getDb } from '../data/db.js';
+import { shouldSkipApi } from './apiCooldown.js';
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 5000;
+const STALE_MS = Number(process.env.CACHE_STALE_MS) || 24 * 60 * 60 * 1000;
+
+const inflight = new Map();
 
 export function getCached(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (entry.expiresAt <= Date.now()) {
-    cache.delete(key);
-    return null;
-  }
+  const entry = readEntry(key);
+  if (!entry || entry.expires_at <= Date.now()) return null;
+  touch(key);
   return entry.value;
 }
 
 export function setCached(key, value, ttlMs) {
   if (!key || !Number.isFinite(ttlMs) || ttlMs <= 0) return value;
-  cache.set(key, {
-    value,
-    expiresAt: Date.now() + ttlMs
-  });
+  try {
+    const db = getDb();
+    const now = Date.now();
+    const payload = JSON.stringify(value ?? null);
+    db.prepare(`
+      INSERT INTO api_cache (key, value, created_at, expires_at, accessed_at, size)
+      VALUES (@key, @payload, @now, @expiresAt, @now, @size)
+      ON CONFLICT(key) DO UPDATE SET value = @payload, created_at = @now, expires_at = @expiresAt, accessed_at = @now, size = @size
+    `).run({ key, payload, now, expiresAt: now + ttlMs, size: payload.length });
+    prune(db, now);
+  } catch (error) {
+    console.warn(`Cache-Eintrag ${key} konnte nicht gespeichert werden:`, error?.message ?? error);
+  }
   return value;
 }
 
 export async function cached(key, ttlMs, factory) {
-  const existing = getCached(key);
-  if (existing !== null) return existing;
-  const value = await factory();
-  setCached(key, value, ttlMs);
-  return value;
+  const entry = readEntry(key);
+  const now = Date.now();
+  if (entry && entry.expires_at > now && entry.value !== null) {
+    touch(key);
+    return entry.value;
+  }
+  if (inflight.has(key)) return inflight.get(key);
+
+  const stale = entry && entry.value !== null ? entry.value : null;
+  if (stale !== null && shouldSkipApi()) return stale;
+
+  const request = (async () => {
+    try {
+      const value = await factory();
+      if (value === null && stale !== null) return stale;
+      setCached(key, value, ttlMs);
+      return value;
+    } catch (error) {
+      if (stale !== null) return stale;
+      throw error;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, request);
+  return request;
 }
 
 export function getCacheStats() {
-  const now = Date.now();
-  let active = 0;
-  let expired = 0;
-  for (const entry of cache.values()) {
-    if (entry.expiresAt > now) active += 1;
-    else expired += 1;
+  try {
+    const db = getDb();
+    const now = Date.now();
+    const stats = db.prepare(`
+      SELECT COUNT(*) AS total,
+             SUM(CASE WHEN expires_at > @now THEN 1 ELSE 0 END) AS active,
+             SUM(size) AS bytes
+      FROM api_cache
+    `).get({ now });
+    const keys = db.prepare(`SELECT key FROM api_cache ORDER BY accessed_at DESC LIMIT 30`).all().map((row) => row.key);
+    return {
+      active: stats.active ?? 0,
+      expired: (stats.total ?? 0) - (stats.active ?? 0),
+      total: stats.total ?? 0,
+      bytes: stats.bytes ?? 0,
+      inflight: inflight.size,
+      max_entries: MAX_ENTRIES,
+      keys
+    };
+  } catch (error) {
+    return { active: 0, expired: 0, total: 0, bytes: 0, inflight: inflight.size, max_entries: MAX_ENTRIES, keys: [], error: error?.message ?? String(error) };
   }
-  return {
-    active,
-    expired,
-    total: cache.size,
-    keys: [...cache.keys()].slice(0, 30)
-  };
 }
 
 export function clearExpiredCache() {
-  const now = Date.now();
-  let removed = 0;
-  for (const [key, entry] of cache.entries()) {
-    if (entry.expiresAt <= now) {
-      cache.delete(key);
-      removed += 1;
-    }
+  try {
+    const db = getDb();
+    return db.prepare(`DELETE FROM api_cache WHERE expires_at <= @cutoff`).run({ cutoff: Date.now() - STALE_MS }).changes;
+  } catch {
+    return 0;
   }
-  return removed;
+}
+
+function readEntry(key) {
+  try {
+    const db = getDb();
+    const row = db.prepare(`SELECT value, expires_at FROM api_cache WHERE key = @key`).get({ key });
+    return row ? { value: JSON.parse(row.value), expires_at: row.expires_at } : null;
+  } catch {
+    return null;
+  }
+}
+
+function touch(key) {
+  try {
+    getDb().prepare(`UPDATE api_cache SET accessed_at = @now WHERE key = @key`).run({ key, now: Date.now() });
+  } catch {}
+}
+
+function prune(db, now) {
+  db.prepare(`DELETE FROM api_cache WHERE expires_at <= @cutoff`).run({ cutoff: now - STALE_MS });
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM api_cache`).get();
+  if (total <= MAX_ENTRIES) return;
+  db.prepare(`
+    DELETE FROM api_cache WHERE key IN (SELECT key FROM api_cache ORDER BY accessed_at ASC LIMIT @excess)
+  `).run({ excess: total - MAX_ENTRIES });
 }
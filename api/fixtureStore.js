@@ -0,0 +1,64 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const VOLATILE_PARAMS = ['date', 'from', 'to', 'season', 'timezone'];
+const SPORTS = ['football', 'basketball'];
+
+export function fixtureKey(url) {
+  const parsed = new URL(url, 'http://localhost');
+  const [first, ...rest] = parsed.pathname.split('/').filter(Boolean);
+  const prefixed = SPORTS.includes(first);
+  const sport = prefixed ? first : parsed.hostname.includes('basketball') ? 'basketball' : 'football';
+  const segments = prefixed ? rest : [first, ...rest].filter(Boolean);
+  const endpoint = segments.join('/').replace(/[^\w/-]/g, '_') || 'root';
+  const params = Object.fromEntries([...parsed.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  const query = new URLSearchParams(params).toString();
+  const slug = Object.entries(params).map(([key, value]) => `${key}-${value}`).join('_').replace(/[^\w.-]/g, '_').slice(0, 80) || '_all';
+  const hash = crypto.createHash('sha1').update(query).digest('hex').slice(0, 8);
+  return { sport, endpoint, params, file: `${slug}-${hash}.json` };
+}
+
+export function saveFixture(dir, url, payload) {
+  try {
+    const { sport, endpoint, params, file } = fixtureKey(url);
+    const target = path.join(dir, sport, endpoint, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify({ sport, endpoint, params, recorded_at: new Date().toISOString(), payload }, null, 2));
+    return target;
+  } catch (error) {
+    console.warn(`Fixture fuer ${url} konnte nicht gespeichert werden:`, error?.message ?? error);
+    return null;
+  }
+}
+
+export function findFixture(dir, url) {
+  const { sport, endpoint, params, file } = fixtureKey(url);
+  const exact = readFixture(path.join(dir, sport, endpoint, file));
+  if (exact) return { match: 'exact', ...exact };
+
+  const stable = stableParams(params);
+  const candidates = listFixtures(path.join(dir, sport, endpoint))
+    .filter((fixture) => sameParams(stableParams(fixture.params ?? {}), stable))
+    .sort((a, b) => String(b.recorded_at).localeCompare(String(a.recorded_at)));
+  return candidates.length ? { match: 'loose', ...candidates[0] } : null;
+}
+
+function listFixtures(dir) {
+  try {
+    return fs.readdirSync(dir).filter((name) => name.endsWith('.json')).map((name) => readFixture(path.join(dir, name))).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function readFixture(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function stableParams(params) { return Object.fromEntries(Object.entries(params).filter(([key]) => !VOLATILE_PARAMS.includes(key))); }
+function sameParams(a, b) { const keys = Object.keys(a); return keys.length === Object.keys(b).length && keys.every((key) => String(a[key]) === String(b[key])); }
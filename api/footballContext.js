@@ -1,21 +1,29 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
+import { getOddsMovement, getOddsSummary, saveOddsSnapshot } from '../data/oddsStore.js';
 import { cached, getCacheStats } from './cache.js';
+import { FOOTBALL_API_URL, requestApiSports } from './requestClient.js';
 
 dotenv.config();
 
-const FIXTURES_URL = 'https://v3.football.api-sports.io/fixtures';
-const PREDICTIONS_URL = 'https://v3.football.api-sports.io/predictions';
-const ODDS_URL = 'https://v3.football.api-sports.io/odds';
-const INJURIES_URL = 'https://v3.football.api-sports.io/injuries';
-const STANDINGS_URL = 'https://v3.football.api-sports.io/standings';
+const FIXTURES_URL = `${FOOTBALL_API_URL}/fixtures`;
+const PREDICTIONS_URL = `${FOOTBALL_API_URL}/predictions`;
+const ODDS_URL = `${FOOTBALL_API_URL}/odds`;
+const INJURIES_URL = `${FOOTBALL_API_URL}/injuries`;
+const STANDINGS_URL = `${FOOTBALL_API_URL}/standings`;
 
-const DEFAULT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 15000;
 const DEFAULT_TIMEZONE = process.env.API_TIMEZONE ?? 'Europe/Berlin';
 const BASKETBALL_OFFSET = 5_000_000_000;
 
+const ODDS_MARKETS = [
+  { key: '1x2', id: 1, name: 'match winner' },
+  { key: 'asian_handicap', id: 4, name: 'asian handicap' },
+  { key: 'over_under', id: 5, name: 'goals over/under' },
+  { key: 'btts', id: 8, name: 'both teams score' }
+];
+const MAIN_OVER_UNDER_LINES = ['1.5', '2.5', '3.5'];
+
 const TTL = {
   fixture: 20 * 60 * 1000,
   prediction: 30 * 60 * 1000,
@@ -60,6 +68,11 @@ export async function buildFootballContext(matchOrId) {
   };
 }
 
+export async function fetchMatchInjuries(matchId) {
+  const fixtureId = getRawFootballFixtureId(matchId);
+  return fixtureId ? fetchInjuries(fixtureId) : [];
+}
+
 export function formatFootballContextForPrompt(context, homeTeam, awayTeam) {
   if (!context?.available) {
     return `Externe API-Zusatzdaten: nicht verfuegbar (${context?.reason ?? 'unbekannt'}).`;
@@ -113,7 +126,9 @@ async function fetchOdds(fixtureId) {
   return cached(`football:odds:${fixtureId}`, TTL.odds, async () => {
     const payload = await safeRequest(() => requestFootball(ODDS_URL, new URLSearchParams({ fixture: String(fixtureId) }), `odds-${fixtureId}`));
     const item = Array.isArray(payload?.response) ? payload.response[0] ?? null : null;
-    return normalizeOdds(item);
+    const quotes = normalizeOdds(item);
+    if (quotes.length) saveOddsSnapshot(fixtureId, quotes);
+    return buildOddsContext(fixtureId);
   });
 }
 
@@ -139,22 +154,7 @@ async function fetchStandings(leagueId, season) {
 async function requestFootball(url, params, label) {
   const apiKey = process.env.API_FOOTBALL_KEY;
   if (!apiKey) throw new Error('API_FOOTBALL_KEY not set in environment (.env)');
-
-  const response = await axios.get(`${url}?${params.toString()}`, {
-    headers: {
-      'x-apisports-key': apiKey,
-      'x-rapidapi-host': 'v3.football.api-sports.io'
-    },
-    timeout: DEFAULT_TIMEOUT_MS,
-    validateStatus: (status) => status >= 200 && status < 500
-  });
-
-  if (response.status !== 200) throw new Error(`${label}: HTTP ${response.status}`);
-
-  const payload = response.data ?? {};
-  const apiError = getApiErrorMessage(payload.errors);
-  if (apiError) throw new Error(`${label}: API-Fehler: ${apiError}`);
-  return payload;
+  return requestApiSports(`${url}?${params.toString()}`, { apiKey, label });
 }
 
 async function safeRequest(fn) {
@@ -180,6 +180,42 @@ function getMatchFromDb(matchId) {
   return stmt.get({ matchId: numericId }) ?? null;
 }
 
+function buildOddsContext(matchId) {
+  const summary = getOddsSummary(matchId);
+  const winner = summary?.markets['1x2']?.['-'];
+  if (!winner) return null;
+  return {
+    bookmaker: `Konsens aus ${summary.bookmakers} Bookmakern`,
+    market: 'Match Winner',
+    bookmakers: summary.bookmakers,
+    fetchedAt: summary.fetched_at,
+    values: [['home', 'Home'], ['draw', 'Draw'], ['away', 'Away']]
+      .filter(([key]) => winner[key])
+      .map(([key, label]) => ({
+        label,
+        odd: winner[key].average,
+        best: winner[key].best,
+        bestBookmaker: winner[key].best_bookmaker,
+        impliedProbability: round(1 / winner[key].average)
+      })),
+    markets: mainMarkets(summary.markets),
+    movement: getOddsMovement(matchId)?.outcomes ?? null
+  };
+}
+
+function mainMarkets(markets) {
+  const overUnder = Object.fromEntries(MAIN_OVER_UNDER_LINES
+    .filter((line) => markets.over_under?.[line])
+    .map((line) => [line, markets.over_under[line]]));
+  const handicapLines = Object.entries(markets.asian_handicap ?? {}).filter(([, outcomes]) => outcomes.home);
+  const mainHandicap = handicapLines.sort((a, b) => Math.abs(a[1].home.average - 2) - Math.abs(b[1].home.average - 2))[0] ?? null;
+  return {
+    over_under: Object.keys(overUnder).length ? overUnder : null,
+    btts: markets.btts?.['-'] ?? null,
+    asian_handicap: mainHandicap ? { line: mainHandicap[0], ...mainHandicap[1] } : null
+  };
+}
+
 function mergeFixtureMeta(localMatch, fixture) {
   const league = fixture?.league ?? {};
   const teams = fixture?.teams ?? {};
@@ -224,19 +260,31 @@ function normalizePrediction(item) {
 }
 
 function normalizeOdds(item) {
-  if (!item?.bookmakers?.length) return null;
-  const bookmaker = item.bookmakers[0];
-  const matchWinnerBet = bookmaker.bets?.find((bet) => /match winner|winner|1x2/i.test(bet.name ?? '')) ?? bookmaker.bets?.[0];
-  if (!matchWinnerBet?.values?.length) return null;
-  return {
-    bookmaker: bookmaker.name ?? null,
-    market: matchWinnerBet.name ?? null,
-    values: matchWinnerBet.values.map((value) => ({
-      label: value.value ?? null,
-      odd: Number(value.odd) || null,
-      impliedProbability: Number(value.odd) ? round(1 / Number(value.odd)) : null
-    }))
-  };
+  if (!item?.bookmakers?.length) return [];
+  return item.bookmakers.flatMap((bookmaker) => (bookmaker.bets ?? []).flatMap((bet) => {
+    const market = ODDS_MARKETS.find((entry) => entry.id === bet.id || entry.name === normalizeName(bet.name));
+    if (!market || !bookmaker.name) return [];
+    return (bet.values ?? [])
+      .map((value) => parseOddsValue(market.key, value))
+      .filter(Boolean)
+      .map((quote) => ({ bookmaker_id: bookmaker.id ?? null, bookmaker: bookmaker.name, market: market.key, ...quote }));
+  }));
+}
+
+function parseOddsValue(market, value) {
+  const odd = Number(value?.odd);
+  if (!(odd > 1)) return null;
+  const label = normalizeName(value?.value);
+
+  if (market === '1x2' || market === 'btts') {
+    const outcomes = market === '1x2' ? { home: 'home', '1': 'home', draw: 'draw', x: 'draw', away: 'away', '2': 'away' } : { yes: 'yes', no: 'no' };
+    return outcomes[label] ? { line: null, outcome: outcomes[label], odd } : null;
+  }
+
+  const pattern = market === 'over_under' ? /^(over|under)\s+([+-]?\d+(?:\.\d+)?)$/ : /^(home|away)\s*([+-]?\d+(?:\.\d+)?)?$/;
+  const match = label.match(pattern);
+  if (!match) return null;
+  return { line: String(Number(match[2] ?? 0)), outcome: match[1], odd };
 }
 
 function normalizeInjury(item) {
@@ -297,9 +345,17 @@ function formatApiPrediction(prediction) {
 function formatOdds(odds) {
   if (!odds) return 'Odds: nicht verfuegbar.';
   const values = odds.values
-    .map((value) => `${value.label}: ${value.odd ?? 'n/a'} (${formatProb(value.impliedProbability)})`)
+    .map((value) => `${value.label}: ${value.odd ?? 'n/a'} (${formatProb(value.impliedProbability)}${value.best ? `, best ${value.best} ${value.bestBookmaker ?? ''}`.trimEnd() : ''})`)
     .join(', ');
-  return `Odds (${odds.bookmaker ?? 'Bookmaker unbekannt'}, ${odds.market ?? 'Markt unbekannt'}): ${values}`;
+  const markets = odds.markets ?? {};
+  const movement = Object.entries(odds.movement ?? {}).filter(([, item]) => item.change);
+  return [
+    `Odds (${odds.bookmaker ?? 'Bookmaker unbekannt'}, ${odds.market ?? 'Markt unbekannt'}): ${values}`,
+    ...Object.entries(markets.over_under ?? {}).map(([line, item]) => `O/U ${line}: Over ${item.over?.average ?? 'n/a'} | Under ${item.under?.average ?? 'n/a'}`),
+    markets.btts ? `BTTS: Ja ${markets.btts.yes?.average ?? 'n/a'} | Nein ${markets.btts.no?.average ?? 'n/a'}` : null,
+    markets.asian_handicap ? `Asian Handicap ${markets.asian_handicap.line}: Home ${markets.asian_handicap.home?.average ?? 'n/a'} | Away ${markets.asian_handicap.away?.average ?? 'n/a'}` : null,
+    movement.length ? `Quotenbewegung 1X2: ${movement.map(([outcome, item]) => `${outcome} ${item.opening} -> ${item.current}`).join(', ')}` : null
+  ].filter(Boolean).join('\n');
 }
 
 function formatInjuries(injuries, homeTeam, awayTeam) {
@@ -394,18 +450,3 @@ function round(value) {
   return Math.round(value * 100) / 100;
 }
 
-function getApiErrorMessage(errors) {
-  if (!errors) return null;
-  if (Array.isArray(errors)) {
-    const items = errors.filter(Boolean).map(String);
-    return items.length ? items.join('; ') : null;
-  }
-  if (typeof errors === 'string') return errors.trim() || null;
-  if (typeof errors === 'object') {
-    const items = Object.entries(errors)
-      .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
-      .map(([key, value]) => `${key}: ${String(value)}`);
-    return items.length ? items.join('; ') : null;
-  }
-  return String(errors);
-}
@@ -1,13 +1,15 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
+import { settlePredictions } from '../data/predictionStore.js';
+import { settleUserBets } from '../data/bankrollStore.js';
+import { invalidateTeamFeatures } from '../features/featureEngine.js';
+import { FOOTBALL_API_URL, requestApiSports } from './requestClient.js';
 
 dotenv.config();
 
-const FIXTURES_URL = 'https://v3.football.api-sports.io/fixtures';
+const FIXTURES_URL = `${FOOTBALL_API_URL}/fixtures`;
 const DEFAULT_TIMEZONE = process.env.API_TIMEZONE ?? 'Europe/Berlin';
-const DEFAULT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 15000;
 const MAX_REQUESTS = Number(process.env.API_FOOTBALL_MAX_HISTORY_REQUESTS_PER_TEAM) || 5;
 const FREE_SEASONS = parseSeasonList(process.env.API_FOOTBALL_FREE_SEASONS ?? '2024,2023,2022');
 const TRY_CURRENT = String(process.env.API_FOOTBALL_TRY_CURRENT_SEASON ?? 'false').toLowerCase() === 'true';
@@ -140,24 +142,7 @@ function loadHeadToHead(teamAId, teamBId, limit) {
 }
 
 async function requestFixtures(params, apiKey, label) {
-  const url = `${FIXTURES_URL}?${params.toString()}`;
-  const response = await axios.get(url, {
-    headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': 'v3.football.api-sports.io' },
-    timeout: DEFAULT_TIMEOUT_MS,
-    validateStatus: (status) => status >= 200 && status < 500
-  });
-
-  const payload = response.data ?? {};
-  const count = Array.isArray(payload.response) ? payload.response.length : 0;
-  const error = getApiErrorMessage(payload.errors);
-
-  if (response.status !== 200 || error) {
-    const message = response.status !== 200 ? `${label}: HTTP ${response.status}` : `${label}: API-Fehler: ${error}`;
-    recordFetch({ label, ok: false, status: response.status, count, url, error: message });
-    throw new Error(message);
-  }
-
-  recordFetch({ label, ok: true, status: response.status, count, url });
+  const payload = await requestApiSports(`${FIXTURES_URL}?${params.toString()}`, { apiKey, label, priority: 'background' });
   return Array.isArray(payload.response) ? payload.response : [];
 }
 
@@ -195,6 +180,9 @@ function saveFootballMatches(matches) {
     for (const item of items) insert.run(item);
   });
   tx(rows);
+  invalidateTeamFeatures(rows);
+  settlePredictions();
+  settleUserBets();
   return rows.length;
 }
 
@@ -235,37 +223,15 @@ function extractDate(match) {
   return null;
 }
 
-function recordFetch({ label, ok, status = null, count = 0, error = null, url = null }) {
-  try {
-    const db = getDb();
-    db.prepare(`
-      INSERT INTO api_fetch_log (label, ok, status, response_count, error, url)
-      VALUES (@label, @ok, @status, @count, @error, @url)
-    `).run({ label, ok: ok ? 1 : 0, status, count, error, url: sanitizeUrl(url) });
-  } catch {}
-}
-
 function getApiKey() {
   const key = process.env.API_FOOTBALL_KEY;
   if (!key) throw new Error('API_FOOTBALL_KEY not set');
   return key;
 }
 
-function getApiErrorMessage(errors) {
-  if (!errors) return null;
-  if (typeof errors === 'string') return errors.trim() || null;
-  if (Array.isArray(errors)) return errors.filter(Boolean).join('; ') || null;
-  if (typeof errors === 'object') {
-    const items = Object.entries(errors).filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`);
-    return items.length ? items.join('; ') : null;
-  }
-  return String(errors);
-}
-
 function parseSeasonList(value) { return String(value).split(',').map((x) => Number(x.trim())).filter(Number.isFinite); }
 function unique(values) { return [...new Set(values)]; }
 function toNumber(value) { const n = Number(value); return Number.isFinite(n) ? n : null; }
 function isNumber(value) { return typeof value === 'number' && Number.isFinite(value); }
 function parseTime(value) { const t = value ? Date.parse(value) : NaN; return Number.isFinite(t) ? t : Number.NEGATIVE_INFINITY; }
 function safeJson(value) { try { return JSON.stringify(value); } catch { return null; } }
-function sanitizeUrl(url) { try { const parsed = new URL(url); return parsed.toString(); } catch { return String(url ?? '').slice(0, 500); } }
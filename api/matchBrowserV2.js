@@ -1,17 +1,17 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
+import { invalidateTeamFeatures } from '../features/featureEngine.js';
 import {
   searchTeams as searchTeamsApi,
   loadMatchesFromDb as loadMatchesFromDbOriginal
 } from './apiHandler.js';
+import { FOOTBALL_API_URL, requestApiSports } from './requestClient.js';
 
 dotenv.config();
 
-const FOOTBALL_FIXTURES_URL = 'https://v3.football.api-sports.io/fixtures';
+const FOOTBALL_FIXTURES_URL = `${FOOTBALL_API_URL}/fixtures`;
 const DEFAULT_TIMEZONE = process.env.API_TIMEZONE ?? 'Europe/Berlin';
-const DEFAULT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 15000;
 const DEFAULT_WINDOW = process.env.API_FOOTBALL_ALLOWED_DATE_WINDOW ?? '-1,0,1';
 
 export async function searchTeams(query, options = {}) {
@@ -143,24 +143,7 @@ function buildDateWindows(range) {
 }
 
 async function requestFixtures(params, apiKey, label) {
-  const url = `${FOOTBALL_FIXTURES_URL}?${params.toString()}`;
-  const response = await axios.get(url, {
-    headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': 'v3.football.api-sports.io' },
-    timeout: DEFAULT_TIMEOUT_MS,
-    validateStatus: (status) => status >= 200 && status < 500
-  });
-
-  const payload = response.data ?? {};
-  const count = Array.isArray(payload.response) ? payload.response.length : 0;
-  const apiError = getApiErrorMessage(payload.errors);
-
-  if (response.status !== 200 || apiError) {
-    const message = response.status !== 200 ? `${label}: HTTP ${response.status}` : `${label}: API-Fehler: ${apiError}`;
-    recordFetch({ label, ok: false, status: response.status, count, url, error: message });
-    throw new Error(message);
-  }
-
-  recordFetch({ label, ok: true, status: response.status, count, url });
+  const payload = await requestApiSports(`${FOOTBALL_FIXTURES_URL}?${params.toString()}`, { apiKey, label });
   return Array.isArray(payload.response) ? payload.response : [];
 }
 
@@ -186,6 +169,7 @@ function saveFootballMatches(matches) {
     for (const item of items) insert.run(item);
   });
   tx(rows);
+  invalidateTeamFeatures(rows);
   return rows.length;
 }
 
@@ -253,28 +237,6 @@ function getApiKey() {
   return key;
 }
 
-function getApiErrorMessage(errors) {
-  if (!errors) return null;
-  if (typeof errors === 'string') return errors.trim() || null;
-  if (Array.isArray(errors)) return errors.filter(Boolean).join('; ') || null;
-  if (typeof errors === 'object') {
-    const items = Object.entries(errors).filter(([, value]) => value).map(([key, value]) => `${key}: ${value}`);
-    return items.length ? items.join('; ') : null;
-  }
-  return String(errors);
-}
-
-function recordFetch({ label, ok, status = null, count = 0, error = null, url = null }) {
-  try {
-    const db = getDb();
-    db.prepare(`
-      INSERT INTO api_fetch_log (label, ok, status, response_count, error, url)
-      VALUES (@label, @ok, @status, @count, @error, @url)
-    `).run({ label, ok: ok ? 1 : 0, status, count, error, url: sanitizeUrl(url) });
-  } catch {}
-}
-
-function sanitizeUrl(url) { try { return new URL(url).toString(); } catch { return String(url ?? '').slice(0, 500); } }
 function parseTime(value) { const t = value ? Date.parse(value) : NaN; return Number.isFinite(t) ? t : Number.POSITIVE_INFINITY; }
 function toNumber(value) { const n = Number(value); return Number.isFinite(n) ? n : null; }
 function isNumber(value) { return typeof value === 'number' && Number.isFinite(value); }
@@ -1,14 +1,16 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 
 import { getDb } from '../data/db.js';
+import { settlePredictions } from '../data/predictionStore.js';
+import { settleUserBets } from '../data/bankrollStore.js';
+import { invalidateTeamFeatures } from '../features/featureEngine.js';
 import { searchTeams as searchTeamsBase, loadMatchesFromDb as loadMatchesFromDbOriginal } from './matchBrowserV2.js';
+import { FOOTBALL_API_URL, requestApiSports } from './requestClient.js';
 
 dotenv.config();
 
-const FIXTURES_URL = 'https://v3.football.api-sports.io/fixtures';
+const FIXTURES_URL = `${FOOTBALL_API_URL}/fixtures`;
 const DEFAULT_TIMEZONE = process.env.API_TIMEZONE ?? 'Europe/Berlin';
-const DEFAULT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 15000;
 const ALLOWED_OFFSETS = process.env.API_FOOTBALL_ALLOWED_DATE_WINDOW ?? '-1,0,1';
 const CURRENT_SEASONS = parseSeasonList(process.env.API_FOOTBALL_CURRENT_SEASONS ?? buildDefaultCurrentSeasons());
 
@@ -133,24 +135,7 @@ function inferTeamContexts(teamId) {
 }
 
 async function requestFixtures(params, apiKey, label) {
-  const url = `${FIXTURES_URL}?${params.toString()}`;
-  const response = await axios.get(url, {
-    headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': 'v3.football.api-sports.io' },
-    timeout: DEFAULT_TIMEOUT_MS,
-    validateStatus: (status) => status >= 200 && status < 500
-  });
-
-  const payload = response.data ?? {};
-  const count = Array.isArray(payload.response) ? payload.response.length : 0;
-  const apiError = getApiErrorMessage(payload.errors);
-
-  if (response.status !== 200 || apiError) {
-    const message = response.status !== 200 ? `${label}: HTTP ${response.status}` : `${label}: API-Fehler: ${apiError}`;
-    recordFetch({ label, ok: false, status: response.status, count, url, error: message });
-    throw new Error(message);
-  }
-
-  recordFetch({ label, ok: true, status: response.status, count, url });
+  const payload = await requestApiSports(`${FIXTURES_URL}?${params.toString()}`, { apiKey, label });
   return Array.isArray(payload.response) ? payload.response : [];
 }
 
@@ -185,6 +170,9 @@ function saveMatches(matches) {
   `);
   const tx = db.transaction((items) => items.forEach((item) => insert.run(item)));
   tx(rows);
+  invalidateTeamFeatures(rows);
+  settlePredictions();
+  settleUserBets();
   return rows.length;
 }
 
@@ -232,16 +220,13 @@ function loadTeamUpcomingFromDb(teamId, limit) {
 }
 
 function sortByDate(rows) { return rows.sort((a, b) => parseTime(getDate(a)) - parseTime(getDate(b))); }
-function dateOffset(offset) { const d = new Date(); d.setUTCDate(d.getUTCDate() + offset); return d.toISOString().slice(0, 10); }
+function dateOffset(offset) { const d = new Date(); d.setUTCDate(d.getUTCDate() + offset); return new Intl.DateTimeFormat('en-CA', { timeZone: DEFAULT_TIMEZONE }).format(d); }
 function parseOffsets(raw) { const items = String(raw).split(',').map((x) => Number(x.trim())).filter(Number.isFinite); return items.length ? unique(items) : [-1, 0, 1]; }
 function buildDefaultCurrentSeasons() { const y = new Date().getUTCFullYear(); return `${y},${y - 1}`; }
 function parseSeasonList(raw) { return String(raw).split(',').map((x) => Number(x.trim())).filter(Number.isFinite); }
 function unique(values) { return [...new Set(values)]; }
 function getDate(match) { const f = match?.fixture ?? match; if (f?.date) return f.date; if (typeof f?.timestamp === 'number') return new Date(f.timestamp * 1000).toISOString(); return match?.date ?? null; }
 function getApiKey() { const key = process.env.API_FOOTBALL_KEY; if (!key) throw new Error('API_FOOTBALL_KEY not set'); return key; }
-function getApiErrorMessage(errors) { if (!errors) return null; if (typeof errors === 'string') return errors.trim() || null; if (Array.isArray(errors)) return errors.filter(Boolean).join('; ') || null; if (typeof errors === 'object') { const items = Object.entries(errors).filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`); return items.length ? items.join('; ') : null; } return String(errors); }
-function recordFetch({ label, ok, status = null, count = 0, error = null, url = null }) { try { const db = getDb(); db.prepare(`INSERT INTO api_fetch_log (label, ok, status, response_count, error, url) VALUES (@label, @ok, @status, @count, @error, @url)`).run({ label, ok: ok ? 1 : 0, status, count, error, url: sanitizeUrl(url) }); } catch {} }
-function sanitizeUrl(url) { try { return new URL(url).toString(); } catch { return String(url ?? '').slice(0, 500); } }
 function parseTime(v) { const t = v ? Date.parse(v) : NaN; return Number.isFinite(t) ? t : Number.POSITIVE_INFINITY; }
 function toNumber(v) { const n = Number(v); return Number.isFinite(n) ? n : null; }
 function isNumber(v) { return typeof v === 'number' && Number.isFinite(v); }
@@ -0,0 +1,73 @@
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { findFixture } from './fixtureStore.js';
+
+const DEFAULT_DIR = process.env.API_FIXTURE_DIR ?? 'fixtures/api';
+const DEFAULT_PORT = Number(process.env.MOCK_API_PORT) || 4010;
+const MOCK_DAILY_LIMIT = 7500;
+const MOCK_MINUTE_LIMIT = 300;
+
+export function startMockServer({ dir = DEFAULT_DIR, port = DEFAULT_PORT, host = '127.0.0.1', log = false } = {}) {
+  const stats = { requests: 0, exact: 0, loose: 0, miss: 0 };
+
+  const server = http.createServer((req, res) => {
+    stats.requests += 1;
+    const fixture = req.method === 'GET' ? findFixture(dir, req.url) : null;
+    const match = fixture?.match ?? 'miss';
+    stats[match] += 1;
+    if (log) console.log(`${match.padEnd(5)} ${req.method} ${req.url}`);
+
+    const payload = fixture?.payload ?? { get: req.url, parameters: {}, errors: [], results: 0, paging: { current: 1, total: 1 }, response: [] };
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'x-mock-fixture': match,
+      'x-ratelimit-requests-limit': String(MOCK_DAILY_LIMIT),
+      'x-ratelimit-requests-remaining': String(Math.max(0, MOCK_DAILY_LIMIT - stats.requests)),
+      'x-ratelimit-limit': String(MOCK_MINUTE_LIMIT),
+      'x-ratelimit-remaining': String(MOCK_MINUTE_LIMIT)
+    });
+    res.end(JSON.stringify(payload));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${address.address}:${address.port}`,
+        stats,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const options = { log: true };
+  for (let i = 0; i < argv.length; i += 1) {
+    const [key, inline] = argv[i].split('=');
+    const value = inline ?? argv[i + 1];
+    const consume = () => { if (inline === undefined) i += 1; return value; };
+    if (key === '--dir') options.dir = consume();
+    else if (key === '--port') options.port = Number(consume());
+    else if (key === '--quiet') options.log = false;
+  }
+  return options;
+}
+
+const isMain =
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  const options = parseArgs(process.argv.slice(2));
+  startMockServer(options).then((server) => {
+    console.log(`Mock-API laeuft auf ${server.url} (Fixtures: ${path.resolve(options.dir ?? DEFAULT_DIR)})`);
+    console.log(`Bot/CLI offline starten mit API_FOOTBALL_BASE_URL=${server.url}/football API_BASKETBALL_BASE_URL=${server.url}/basketball`);
+  }).catch((error) => {
+    console.error('Mock-API konnte nicht gestartet werden:', error);
+    process.exitCode = 1;
+  });
+}
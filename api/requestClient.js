@@ -0,0 +1,211 @@
+import axios from 'axios';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import { getDb } from '../data/db.js';
+import { getApiCooldownState, markApiRateLimited, shouldSkipApi } from './apiCooldown.js';
+import { saveFixture } from './fixtureStore.js';
+
+export const FOOTBALL_API_URL = trimUrl(process.env.API_FOOTBALL_BASE_URL ?? 'https://v3.football.api-sports.io');
+export const BASKETBALL_API_URL = trimUrl(process.env.API_BASKETBALL_BASE_URL ?? 'https://v1.basketball.api-sports.io');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.API_TIMEOUT_MS) || 15000;
+const DEFAULT_MINUTE_LIMIT = Number(process.env.API_MINUTE_LIMIT) || 10;
+const QUOTA_RESERVE = Number(process.env.API_QUOTA_RESERVE) || 10;
+const USER_MAX_WAIT_MS = Number(process.env.API_USER_MAX_WAIT_MS) || 20 * 1000;
+const BACKGROUND_MAX_WAIT_MS = Number(process.env.API_BACKGROUND_MAX_WAIT_MS) || 3 * 60 * 1000;
+const RECORD_DIR = process.env.API_RECORD_DIR ?? null;
+const MINUTE_MS = 60 * 1000;
+const PRIORITIES = ['user', 'background'];
+
+const priorityContext = new AsyncLocalStorage();
+const hosts = new Map();
+
+export function runInBackground(fn) {
+  return priorityContext.run('background', fn);
+}
+
+export async function requestApiSports(url, { apiKey, host = resolveHost(url), label = 'api', priority = null } = {}) {
+  const level = PRIORITIES.includes(priority) ? priority : priorityContext.getStore() ?? 'user';
+  const state = getHostState(host);
+
+  checkQuota(state, level, label);
+  await acquireSlot(state, level, label);
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      headers: { 'x-apisports-key': apiKey, 'x-rapidapi-host': host },
+      timeout: DEFAULT_TIMEOUT_MS,
+      validateStatus: (status) => status >= 200 && status < 500
+    });
+  } catch (error) {
+    recordFetch({ label, ok: false, url, error: error?.message ?? String(error) });
+    throw error;
+  }
+
+  updateQuota(state, response.headers ?? {});
+  const payload = response.data ?? {};
+  const count = Array.isArray(payload.response) ? payload.response.length : 0;
+
+  if (response.status === 429) {
+    state.blockedUntil = Date.now() + MINUTE_MS;
+    markApiRateLimited(`${label}: HTTP 429`);
+  }
+  if (response.status !== 200) {
+    const message = `${label}: HTTP ${response.status}`;
+    recordFetch({ label, ok: false, status: response.status, count, url, error: message });
+    throw new Error(message);
+  }
+
+  const apiError = getApiErrorMessage(payload.errors);
+  if (apiError) {
+    if (payload.errors?.rateLimit) markApiRateLimited(`${label}: ${payload.errors.rateLimit}`);
+    if (payload.errors?.requests) state.daily = { ...state.daily, remaining: 0, date: utcDate() };
+    const message = `${label}: API-Fehler: ${apiError}`;
+    recordFetch({ label, ok: false, status: response.status, count, url, error: message });
+    throw new Error(message);
+  }
+
+  recordFetch({ label, ok: true, status: response.status, count, url });
+  if (RECORD_DIR) saveFixture(RECORD_DIR, url, payload);
+  return payload;
+}
+
+export function getQuotaState() {
+  const now = Date.now();
+  const cooldown = getApiCooldownState();
+  return {
+    cooldown,
+    reserve: QUOTA_RESERVE,
+    hosts: [...hosts.values()].map((state) => {
+      const recent = state.recent.filter((time) => now - time < MINUTE_MS).length;
+      const daily = isCurrentDay(state.daily) ? state.daily : null;
+      return {
+        host: state.host,
+        daily: daily ? { limit: daily.limit, remaining: daily.remaining, updated_at: daily.updated_at } : null,
+        minute: { limit: state.minuteLimit, used: recent, remaining: Math.max(0, state.minuteLimit - recent) },
+        blocked_ms: Math.max(0, state.blockedUntil - now),
+        queued: {
+          user: state.queue.filter((entry) => entry.priority === 'user').length,
+          background: state.queue.filter((entry) => entry.priority === 'background').length
+        },
+        requests: state.requests
+      };
+    })
+  };
+}
+
+function checkQuota(state, priority, label) {
+  if (shouldSkipApi()) {
+    const { remainingMs, reason } = getApiCooldownState();
+    throw new Error(`${label}: API-Cooldown aktiv (noch ${Math.ceil(remainingMs / 1000)}s${reason ? `, ${reason}` : ''})`);
+  }
+  if (!isCurrentDay(state.daily)) return;
+  if (state.daily.remaining <= 0) throw new Error(`${label}: Tageskontingent erschoepft`);
+  if (priority === 'background' && state.daily.remaining <= QUOTA_RESERVE) {
+    throw new Error(`${label}: Restkontingent (${state.daily.remaining}) fuer Nutzeranfragen reserviert`);
+  }
+}
+
+function acquireSlot(state, priority, label) {
+  return new Promise((resolve, reject) => {
+    state.queue.push({ priority, label, resolve, reject, deadline: Date.now() + (priority === 'user' ? USER_MAX_WAIT_MS : BACKGROUND_MAX_WAIT_MS) });
+    drainQueue(state);
+  });
+}
+
+function drainQueue(state) {
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  while (state.queue.length) {
+    const now = Date.now();
+    state.recent = state.recent.filter((time) => now - time < MINUTE_MS);
+    const wait = minuteWait(state, now);
+    if (wait > 0) {
+      for (const entry of state.queue.filter((item) => item.deadline < now + wait)) {
+        state.queue.splice(state.queue.indexOf(entry), 1);
+        entry.reject(new Error(`${entry.label}: Minutenlimit erreicht, Anfrage verworfen`));
+      }
+      if (state.queue.length) state.timer = setTimeout(() => drainQueue(state), wait);
+      return;
+    }
+
+    const index = Math.max(0, state.queue.findIndex((item) => item.priority === 'user'));
+    const [entry] = state.queue.splice(index, 1);
+    state.recent.push(now);
+    state.requests[entry.priority] += 1;
+    if (isCurrentDay(state.daily)) state.daily.remaining -= 1;
+    entry.resolve();
+  }
+}
+
+function minuteWait(state, now) {
+  if (state.blockedUntil > now) return state.blockedUntil - now;
+  if (state.recent.length < state.minuteLimit) return 0;
+  return state.recent[0] + MINUTE_MS - now;
+}
+
+function updateQuota(state, headers) {
+  const dailyLimit = readHeader(headers, 'x-ratelimit-requests-limit');
+  const dailyRemaining = readHeader(headers, 'x-ratelimit-requests-remaining');
+  const minuteLimit = readHeader(headers, 'x-ratelimit-limit');
+  const minuteRemaining = readHeader(headers, 'x-ratelimit-remaining');
+
+  if (dailyRemaining !== null) {
+    state.daily = { limit: dailyLimit, remaining: dailyRemaining, date: utcDate(), updated_at: new Date().toISOString() };
+  }
+  if (minuteLimit !== null && minuteLimit > 0) state.minuteLimit = minuteLimit;
+  if (minuteRemaining !== null && minuteRemaining <= 0) state.blockedUntil = Math.max(state.blockedUntil, Date.now() + MINUTE_MS);
+}
+
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      host,
+      daily: null,
+      minuteLimit: DEFAULT_MINUTE_LIMIT,
+      recent: [],
+      blockedUntil: 0,
+      queue: [],
+      timer: null,
+      requests: { user: 0, background: 0 }
+    });
+  }
+  return hosts.get(host);
+}
+
+function recordFetch({ label, ok, status = null, count = 0, error = null, url = null }) {
+  try {
+    const db = getDb();
+    db.prepare(`
+      INSERT INTO api_fetch_log (label, ok, status, response_count, error, url)
+      VALUES (@label, @ok, @status, @count, @error, @url)
+    `).run({ label, ok: ok ? 1 : 0, status, count, error, url: sanitizeUrl(url) });
+  } catch {}
+}
+
+function getApiErrorMessage(errors) {
+  if (!errors) return null;
+  if (typeof errors === 'string') return errors.trim() || null;
+  if (Array.isArray(errors)) return errors.filter(Boolean).map(String).join('; ') || null;
+  if (typeof errors === 'object') {
+    const items = Object.entries(errors)
+      .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+      .map(([key, value]) => `${key}: ${String(value)}`);
+    return items.length ? items.join('; ') : null;
+  }
+  return String(errors);
+}
+
+function readHeader(headers, name) {
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+function trimUrl(value) { return String(value).trim().replace(/\/+$/, ''); }
+function resolveHost(url) { try { return new URL(url).host; } catch { return 'v3.football.api-sports.io'; } }
+function isCurrentDay(daily) { return Boolean(daily) && daily.date === utcDate(); }
+function utcDate() { return new Date().toISOString().slice(0, 10); }
+function sanitizeUrl(url) { try { const parsed = new URL(url); parsed.searchParams.delete('key'); parsed.searchParams.delete('api_key'); return parsed.toString(); } catch { return String(url ?? '').slice(0, 500); } }
@@ -0,0 +1,216 @@
+import crypto from 'node:crypto';
+
+import { getDb } from '../data/db.js';
+import { getPredictionDebug, predictMatch } from '../ai/predictorV3.js';
+import { predictTeamMatchup } from '../ai/matchupPredictorSafe.js';
+import { describeLlmProviders } from '../ai/llm/index.js';
+import { fetchMatches, searchTeams } from './matchBrowserV3.js';
+import { getQuotaState } from './requestClient.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_LIMIT = 50;
+const MODES = ['upcoming', 'live'];
+const RANGES = ['today', 'soon'];
+const NOT_FOUND_ERRORS = ['Match nicht gefunden'];
+const STARTED_AT = Date.now();
+
+const ROUTES = [
+  { method: 'GET', path: /^\/(health)?$/, auth: false, handle: health },
+  { method: 'GET', path: /^\/matches$/, handle: listMatches },
+  { method: 'GET', path: /^\/teams\/search$/, handle: findTeams },
+  { method: 'POST', path: /^\/predict\/([^/]+)$/, handle: predict },
+  { method: 'POST', path: /^\/matchup$/, handle: matchup },
+  { method: 'GET', path: /^\/debug\/([^/]+)$/, handle: debug }
+];
+
+export function createRestHandler({ apiKeys = parseKeys(process.env.REST_API_KEYS), corsOrigin = process.env.REST_API_CORS_ORIGIN ?? null } = {}) {
+  const keyDigests = apiKeys.map(digest);
+
+  return async function handleRestRequest(req, res) {
+    if (corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-API-Key');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    }
+
+    try {
+      const url = new URL(req.url ?? '/', 'http://localhost');
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const candidates = ROUTES.filter((route) => route.path.test(url.pathname));
+      if (!candidates.length) throw httpError(404, `Unbekannter Pfad ${url.pathname}`);
+      const route = candidates.find((item) => item.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', candidates.map((item) => item.method).join(', '));
+        throw httpError(405, `${req.method} ist fuer ${url.pathname} nicht erlaubt`);
+      }
+
+      if (route.auth !== false) authorize(req, keyDigests);
+      const params = url.pathname.match(route.path).slice(1);
+      const body = req.method === 'POST' ? await readJsonBody(req) : null;
+      const { status = 200, payload } = await route.handle({ url, params, body });
+      sendJson(res, status, payload);
+    } catch (error) {
+      if (!error.status) console.error('REST-API Fehler:', error);
+      if (error.closeConnection) {
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.destroy());
+      }
+      const status = error.status ?? 500;
+      sendJson(res, status, { error: error.status ? error.message : 'Interner Fehler', status });
+    }
+  };
+}
+
+async function health() {
+  const db = checkDb();
+  const quota = getQuotaState();
+  const llm = describeLlmProviders().filter((provider) => provider.enabled);
+  const api = {
+    key: Boolean(process.env.API_FOOTBALL_KEY),
+    cooldown: quota.cooldown.active ? quota.cooldown : null,
+    hosts: quota.hosts.map((host) => ({ host: host.host, daily: host.daily, blocked_ms: host.blocked_ms }))
+  };
+  const degraded = !api.key || Boolean(api.cooldown) || !llm.length;
+  return {
+    status: db.ok ? 200 : 503,
+    payload: {
+      status: !db.ok ? 'down' : degraded ? 'degraded' : 'ok',
+      uptime_s: Math.round((Date.now() - STARTED_AT) / 1000),
+      db,
+      api,
+      llm: llm.map((provider) => ({ id: provider.id, host: provider.host ?? null, model: provider.model ?? null }))
+    }
+  };
+}
+
+async function listMatches({ url }) {
+  const mode = url.searchParams.get('mode') ?? 'upcoming';
+  const range = url.searchParams.get('range') ?? 'today';
+  if (!MODES.includes(mode)) throw httpError(400, `mode muss ${MODES.join(' oder ')} sein`);
+  if (!RANGES.includes(range)) throw httpError(400, `range muss ${RANGES.join(' oder ')} sein`);
+  const limit = parseLimit(url.searchParams.get('limit'), 20);
+
+  const matches = await fetchMatches({ sport: 'football', mode, range, limit });
+  return { payload: { mode, range, count: matches.length, matches } };
+}
+
+async function findTeams({ url }) {
+  const query = String(url.searchParams.get('q') ?? '').trim();
+  if (query.length < 2) throw httpError(400, 'q braucht mindestens 2 Zeichen');
+  const teams = await searchTeams(query, { sport: 'football', limit: parseLimit(url.searchParams.get('limit'), 8) });
+  return { payload: { query, count: teams.length, teams } };
+}
+
+async function predict({ params }) {
+  return { payload: unwrap(await predictMatch(parseId(params[0], 'matchId'))) };
+}
+
+async function matchup({ body }) {
+  const homeId = parseId(body?.home_team_id, 'home_team_id');
+  const awayId = parseId(body?.away_team_id, 'away_team_id');
+  if (homeId === awayId) throw httpError(400, 'home_team_id und away_team_id muessen verschieden sein');
+  const home = { id: homeId, name: body.home_name ?? teamName(homeId) };
+  const away = { id: awayId, name: body.away_name ?? teamName(awayId) };
+  return { payload: unwrap(await predictTeamMatchup(home, away)) };
+}
+
+async function debug({ params }) {
+  return { payload: unwrap(await getPredictionDebug(parseId(params[0], 'matchId'))) };
+}
+
+function authorize(req, keyDigests) {
+  if (!keyDigests.length) throw httpError(503, 'REST-API deaktiviert: REST_API_KEYS ist nicht gesetzt');
+  const header = req.headers['x-api-key'] ?? String(req.headers.authorization ?? '').replace(/^Bearer\s+/i, '');
+  if (!header) throw httpError(401, 'API-Key fehlt (X-API-Key oder Authorization: Bearer)');
+  const given = digest(header);
+  if (!keyDigests.some((key) => crypto.timingSafeEqual(key, given))) throw httpError(403, 'API-Key ungueltig');
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(httpError(413, `Body groesser als ${MAX_BODY_BYTES} Bytes`), { closeConnection: true }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('error', reject);
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8').trim();
+      if (!raw) return resolve({});
+      try {
+        const parsed = JSON.parse(raw);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('kein Objekt');
+        resolve(parsed);
+      } catch {
+        reject(httpError(400, 'Body ist kein gueltiges JSON-Objekt'));
+      }
+    });
+  });
+}
+
+function unwrap(result) {
+  if (!result?.error) return result;
+  throw httpError(NOT_FOUND_ERRORS.includes(result.error) ? 404 : 422, result.error);
+}
+
+function checkDb() {
+  try {
+    const db = getDb();
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM matches').get();
+    return { ok: true, matches: count };
+  } catch (error) {
+    return { ok: false, error: error?.message ?? String(error) };
+  }
+}
+
+function teamName(teamId) {
+  try {
+    const row = getDb().prepare(`
+      SELECT CASE WHEN home_team_id = @teamId THEN home_team ELSE away_team END AS name
+      FROM matches
+      WHERE home_team_id = @teamId OR away_team_id = @teamId
+      ORDER BY date DESC
+      LIMIT 1
+    `).get({ teamId });
+    return row?.name ?? `Team ${teamId}`;
+  } catch (error) {
+    console.warn('Teamname nicht lesbar:', error?.message ?? error);
+    return `Team ${teamId}`;
+  }
+}
+
+function parseId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, `${name} muss eine positive Ganzzahl sein`);
+  return id;
+}
+
+function parseLimit(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) throw httpError(400, 'limit muss eine positive Ganzzahl sein');
+  return Math.min(limit, MAX_LIMIT);
+}
+
+function sendJson(res, status, payload) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+}
+
+function httpError(status, message) { return Object.assign(new Error(message), { status }); }
+function parseKeys(raw) { return String(raw ?? '').split(',').map((item) => item.trim()).filter(Boolean); }
+function digest(value) { return crypto.createHash('sha256').update(String(value)).digest(); }
@@ -0,0 +1,188 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { setupDatabase } from './data/dbSetup.js';
+import { getDb } from './data/db.js';
+import { predictOffline } from './ai/predictorV3.js';
+import { findValueBets } from './ai/valueBets.js';
+import { getMatchWinnerOdds } from './data/oddsStore.js';
+
+const FINISHED_STATUS_CODES = ['FT', 'AET', 'PEN'];
+const OUTCOMES = ['home', 'draw', 'away'];
+const CALIBRATION_BINS = 10;
+const EPSILON = 1e-6;
+
+export function runBacktest(options = {}) {
+  const engines = options.engines?.length ? options.engines : ['rule'];
+  const matches = loadFinishedMatches(options);
+  const results = Object.fromEntries(engines.map((engine) => [engine, createAccumulator()]));
+
+  for (const match of matches) {
+    const actual = outcomeOf(match);
+    const odds = getMatchWinnerOdds(match.match_id);
+
+    for (const engine of engines) {
+      const acc = results[engine];
+      const prediction = predictOffline(match, engine);
+      if (!prediction) {
+        acc.skipped += 1;
+        continue;
+      }
+      if ((prediction.data_quality?.diagnostics?.totalGames ?? 0) < (options.minGames ?? 0)) {
+        acc.skipped += 1;
+        continue;
+      }
+      record(acc, prediction.probabilities, actual, odds, options.valueMargin ?? 0);
+    }
+  }
+
+  return {
+    matches: matches.length,
+    engines: Object.fromEntries(Object.entries(results).map(([engine, acc]) => [engine, summarize(acc)]))
+  };
+}
+
+function loadFinishedMatches({ from = null, to = null, league = null, limit = null } = {}) {
+  const db = getDb();
+  const placeholders = FINISHED_STATUS_CODES.map((_, index) => `@status${index}`).join(', ');
+  const params = { from, to, league, limit: limit ?? -1 };
+  FINISHED_STATUS_CODES.forEach((value, index) => { params[`status${index}`] = value; });
+
+  return db.prepare(`
+    SELECT match_id, COALESCE(sport, 'football') AS sport, date, status,
+           home_team, away_team, home_team_id, away_team_id, home_goals, away_goals,
+           league_id, league_name, league_country, season, round
+    FROM matches
+    WHERE COALESCE(sport, 'football') = 'football'
+      AND home_goals IS NOT NULL
+      AND away_goals IS NOT NULL
+      AND date IS NOT NULL
+      AND (status IS NULL OR status IN (${placeholders}))
+      AND (@from IS NULL OR datetime(date) >= datetime(@from))
+      AND (@to IS NULL OR datetime(date) <= datetime(@to))
+      AND (@league IS NULL OR league_id = @league)
+    ORDER BY datetime(date) ASC
+    LIMIT @limit
+  `).all(params);
+}
+
+function createAccumulator() {
+  return {
+    count: 0,
+    skipped: 0,
+    correct: 0,
+    logLoss: 0,
+    brier: 0,
+    bins: Array.from({ length: CALIBRATION_BINS }, () => ({ count: 0, predicted: 0, observed: 0 })),
+    flat: { bets: 0, profit: 0 },
+    value: { bets: 0, profit: 0 }
+  };
+}
+
+function record(acc, probs, actual, odds, valueMargin) {
+  const pick = OUTCOMES.reduce((best, outcome) => (probs[outcome] > probs[best] ? outcome : best), 'home');
+  acc.count += 1;
+  if (pick === actual) acc.correct += 1;
+  acc.logLoss += -Math.log(Math.max(EPSILON, probs[actual]));
+  acc.brier += OUTCOMES.reduce((sum, outcome) => sum + (probs[outcome] - (outcome === actual ? 1 : 0)) ** 2, 0);
+
+  for (const outcome of OUTCOMES) {
+    const p = probs[outcome];
+    const bin = acc.bins[Math.min(CALIBRATION_BINS - 1, Math.floor(p * CALIBRATION_BINS))];
+    bin.count += 1;
+    bin.predicted += p;
+    if (outcome === actual) bin.observed += 1;
+  }
+
+  if (!odds) return;
+  if (odds[pick] > 1) {
+    acc.flat.bets += 1;
+    acc.flat.profit += pick === actual ? odds[pick] - 1 : -1;
+  }
+  const valueBets = findValueBets(probs, odds, { minEv: valueMargin });
+  for (const item of valueBets?.outcomes ?? []) {
+    if (!item.value) continue;
+    acc.value.bets += 1;
+    acc.value.profit += item.outcome === actual ? item.odd - 1 : -1;
+  }
+}
+
+function summarize(acc) {
+  const n = acc.count || 1;
+  return {
+    predictions: acc.count,
+    skipped: acc.skipped,
+    accuracy: round(acc.correct / n),
+    logLoss: round(acc.logLoss / n),
+    brier: round(acc.brier / n),
+    calibration: acc.bins.map((bin, index) => ({
+      range: `${index / CALIBRATION_BINS}-${(index + 1) / CALIBRATION_BINS}`,
+      count: bin.count,
+      predicted: bin.count ? round(bin.predicted / bin.count) : null,
+      observed: bin.count ? round(bin.observed / bin.count) : null
+    })),
+    roi: {
+      flat: { bets: acc.flat.bets, profit: round(acc.flat.profit), roi: acc.flat.bets ? round(acc.flat.profit / acc.flat.bets) : null },
+      value: { bets: acc.value.bets, profit: round(acc.value.profit), roi: acc.value.bets ? round(acc.value.profit / acc.value.bets) : null }
+    }
+  };
+}
+
+function printReport(report) {
+  console.log(`Backtest ueber ${report.matches} abgeschlossene Spiele.`);
+  for (const [engine, summary] of Object.entries(report.engines)) {
+    console.log(`\n=== ${engine} ===`);
+    console.log(`Predictions: ${summary.predictions} (uebersprungen: ${summary.skipped})`);
+    console.log(`Accuracy: ${formatPercent(summary.accuracy)} | Log-Loss: ${summary.logLoss} | Brier: ${summary.brier}`);
+    console.log('Kalibrierung (Bereich | n | vorhergesagt | eingetreten):');
+    for (const bin of summary.calibration) {
+      if (!bin.count) continue;
+      console.log(`  ${bin.range.padEnd(8)} | ${String(bin.count).padStart(5)} | ${formatPercent(bin.predicted).padStart(4)} | ${formatPercent(bin.observed).padStart(4)}`);
+    }
+    const { flat, value } = summary.roi;
+    if (!flat.bets && !value.bets) {
+      console.log('ROI: keine gespeicherten Quoten fuer diese Spiele.');
+      continue;
+    }
+    console.log(`ROI Flat (Tipp): ${flat.bets} Wetten, Gewinn ${flat.profit}, ROI ${formatPercent(flat.roi)}`);
+    console.log(`ROI Value (EV > 0): ${value.bets} Wetten, Gewinn ${value.profit}, ROI ${formatPercent(value.roi)}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = { engines: ['rule'] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const [key, inline] = argv[i].split('=');
+    const value = inline ?? argv[i + 1];
+    const consume = () => { if (inline === undefined) i += 1; return value; };
+    if (key === '--engines') options.engines = consume().split(',').map((x) => x.trim()).filter(Boolean);
+    else if (key === '--from') options.from = consume();
+    else if (key === '--to') options.to = consume();
+    else if (key === '--league') options.league = Number(consume());
+    else if (key === '--limit') options.limit = Number(consume());
+    else if (key === '--min-games') options.minGames = Number(consume());
+    else if (key === '--value-margin') options.valueMargin = Number(consume());
+    else if (key === '--json') options.json = true;
+  }
+  return options;
+}
+
+function formatPercent(value) { return value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`; }
+function outcomeOf(match) { return match.home_goals > match.away_goals ? 'home' : match.home_goals < match.away_goals ? 'away' : 'draw'; }
+function round(value) { return Math.round(value * 10000) / 10000; }
+
+const isMain =
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  try {
+    setupDatabase();
+    const options = parseArgs(process.argv.slice(2));
+    const report = runBacktest(options);
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+  } catch (error) {
+    console.error('Backtest fehlgeschlagen:', error);
+    process.exitCode = 1;
+  }
+}
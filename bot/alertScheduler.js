@@ -0,0 +1,175 @@
+import { fetchMatchById } from '../api/apiHandler.js';
+import { fetchMatchInjuries } from '../api/footballContext.js';
+import { fetchMatches, fetchUpcomingMatchesForTeam } from '../api/matchBrowserV3.js';
+import { runInBackground } from '../api/requestClient.js';
+import { predictMatch } from '../ai/predictorV3.js';
+import { getDb } from '../data/db.js';
+import { getLatestPrediction } from '../data/predictionStore.js';
+import { getAlert, getSubscribedMatches, hasAnyAlert, listSubscriptions, recordAlert } from '../data/subscriptionStore.js';
+
+const ALERTS_ENABLED = String(process.env.ALERTS_ENABLED ?? 'true').toLowerCase() !== 'false';
+const INTERVAL_MS = Number(process.env.ALERT_INTERVAL_MS) || 5 * 60 * 1000;
+const PREDICTION_HOURS = Number(process.env.ALERT_PREDICTION_HOURS) || 3;
+const LINEUP_HOURS = Number(process.env.ALERT_LINEUP_HOURS) || 24;
+const REFRESH_MS = Number(process.env.ALERT_REFRESH_MS) || 6 * 60 * 60 * 1000;
+const RESULT_POLL_MS = Number(process.env.ALERT_RESULT_POLL_MS) || 15 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const MATCH_DURATION_MS = 115 * 60 * 1000;
+const FINISHED_STATUS_CODES = ['FT', 'AET', 'PEN'];
+const CANCELLED_STATUS_CODES = ['PST', 'CANC', 'ABD', 'AWD', 'WO'];
+
+const lastRefresh = new Map();
+const lastResultPoll = new Map();
+
+export function startAlertScheduler({ notify, intervalMs = INTERVAL_MS } = {}) {
+  if (!ALERTS_ENABLED || typeof notify !== 'function') return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runInBackground(() => runAlertCycle(notify));
+    } catch (error) {
+      console.warn('Alert-Lauf fehlgeschlagen:', error?.message ?? error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  const first = setTimeout(tick, 10_000);
+  return { runNow: tick, stop: () => { clearInterval(timer); clearTimeout(first); } };
+}
+
+export async function runAlertCycle(notify, now = Date.now()) {
+  await refreshSubscribedFixtures(now);
+
+  let sent = 0;
+  const matches = getSubscribedMatches({ fromHours: -24, toHours: Math.max(PREDICTION_HOURS, LINEUP_HOURS) });
+  for (const match of matches) {
+    if (CANCELLED_STATUS_CODES.includes(match.status)) continue;
+    const kickoff = Date.parse(match.date);
+    if (!Number.isFinite(kickoff)) continue;
+
+    if (FINISHED_STATUS_CODES.includes(match.status)) {
+      sent += await sendResultAlerts(notify, match, match.chats);
+      continue;
+    }
+
+    if (kickoff > now) {
+      if (kickoff - now <= PREDICTION_HOURS * HOUR_MS) sent += await sendPredictionAlerts(notify, match);
+      if (kickoff - now <= LINEUP_HOURS * HOUR_MS) sent += await sendInjuryAlerts(notify, match);
+      continue;
+    }
+
+    const current = await pollResult(match, kickoff, now);
+    if (current && FINISHED_STATUS_CODES.includes(current.status)) sent += await sendResultAlerts(notify, current, match.chats);
+  }
+  return sent;
+}
+
+async function refreshSubscribedFixtures(now) {
+  const subscriptions = listSubscriptions();
+  const teams = [...new Set(subscriptions.filter((item) => item.kind === 'team').map((item) => item.target_id))];
+  const hasLeagues = subscriptions.some((item) => item.kind === 'league');
+
+  for (const teamId of teams) {
+    if (!isDue(lastRefresh, `team:${teamId}`, REFRESH_MS, now)) continue;
+    await safeRun(() => fetchUpcomingMatchesForTeam(teamId, { sport: 'football', limit: 5 }), `Team ${teamId}`);
+  }
+  if (hasLeagues && isDue(lastRefresh, 'leagues', REFRESH_MS, now)) {
+    await safeRun(() => fetchMatches({ sport: 'football', mode: 'upcoming', range: 'soon', limit: 100 }), 'Ligen');
+  }
+}
+
+async function sendPredictionAlerts(notify, match) {
+  const chats = match.chats.filter((chatId) => !getAlert(chatId, match.match_id, 'prediction'));
+  if (!chats.length) return 0;
+
+  const result = await safeRun(() => predictMatch(match.match_id), `Prediction ${match.match_id}`);
+  if (!result || result.error) return 0;
+
+  let sent = 0;
+  for (const chatId of chats) {
+    if (await deliver(notify, chatId, { type: 'prediction', match, result })) {
+      recordAlert(chatId, match.match_id, 'prediction');
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+async function sendInjuryAlerts(notify, match) {
+  const injuries = await safeRun(() => fetchMatchInjuries(match.match_id), `Injuries ${match.match_id}`);
+  if (!Array.isArray(injuries) || !injuries.length) return 0;
+
+  const fingerprint = injuryFingerprint(injuries);
+  let sent = 0;
+  for (const chatId of match.chats) {
+    const previous = getAlert(chatId, match.match_id, 'injuries');
+    if (previous?.fingerprint === fingerprint) continue;
+    if (await deliver(notify, chatId, { type: 'injuries', match, injuries, changed: Boolean(previous) })) {
+      recordAlert(chatId, match.match_id, 'injuries', fingerprint);
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+async function sendResultAlerts(notify, match, chats) {
+  const pending = chats.filter((chatId) => hasAnyAlert(chatId, match.match_id) && !getAlert(chatId, match.match_id, 'result'));
+  if (!pending.length) return 0;
+
+  const prediction = getLatestPrediction(match.match_id);
+  let sent = 0;
+  for (const chatId of pending) {
+    if (await deliver(notify, chatId, { type: 'result', match, prediction })) {
+      recordAlert(chatId, match.match_id, 'result');
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+async function pollResult(match, kickoff, now) {
+  if (kickoff + MATCH_DURATION_MS > now) return null;
+  if (!isDue(lastResultPoll, match.match_id, RESULT_POLL_MS, now)) return null;
+
+  await safeRun(() => fetchMatchById(match.match_id, 'football'), `Ergebnis ${match.match_id}`);
+
+  const db = getDb();
+  const row = db.prepare(`SELECT status, home_goals, away_goals FROM matches WHERE match_id = @matchId`).get({ matchId: match.match_id });
+  return row ? { ...match, ...row } : null;
+}
+
+async function deliver(notify, chatId, alert) {
+  try {
+    await notify(chatId, alert);
+    return true;
+  } catch (error) {
+    console.warn(`Alert an Chat ${chatId} fehlgeschlagen:`, error?.message ?? error);
+    return false;
+  }
+}
+
+async function safeRun(fn, label) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.warn(`Alert-Daten (${label}) nicht verfuegbar:`, error?.message ?? error);
+    return null;
+  }
+}
+
+function injuryFingerprint(injuries) {
+  return injuries.map((item) => `${item.teamId ?? item.team}|${item.player}|${item.type ?? ''}|${item.reason ?? ''}`).sort().join(';');
+}
+
+function isDue(map, key, intervalMs, now) {
+  const last = map.get(key) ?? 0;
+  if (now - last < intervalMs) return false;
+  map.set(key, now);
+  return true;
+}
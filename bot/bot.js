@@ -627,6 +627,7 @@ function describeSource(engine) {
   if (!engine) return 'Unbekannt';
   if (engine.startsWith('ollama')) return `Ollama (${engine.replace('ollama:', '')})`;
   if (engine === 'llama') return 'Lokales LLM (LLAMA_SERVER_URL)';
+  if (engine.startsWith('openai:')) return `OpenAI-kompatibel (${engine.replace('openai:', '')})`;
   if (engine === 'rule-based') return 'Regelbasierte Analyse (Fallback)';
   return engine;
 }
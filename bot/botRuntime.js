@@ -0,0 +1,139 @@
+import crypto from 'node:crypto';
+
+const MODES = ['polling', 'webhook', 'off'];
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+const DEFAULT_PATH = '/telegram/webhook';
+const MAX_UPDATE_BYTES = 1024 * 1024;
+
+export function readBotConfig(env = process.env) {
+  const mode = String(env.BOT_MODE ?? (env.WEBHOOK_URL ? 'webhook' : 'polling')).trim().toLowerCase();
+  const shutdownTimeoutMs = Number(env.BOT_SHUTDOWN_TIMEOUT_MS) || 8000;
+  if (!MODES.includes(mode)) return { mode, shutdownTimeoutMs, error: `BOT_MODE muss ${MODES.join(', ')} sein` };
+  if (mode !== 'webhook') return { mode, shutdownTimeoutMs, webhook: null, error: null };
+
+  const base = String(env.WEBHOOK_URL ?? '').trim().replace(/\/+$/, '');
+  const path = normalizePath(env.WEBHOOK_PATH ?? DEFAULT_PATH);
+  const secretToken = String(env.WEBHOOK_SECRET ?? '').trim();
+  const error = !/^https:\/\//.test(base) ? 'WEBHOOK_URL muss mit https:// beginnen'
+    : !SECRET_PATTERN.test(secretToken) ? 'WEBHOOK_SECRET fehlt oder enthaelt andere Zeichen als A-Z, a-z, 0-9, _ und -'
+      : null;
+  return { mode, shutdownTimeoutMs, webhook: { url: `${base}${path}`, path, secretToken }, error };
+}
+
+export function createWebhookRoute(bot, { path, secretToken }, tracker = null) {
+  const expected = digest(secretToken);
+  const track = tracker?.track ?? ((fn) => fn());
+
+  return function handleWebhook(req, res) {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    if (url.pathname !== path) return false;
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, 'Webhook erwartet POST');
+    } else if (!req.headers[SECRET_HEADER] || !crypto.timingSafeEqual(digest(req.headers[SECRET_HEADER]), expected)) {
+      sendJson(res, 403, 'Secret-Token ungueltig');
+    } else {
+      track(async () => {
+        const update = await readUpdate(req).catch((error) => {
+          if (error.status === 413) {
+            res.setHeader('Connection', 'close');
+            res.once('finish', () => req.destroy());
+          }
+          sendJson(res, error.status ?? 400, error.message);
+          return null;
+        });
+        if (!update) return;
+        res.writeHead(200);
+        res.end();
+        await bot.handleUpdate(update);
+      }).catch((error) => console.error('Webhook-Update fehlgeschlagen:', error));
+    }
+    return true;
+  };
+}
+
+export function createClosedWebhookRoute(path) {
+  return function handleWebhook(req, res) {
+    if (new URL(req.url ?? '/', 'http://localhost').pathname !== path) return false;
+    res.setHeader('Retry-After', '5');
+    res.setHeader('Connection', 'close');
+    sendJson(res, 503, 'Bot wird beendet');
+    return true;
+  };
+}
+
+export function createInFlightTracker() {
+  let active = 0;
+  let waiters = [];
+
+  const release = () => {
+    active -= 1;
+    if (active > 0) return;
+    waiters.forEach((resolve) => resolve());
+    waiters = [];
+  };
+  const track = async (fn) => {
+    active += 1;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+
+  return {
+    get active() { return active; },
+    track,
+    middleware: (ctx, next) => track(next),
+    drain(timeoutMs) {
+      if (active === 0) return Promise.resolve(0);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(active), timeoutMs);
+        timer.unref?.();
+        waiters.push(() => {
+          clearTimeout(timer);
+          resolve(0);
+        });
+      });
+    }
+  };
+}
+
+function readUpdate(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_UPDATE_BYTES) {
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Update zu gross'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      try {
+        const update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!update || typeof update !== 'object' || Array.isArray(update)) throw new Error('Update ist kein Objekt');
+        resolve(update);
+      } catch {
+        reject(Object.assign(new Error('Update ist kein gueltiges JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, error) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ error, status }));
+}
+
+function normalizePath(value) { const path = String(value).trim() || DEFAULT_PATH; return path.startsWith('/') ? path : `/${path}`; }
+function digest(value) { return crypto.createHash('sha256').update(String(value)).digest(); }
@@ -1,32 +1,75 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import dotenv from 'dotenv';
 import { Telegraf, Markup } from 'telegraf';
 
 import { fetchMatches, fetchUpcomingMatchesForTeam, loadMatchesFromDb, searchTeams } from '../api/matchBrowserV3.js';
-import { getPredictionDebug, predictMatch } from '../ai/predictorV3.js';
+import { getQuotaState } from '../api/requestClient.js';
+import { getCacheStats } from '../api/cache.js';
+import { getPredictionDebug, isLiveStatus, predictLive, predictMatch } from '../ai/predictorV3.js';
 import { predictTeamMatchup } from '../ai/matchupPredictorSafe.js';
+import { getCalibrationReport, refreshCalibration } from '../ai/calibration.js';
+import { getTodayValueBets, kellyShare } from '../ai/valueBets.js';
+import { buildDailyDigest } from '../ai/digest.js';
+import { findBankroll, getBankroll, listBets, parseOutcome, placeBet, resetBankroll, settleUserBets } from '../data/bankrollStore.js';
 import { getDb } from '../data/db.js';
 import { setupDatabase } from '../data/dbSetup.js';
+import { getGroupLeaderboard, recordGroupVote } from '../data/groupPollStore.js';
+import { getLatestPrediction, settlePredictions } from '../data/predictionStore.js';
+import { listSubscriptions, subscribe, unsubscribe } from '../data/subscriptionStore.js';
+import { updateEloRatings } from '../features/eloRatings.js';
+import { startAlertScheduler } from './alertScheduler.js';
+import { createInFlightTracker, createWebhookRoute } from './botRuntime.js';
+import { findPollFixtures, formatLeaderboard, formatSettlement, isGroupChat, postMatchPoll } from './groupMode.js';
+import { startGroupPollScheduler } from './groupPollScheduler.js';
+import { buildInlineResults, cardMatch, findInlineFixtures, inlineRetryKeyboard, parseInlineResultId } from './inlineMode.js';
+import { startDigestScheduler } from './digestScheduler.js';
+import { describePrediction, escapeHtml, formatMoney, formatPercent, formatPredictionCard, formatPredictionCore, formatSignedPercent, trimTelegram } from './formatV3.js';
 
 dotenv.config();
 setupDatabase();
+settlePredictions();
+settleUserBets();
+updateEloRatings();
 
 const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 if (!TELEGRAM_TOKEN) throw new Error('TELEGRAM_BOT_TOKEN not set in environment (.env)');
 
 const bot = new Telegraf(TELEGRAM_TOKEN);
+const inFlight = createInFlightTracker();
 const userState = new Map();
 const teamCache = new Map();
+const inlinePending = new Set();
+let running = null;
 
 const PAGE_SIZE = 10;
+const NO_KELLY_TEXT = 'Kein positiver Kelly-Einsatz: keine Prediction für das Spiel oder kein Edge bei dieser Quote. Einsatz bitte explizit angeben.';
+const ADMIN_IDS = String(process.env.BOT_ADMIN_IDS ?? '').split(',').map((id) => Number(id.trim())).filter((id) => Number.isFinite(id) && id > 0);
 const DATE_TIME_FORMAT = new Intl.DateTimeFormat('de-DE', {
   dateStyle: 'medium',
   timeStyle: 'short',
   timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
 });
 
+const KICKOFF_FORMAT = new Intl.DateTimeFormat('de-DE', {
+  timeStyle: 'short',
+  timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
+});
+const DAY_FORMAT = new Intl.DateTimeFormat('de-DE', {
+  dateStyle: 'medium',
+  timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
+});
+
 const ICON = {
   football: '\u{26BD}', search: '\u{1F50E}', live: '\u{1F534}', today: '\u{1F4C5}', soon: '\u{1F5D3}',
-  debug: '\u{1F527}', home: '\u{1F3E0}', next: '\u{27A1}\u{FE0F}', back: '\u{2B05}\u{FE0F}', vs: '\u{2694}\u{FE0F}'
+  debug: '\u{1F527}', bet: '\u{1F4B0}', bell: '\u{1F514}', home: '\u{1F3E0}', next: '\u{27A1}\u{FE0F}', back: '\u{2B05}\u{FE0F}', vs: '\u{2694}\u{FE0F}'
+};
+
+const VALIDATION_LABELS = {
+  valid: 'gültig',
+  repaired: 'nach Reparatur gültig',
+  invalid: 'ungültig, Regel-Fallback',
+  unavailable: 'kein LLM erreichbar, Regel-Fallback'
 };
 
 const MAIN_MENU = () => Markup.inlineKeyboard([
@@ -36,8 +79,10 @@ const MAIN_MENU = () => Markup.inlineKeyboard([
   [Markup.button.callback(`${ICON.live} Live-Spiele`, 'matches:live:1')]
 ]);
 
+bot.use(inFlight.middleware);
+
 bot.start(async (ctx) => {
-  clearState(ctx.from?.id);
+  clearState(stateKey(ctx));
   await ctx.reply([
     'GamblerGPT v3 läuft.',
     '',
@@ -46,14 +91,14 @@ bot.start(async (ctx) => {
 });
 
 bot.command('matches', async (ctx) => {
-  clearState(ctx.from?.id);
+  clearState(stateKey(ctx));
   await ctx.reply('Was willst du sehen?', MAIN_MENU());
 });
 
 bot.command(['search', 'team'], async (ctx) => {
   const query = extractCommandArgs(ctx.message?.text);
   if (!query) {
-    setState(ctx.from?.id, { mode: 'await_team_search' });
+    setState(stateKey(ctx), { mode: 'await_team_search' });
     await ctx.reply('Schick mir einfach den Teamnamen, z. B. Bayern oder Real Madrid. Keine Slash-Akrobatik nötig, danke endlich Fortschritt.', MAIN_MENU());
     return;
   }
@@ -80,11 +125,131 @@ bot.command('debug_match', async (ctx) => {
   await respondWithDebug(ctx, id, 'reply');
 });
 
+bot.command('debug_calibration', async (ctx) => {
+  const engine = extractCommandArgs(ctx.message?.text).split(/\s+/)[0] || null;
+  try {
+    refreshCalibration();
+    await send(ctx, 'reply', formatCalibrationMessage(getCalibrationReport({ engine })), MAIN_MENU());
+  } catch (error) {
+    await send(ctx, 'reply', `Kalibrierung fehlgeschlagen: ${escapeHtml(error.message)}`, MAIN_MENU());
+  }
+});
+
+bot.command('quota', async (ctx) => {
+  if (!isAdmin(ctx.from?.id)) {
+    await ctx.reply('Nur für Admins (BOT_ADMIN_IDS).');
+    return;
+  }
+  await send(ctx, 'reply', formatQuotaMessage(getQuotaState(), getCacheStats()), MAIN_MENU());
+});
+
+bot.command('value', async (ctx) => {
+  try {
+    await send(ctx, 'reply', formatValueListMessage(getTodayValueBets()), MAIN_MENU());
+  } catch (error) {
+    await send(ctx, 'reply', `Value-Suche fehlgeschlagen: ${escapeHtml(error.message)}`, MAIN_MENU());
+  }
+});
+
+bot.command('digest', async (ctx) => {
+  await ctx.reply('Erstelle Tages-Digest ... das kann bei vielen Spielen etwas dauern.');
+  try {
+    await send(ctx, 'reply', formatDigestMessage(await buildDailyDigest()), MAIN_MENU());
+  } catch (error) {
+    await send(ctx, 'reply', `Digest fehlgeschlagen: ${escapeHtml(error.message)}`, MAIN_MENU());
+  }
+});
+
+bot.command('bankroll', async (ctx) => {
+  const userId = ctx.from?.id;
+  const amount = extractCommandArgs(ctx.message?.text).split(/\s+/)[0];
+  const bankroll = amount ? resetBankroll(userId, parseAmount(amount)) : getBankroll(userId);
+  if (bankroll.error) {
+    await ctx.reply(`${bankroll.error} Beispiel: /bankroll 500`);
+    return;
+  }
+  await send(ctx, 'reply', formatBankrollMessage(bankroll), MAIN_MENU());
+});
+
+bot.command('bets', async (ctx) => {
+  settleUserBets();
+  await send(ctx, 'reply', formatBetsMessage(listBets(ctx.from?.id)), MAIN_MENU());
+});
+
+bot.command('bet', async (ctx) => {
+  const [matchArg, outcomeArg, oddsArg, stakeArg = 'kelly'] = extractCommandArgs(ctx.message?.text).split(/\s+/);
+  const matchId = Number(matchArg);
+  const outcome = parseOutcome(outcomeArg);
+  const odds = parseAmount(oddsArg);
+  if (!Number.isFinite(matchId) || !outcome || !(odds > 1)) {
+    await ctx.reply('Format: /bet <match_id> <1|X|2> <quote> [einsatz|kelly], z. B. /bet 1335952 1 2.10 25');
+    return;
+  }
+  await respondWithBet(ctx, { matchId, outcome, odds, stake: stakeArg }, 'reply');
+});
+
+bot.command('follow', async (ctx) => {
+  await send(ctx, 'reply', formatSubscriptionsMessage(listSubscriptions(ctx.chat?.id)), subscriptionsKeyboard(ctx.chat?.id));
+});
+
+bot.command('follow_league', async (ctx) => {
+  const id = Number(extractCommandArgs(ctx.message?.text).split(/\s+/)[0]);
+  if (!Number.isFinite(id) || id <= 0) {
+    await ctx.reply('Bitte Liga-ID angeben, z. B. /follow_league 78 (Bundesliga).');
+    return;
+  }
+  const subscription = subscribe(ctx.chat?.id, { kind: 'league', targetId: id });
+  if (subscription.error) return ctx.reply(subscription.error);
+  await ctx.reply(`${ICON.bell} Du folgst jetzt ${subscription.target_name ?? `Liga ${id}`}. Alerts kommen vor Anstoß, bei neuen Ausfällen und nach Abpfiff.`);
+});
+
+bot.command('tippspiel', async (ctx) => {
+  if (!isGroupChat(ctx.chat)) {
+    await ctx.reply('Das Tippspiel läuft nur in Gruppen. Füg mich einer Gruppe hinzu und schick dort /tippspiel.');
+    return;
+  }
+
+  const query = extractCommandArgs(ctx.message?.text);
+  try {
+    const fixtures = await findPollFixtures(ctx.chat.id, query);
+    if (!fixtures.length) {
+      await ctx.reply(query
+        ? `Kein offenes Spiel für "${escapeText(query)}" gefunden, oder es läuft schon eine Umfrage dafür.`
+        : 'Keine offenen Spiele der gefolgten Teams/Ligen in den nächsten Tagen. Nutze /tippspiel Bayern, /tippspiel 1335952 oder /follow_league 78.');
+      return;
+    }
+
+    let posted = 0;
+    for (const match of fixtures) {
+      const poll = await postMatchPoll(bot.telegram, ctx.chat.id, match);
+      if (poll.error) console.warn(`Tippspiel-Umfrage ${match.match_id}:`, poll.error);
+      else posted += 1;
+    }
+    if (!posted) await ctx.reply('Konnte keine Umfrage anlegen.');
+  } catch (error) {
+    await ctx.reply(`Tippspiel fehlgeschlagen: ${escapeText(error.message)}`);
+  }
+});
+
+bot.command('rangliste', async (ctx) => {
+  if (!isGroupChat(ctx.chat)) {
+    await ctx.reply('Die Rangliste gibt es nur in Gruppen mit Tippspiel.');
+    return;
+  }
+  await ctx.reply(trimTelegram(formatLeaderboard(getGroupLeaderboard(ctx.chat.id))), { parse_mode: 'HTML' });
+});
+
+bot.on('poll_answer', (ctx) => {
+  const answer = ctx.pollAnswer;
+  const result = recordGroupVote(answer.poll_id, answer.user, answer.option_ids);
+  if (result.error && answer.user) console.warn(`Tipp von ${answer.user.id} ignoriert:`, result.error);
+});
+
 bot.on('text', async (ctx, next) => {
   const text = String(ctx.message?.text ?? '').trim();
   if (!text || text.startsWith('/')) return next();
 
-  const state = getState(ctx.from?.id);
+  const state = getState(stateKey(ctx));
   if (!state) return;
 
   if (state.mode === 'await_team_search') {
@@ -99,13 +264,13 @@ bot.on('text', async (ctx, next) => {
 });
 
 bot.action('home', async (ctx) => {
-  clearState(ctx.from?.id);
+  clearState(stateKey(ctx));
   await ctx.answerCbQuery();
   await ctx.editMessageText('Hauptmenü:', MAIN_MENU());
 });
 
 bot.action('search:start', async (ctx) => {
-  setState(ctx.from?.id, { mode: 'await_team_search' });
+  setState(stateKey(ctx), { mode: 'await_team_search' });
   await ctx.answerCbQuery();
   await ctx.editMessageText('Schick mir jetzt einfach den Teamnamen als normale Nachricht.', MAIN_MENU());
 });
@@ -133,7 +298,7 @@ bot.action(/^team:(\d+):manual$/, async (ctx) => {
     await ctx.editMessageText('Team nicht mehr im Cache. Such es nochmal, leider ist Speicher auch nur ein sterblicher Container.', MAIN_MENU());
     return;
   }
-  setState(ctx.from?.id, { mode: 'await_manual_away', homeTeam: team });
+  setState(stateKey(ctx), { mode: 'await_manual_away', homeTeam: team });
   await ctx.editMessageText(`Okay. ${team.name} ist Team A. Schick mir jetzt den Gegner als normale Nachricht.`, Markup.inlineKeyboard([
     [Markup.button.callback(`${ICON.search} Neues Team suchen`, 'search:start')],
     [Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]
@@ -159,6 +324,40 @@ bot.action(/^match:(\d+)$/, async (ctx) => {
   await respondWithPrediction(ctx, id, 'edit');
 });
 
+bot.action(/^live:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('Aktualisiere Live-Daten ...');
+  await respondWithLivePrediction(ctx, Number(ctx.match[1]), 'edit');
+});
+
+bot.action(/^betlog:(\d+):(home|draw|away):([\d.]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await respondWithBetConfirm(ctx, { matchId: Number(ctx.match[1]), outcome: ctx.match[2], odds: Number(ctx.match[3]) });
+});
+
+bot.action(/^betok:(\d+):(home|draw|away):([\d.]+):([\d.]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await respondWithBet(ctx, { matchId: Number(ctx.match[1]), outcome: ctx.match[2], odds: Number(ctx.match[3]), stake: ctx.match[4] }, 'edit');
+});
+
+bot.action('betno', async (ctx) => {
+  await ctx.answerCbQuery('Wette verworfen.');
+  await ctx.editMessageText('Wette nicht geloggt.');
+});
+
+bot.action(/^follow:(team|league):(\d+)$/, async (ctx) => {
+  const kind = ctx.match[1];
+  const id = Number(ctx.match[2]);
+  const subscription = subscribe(ctx.chat?.id, { kind, targetId: id, targetName: kind === 'team' ? getCachedTeam(id)?.name ?? null : null });
+  if (subscription.error) return ctx.answerCbQuery(subscription.error);
+  await ctx.answerCbQuery(`Du folgst jetzt ${subscription.target_name ?? `${kind === 'team' ? 'Team' : 'Liga'} ${id}`}.`);
+});
+
+bot.action(/^unfollow:(team|league):(\d+)$/, async (ctx) => {
+  unsubscribe(ctx.chat?.id, { kind: ctx.match[1], targetId: Number(ctx.match[2]) });
+  await ctx.answerCbQuery('Entfolgt.');
+  await send(ctx, 'edit', formatSubscriptionsMessage(listSubscriptions(ctx.chat?.id)), subscriptionsKeyboard(ctx.chat?.id));
+});
+
 bot.action(/^debug:(\d+)$/, async (ctx) => {
   const id = Number(ctx.match[1]);
   await ctx.answerCbQuery();
@@ -166,16 +365,41 @@ bot.action(/^debug:(\d+)$/, async (ctx) => {
   await respondWithDebug(ctx, id, 'edit');
 });
 
+bot.on('inline_query', async (ctx) => {
+  try {
+    const fixtures = await findInlineFixtures(ctx.inlineQuery.query);
+    if (!fixtures.length) {
+      await ctx.answerInlineQuery([], { cache_time: 5, button: { text: 'Team eingeben, z. B. bayern', start_parameter: 'inline' } });
+      return;
+    }
+    await ctx.answerInlineQuery(buildInlineResults(fixtures), { cache_time: 60 });
+  } catch (error) {
+    console.error('Inline-Query fehlgeschlagen:', error);
+    await ctx.answerInlineQuery([], { cache_time: 0 }).catch(() => null);
+  }
+});
+
+bot.on('chosen_inline_result', async (ctx) => {
+  const matchId = parseInlineResultId(ctx.chosenInlineResult.result_id);
+  if (matchId) await fillInlineCard(ctx, matchId);
+});
+
+bot.action(/^inline:(\d+)$/, async (ctx) => {
+  const busy = inlinePending.has(ctx.inlineMessageId);
+  await ctx.answerCbQuery(busy ? 'Prediction läuft schon ...' : 'Berechne Prediction ...');
+  if (!busy) await fillInlineCard(ctx, Number(ctx.match[1]));
+});
+
 async function handleTeamSearch(ctx, query) {
   const teams = await searchTeams(query, { sport: 'football', limit: 8 });
   if (!teams.length) {
-    setState(ctx.from?.id, { mode: 'await_team_search' });
+    setState(stateKey(ctx), { mode: 'await_team_search' });
     await ctx.reply(`Keine Teams für "${query}" gefunden. Versuch einen anderen Namen.`, MAIN_MENU());
     return;
   }
 
   teams.forEach(cacheTeam);
-  clearState(ctx.from?.id);
+  clearState(stateKey(ctx));
 
   const rows = teams.map((team) => [Markup.button.callback(formatTeamButton(team), `team:${team.id}:games:1`)]);
   rows.push([Markup.button.callback(`${ICON.search} Andere Suche`, 'search:start')]);
@@ -217,6 +441,7 @@ async function showTeamUpcoming(ctx, team, page = 1) {
       'Du kannst trotzdem einen Gegner suchen und ich berechne ein manuelles Matchup aus alten Free-Daten.'
     ].join('\n'), Markup.inlineKeyboard([
       [Markup.button.callback(`${ICON.vs} Gegner suchen / manuelles Matchup`, `team:${team.id}:manual`)],
+      [Markup.button.callback(`${ICON.bell} ${team.name} folgen`.slice(0, 64), `follow:team:${team.id}`)],
       [Markup.button.callback(`${ICON.search} Andere Team-Suche`, 'search:start')],
       [Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]
     ]));
@@ -229,6 +454,7 @@ async function showTeamUpcoming(ctx, team, page = 1) {
   if (matches.length > sliceStart + PAGE_SIZE) nav.push(Markup.button.callback(`${ICON.next} Mehr`, `team:${team.id}:games:${page + 1}`));
   if (nav.length) rows.push(nav);
   rows.push([Markup.button.callback(`${ICON.vs} Manuelles Matchup`, `team:${team.id}:manual`)]);
+  rows.push([Markup.button.callback(`${ICON.bell} ${team.name} folgen`.slice(0, 64), `follow:team:${team.id}`)]);
   rows.push([Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]);
 
   await ctx.editMessageText(`${ICON.football} Spiele für ${team.name}:`, Markup.inlineKeyboard(rows));
@@ -259,10 +485,13 @@ async function showMatches(ctx, mode, range, page = 1) {
 }
 
 async function respondWithPrediction(ctx, matchId, mode) {
+  if (isLiveStatus(getMatchDetails(matchId)?.status)) return respondWithLivePrediction(ctx, matchId, mode);
   try {
     const result = await predictMatch(matchId);
     if (!result || result.error) return send(ctx, mode, `Fehler: ${escapeHtml(result?.error ?? 'Keine Prediction')}`, MAIN_MENU());
-    await send(ctx, mode, formatPredictionMessage(result, getMatchDetails(matchId)), predictionKeyboard(matchId));
+    const bankroll = findBankroll(ctx.from?.id);
+    const match = getMatchDetails(matchId);
+    await send(ctx, mode, formatPredictionMessage(result, match, bankroll), predictionKeyboard(matchId, result.betting_advice?.stake, match));
   } catch (error) {
     await send(ctx, mode, `Prediction fehlgeschlagen: ${escapeHtml(error.message)}`, MAIN_MENU());
   }
@@ -282,6 +511,74 @@ async function respondWithManualPrediction(ctx, home, away, mode) {
   }
 }
 
+async function respondWithLivePrediction(ctx, matchId, mode) {
+  try {
+    const result = await predictLive(matchId);
+    if (!result || result.error) {
+      return send(ctx, mode, `Fehler: ${escapeHtml(result?.error ?? 'Keine Live-Prediction')}`, Markup.inlineKeyboard([
+        [Markup.button.callback('Prediction berechnen', `match:${matchId}`)],
+        [Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]
+      ]));
+    }
+    await send(ctx, mode, formatPredictionMessage(result, getMatchDetails(matchId)), Markup.inlineKeyboard([
+      [Markup.button.callback(`${ICON.live} Live aktualisieren`, `live:${matchId}`)],
+      [Markup.button.callback(`${ICON.debug} Datenbasis anzeigen`, `debug:${matchId}`)],
+      [Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]
+    ]));
+  } catch (error) {
+    await send(ctx, mode, `Live-Prediction fehlgeschlagen: ${escapeHtml(error.message)}`, MAIN_MENU());
+  }
+}
+
+async function fillInlineCard(ctx, matchId) {
+  const key = ctx.inlineMessageId;
+  if (!key || inlinePending.has(key)) return;
+  inlinePending.add(key);
+  try {
+    const match = getMatchDetails(matchId);
+    const result = isLiveStatus(match?.status) ? await predictLive(matchId) : await predictMatch(matchId);
+    if (!result || result.error) return await send(ctx, 'edit', `Fehler: ${escapeHtml(result?.error ?? 'Keine Prediction')}`, inlineRetryKeyboard(matchId));
+    await send(ctx, 'edit', formatPredictionCard(result, cardMatch(getMatchDetails(matchId) ?? match)));
+  } catch (error) {
+    await send(ctx, 'edit', `Prediction fehlgeschlagen: ${escapeHtml(error.message)}`, inlineRetryKeyboard(matchId)).catch(() => null);
+  } finally {
+    inlinePending.delete(key);
+  }
+}
+
+async function respondWithBetConfirm(ctx, { matchId, outcome, odds }) {
+  const { kellyStake } = resolveStake(ctx.from?.id, { matchId, outcome, odds, stake: 'kelly' });
+  if (!kellyStake) return send(ctx, 'reply', NO_KELLY_TEXT, MAIN_MENU());
+  const match = getMatchDetails(matchId);
+  await send(ctx, 'reply', [
+    '<b>Wette loggen?</b>',
+    `${escapeHtml(match?.home_team ?? `Match ${matchId}`)} vs ${escapeHtml(match?.away_team ?? '')}`,
+    `${escapeHtml(describeOutcome(outcome, match?.home_team, match?.away_team))} @ ${escapeHtml(odds)} | Kelly-Einsatz ${escapeHtml(formatMoney(kellyStake))}`
+  ].join('\n'), Markup.inlineKeyboard([[
+    Markup.button.callback(`${ICON.bet} Bestätigen`, `betok:${matchId}:${outcome}:${odds}:${kellyStake}`),
+    Markup.button.callback('Abbrechen', 'betno')
+  ]]));
+}
+
+async function respondWithBet(ctx, { matchId, outcome, odds, stake }, mode) {
+  try {
+    const userId = ctx.from?.id;
+    const { amount, kellyStake } = resolveStake(userId, { matchId, outcome, odds, stake });
+    if (String(stake).toLowerCase() === 'kelly' && !kellyStake) return send(ctx, mode, NO_KELLY_TEXT, MAIN_MENU());
+
+    const bet = placeBet(userId, { matchId, outcome, odds, stake: amount, kellyStake });
+    if (bet.error) return send(ctx, mode, `Wette nicht geloggt: ${escapeHtml(bet.error)}`, MAIN_MENU());
+    await send(ctx, mode, [
+      '<b>Wette geloggt</b>',
+      `${escapeHtml(bet.home_team)} vs ${escapeHtml(bet.away_team)}`,
+      `${escapeHtml(describeOutcome(bet.outcome, bet.home_team, bet.away_team))} @ ${escapeHtml(bet.odds)} | Einsatz ${escapeHtml(formatMoney(bet.stake))}${bet.kelly_stake ? ` (Kelly ${escapeHtml(formatMoney(bet.kelly_stake))})` : ''}`,
+      `<b>Bankroll:</b> ${escapeHtml(formatMoney(bet.balance))}`
+    ].join('\n'), MAIN_MENU());
+  } catch (error) {
+    await send(ctx, mode, `Wette konnte nicht geloggt werden: ${escapeHtml(error.message)}`, MAIN_MENU());
+  }
+}
+
 async function respondWithDebug(ctx, matchId, mode) {
   try {
     const debug = await getPredictionDebug(matchId);
@@ -294,12 +591,14 @@ async function respondWithDebug(ctx, matchId, mode) {
   }
 }
 
-function predictionKeyboard(matchId) {
+function predictionKeyboard(matchId, stake, match = null) {
   return Markup.inlineKeyboard([
+    stake ? [Markup.button.callback(`${ICON.bet} Wette loggen (${stake.label} @ ${stake.odds})`, `betlog:${matchId}:${stake.outcome}:${stake.odds}`)] : null,
     [Markup.button.callback(`${ICON.debug} Datenbasis anzeigen`, `debug:${matchId}`)],
+    match?.league_id ? [Markup.button.callback(`${ICON.bell} ${match.league_name ?? 'Liga'} folgen`.slice(0, 64), `follow:league:${match.league_id}`)] : null,
     [Markup.button.callback(`${ICON.search} Team suchen`, 'search:start')],
     [Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]
-  ]);
+  ].filter(Boolean));
 }
 
 async function send(ctx, mode, html, replyMarkup) {
@@ -308,40 +607,125 @@ async function send(ctx, mode, html, replyMarkup) {
   else await ctx.reply(trimTelegram(html), extra);
 }
 
-function formatPredictionMessage(result, match) {
+function formatPredictionMessage(result, match, bankroll) {
   const home = match?.home_team ?? 'Heimteam';
   const away = match?.away_team ?? 'Auswärtsteam';
-  return formatPredictionCore(result, home, away, false);
+  return formatPredictionCore(result, home, away, false, bankroll);
 }
 
 function formatManualPredictionMessage(result, home, away) {
   return formatPredictionCore(result, home.name, away.name, true);
 }
 
-function formatPredictionCore(result, home, away, manual) {
-  const probs = result.probabilities ?? {};
-  const betting = result.betting_advice ?? {};
-  const diag = result.data_quality?.diagnostics;
-  const aiError = result.data_quality?.ai_error;
+function formatBankrollMessage(bankroll) {
   return [
-    `<b>${manual ? 'Manuelles Matchup' : 'Match'}:</b> ${escapeHtml(home)} vs ${escapeHtml(away)}`,
-    `<b>Engine:</b> ${escapeHtml(result.engine ?? 'unknown')}`,
-    aiError ? `<b>AI-Fallback Grund:</b> ${escapeHtml(aiError)}` : null,
-    diag ? `<b>Daten:</b> ${escapeHtml(diag.localQualityLabel)} | Samples ${escapeHtml(diag.totalGames)} | H2H ${escapeHtml(diag.h2hCount)} | usable ${diag.hasUsableSamples ? 'ja' : 'nein'}` : null,
-    manual ? '<i>Keine echte kommende Fixture, Prediction basiert nur auf historischen Daten.</i>' : null,
+    '<b>Bankroll</b>',
+    `<b>Stand:</b> ${escapeHtml(formatMoney(bankroll.balance))} (Start ${escapeHtml(formatMoney(bankroll.starting_balance))})`,
+    `<b>Offen:</b> ${escapeHtml(bankroll.open_bets)} Wetten | ${escapeHtml(formatMoney(bankroll.open_stake))} Einsatz`,
+    `<b>Abgerechnet:</b> ${escapeHtml(bankroll.won)} gewonnen | ${escapeHtml(bankroll.lost)} verloren`,
+    `<b>Profit:</b> ${escapeHtml(formatMoney(bankroll.profit))} | ROI ${escapeHtml(formatSignedPercent(bankroll.roi))}`,
     '',
-    '<u>Prediction</u>',
-    `<b>Vorhersage:</b> ${escapeHtml(describePrediction(result.prediction, home, away))}`,
-    `<b>${escapeHtml(home)}:</b> ${escapeHtml(formatPercent(probs.home))}`,
-    `<b>Unentschieden:</b> ${escapeHtml(formatPercent(probs.draw))}`,
-    `<b>${escapeHtml(away)}:</b> ${escapeHtml(formatPercent(probs.away))}`,
+    '<i>/bankroll &lt;betrag&gt; setzt die Bankroll neu, /bets zeigt die letzten Wetten.</i>'
+  ].join('\n');
+}
+
+function formatBetsMessage(bets) {
+  if (!bets.length) return 'Noch keine Wetten geloggt. Nutze /bet &lt;match_id&gt; &lt;1|X|2&gt; &lt;quote&gt; [einsatz|kelly] oder den Button unter einer Prediction.';
+  const status = { open: '\u{23F3}', won: '\u{2705}', lost: '\u{274C}', void: '\u{26D4}' };
+  const lines = bets.map((bet) => [
+    `${status[bet.status] ?? ''} <b>${escapeHtml(bet.home_team ?? `Match ${bet.match_id}`)} vs ${escapeHtml(bet.away_team ?? '')}</b>`,
+    `${escapeHtml(describeOutcome(bet.outcome, bet.home_team, bet.away_team))} @ ${escapeHtml(bet.odds)} | Einsatz ${escapeHtml(formatMoney(bet.stake))}${bet.status === 'open' ? '' : ` | Profit ${escapeHtml(formatMoney(bet.profit))}`}`
+  ].join('\n'));
+  return ['<b>Deine letzten Wetten</b>', ...lines].join('\n\n');
+}
+
+function subscriptionsKeyboard(chatId) {
+  const rows = listSubscriptions(chatId).map((item) => [
+    Markup.button.callback(`\u{274C} ${formatSubscriptionName(item)}`.slice(0, 64), `unfollow:${item.kind}:${item.target_id}`)
+  ]);
+  rows.push([Markup.button.callback(`${ICON.search} Team suchen`, 'search:start')]);
+  rows.push([Markup.button.callback(`${ICON.home} Hauptmenü`, 'home')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function formatSubscriptionsMessage(subscriptions) {
+  if (!subscriptions.length) return `${ICON.bell} Du folgst noch nichts. Such ein Team und tippe auf „folgen“ oder nutze /follow_league &lt;liga_id&gt;.`;
+  return [
+    `${ICON.bell} <b>Deine Alerts</b>`,
+    ...subscriptions.map((item) => `- ${escapeHtml(formatSubscriptionName(item))}`),
     '',
-    '<u>Wett-Empfehlung</u>',
-    `<b>Empfehlung:</b> ${escapeHtml(describePrediction(betting.recommendation, home, away))}`,
-    `<b>Sicherheit:</b> ${escapeHtml(formatPercent(betting.confidence))}`,
-    betting.reasoning ? `<b>Begründung:</b> ${escapeHtml(betting.reasoning)}` : null,
-    result.explanation ? `<b>Analyse:</b> ${escapeHtml(result.explanation)}` : null
-  ].filter(Boolean).join('\n');
+    '<i>Tippe auf einen Eintrag, um zu entfolgen.</i>'
+  ].join('\n');
+}
+
+function formatAlertMessage(alert) {
+  const { match } = alert;
+  const home = match.home_team ?? 'Heimteam';
+  const away = match.away_team ?? 'Auswärtsteam';
+  const kickoff = match.date ? DATE_TIME_FORMAT.format(new Date(match.date)) : 'Zeit offen';
+
+  if (alert.type === 'prediction') {
+    return [`${ICON.bell} <b>Anstoß ${escapeHtml(kickoff)}</b>`, '', formatPredictionMessage(alert.result, match)].join('\n');
+  }
+
+  if (alert.type === 'injuries') {
+    const byTeam = (team) => alert.injuries.filter((item) => item.team === team).map((item) => `${item.player ?? 'Spieler'} (${item.reason ?? item.type ?? 'Grund unbekannt'})`);
+    const homeList = byTeam(home);
+    const awayList = byTeam(away);
+    return [
+      `${ICON.bell} <b>${alert.changed ? 'Ausfälle aktualisiert' : 'Ausfälle/Sperren'}:</b> ${escapeHtml(home)} vs ${escapeHtml(away)}`,
+      `<i>Anstoß ${escapeHtml(kickoff)}</i>`,
+      `<b>${escapeHtml(home)}:</b> ${escapeHtml(homeList.join(', ') || 'keine')}`,
+      `<b>${escapeHtml(away)}:</b> ${escapeHtml(awayList.join(', ') || 'keine')}`
+    ].join('\n');
+  }
+
+  const prediction = alert.prediction;
+  const verdict = prediction?.status === 'won' ? '\u{2705} richtig' : prediction?.status === 'lost' ? '\u{274C} falsch' : null;
+  return [
+    `${ICON.bell} <b>Abpfiff:</b> ${escapeHtml(home)} ${escapeHtml(match.home_goals)}:${escapeHtml(match.away_goals)} ${escapeHtml(away)}`,
+    prediction ? `<b>Prediction:</b> ${escapeHtml(describePrediction(prediction.prediction, home, away))} (${escapeHtml(prediction.engine)})${verdict ? ` – ${verdict}` : ''}` : '<i>Keine Prediction gespeichert.</i>'
+  ].join('\n');
+}
+
+async function sendAlert(chatId, alert) {
+  const keyboard = alert.type === 'prediction'
+    ? predictionKeyboard(alert.match.match_id, alert.result.betting_advice?.stake, alert.match)
+    : Markup.inlineKeyboard([[Markup.button.callback('Prediction anzeigen', `match:${alert.match.match_id}`)]]);
+  await bot.telegram.sendMessage(chatId, trimTelegram(formatAlertMessage(alert)), { parse_mode: 'HTML', ...keyboard });
+}
+
+async function announceGroupPoll(poll) {
+  await bot.telegram.sendMessage(poll.chat_id, trimTelegram(formatSettlement(poll, getGroupLeaderboard(poll.chat_id))), {
+    parse_mode: 'HTML',
+    reply_parameters: { message_id: poll.message_id, allow_sending_without_reply: true }
+  });
+}
+
+function formatDigestMessage(digest) {
+  const title = `<b>Tages-Digest ${escapeHtml(DAY_FORMAT.format(new Date(digest.created_at)))}</b>`;
+  if (!digest.items.length) return `${title}\n\nHeute keine offenen Spiele${digest.leagues.length ? ' in den konfigurierten Ligen' : ''} gefunden.`;
+
+  const lines = digest.items.map((item, index) => {
+    const header = `<b>${index + 1}. ${item.date ? `${escapeHtml(KICKOFF_FORMAT.format(new Date(item.date)))} ` : ''}${escapeHtml(item.home_team)} vs ${escapeHtml(item.away_team)}</b>${item.league_name ? ` <i>(${escapeHtml(item.league_name)})</i>` : ''}`;
+    if (item.error) return `${header}\n<i>Keine Prediction: ${escapeHtml(item.error)}</i>`;
+    return [
+      header,
+      `${escapeHtml(describePrediction(item.prediction, item.home_team, item.away_team))} ${formatPercent(item.probability)} | Sicherheit ${formatPercent(item.confidence)} | Daten ${escapeHtml(item.quality)} | /predict ${escapeHtml(item.match_id)}`,
+      item.value ? `${ICON.bet} Value: ${escapeHtml(describePrediction(item.value.label, item.home_team, item.away_team))} @ ${escapeHtml(item.value.odd)} (EV ${escapeHtml(formatSignedPercent(item.value.ev))})` : null
+    ].filter(Boolean).join('\n');
+  });
+  return [`${title} | ${digest.items.length} Spiele, stärkste Picks zuerst`, ...lines].join('\n\n');
+}
+
+function formatValueListMessage(items) {
+  if (!items.length) return 'Heute keine Value-Bets gefunden. Value braucht eine gespeicherte Prediction und Quoten für das Spiel.';
+  const lines = items.map((item, index) => [
+    `<b>${index + 1}. ${escapeHtml(item.home_team)} vs ${escapeHtml(item.away_team)}</b>${item.date ? ` (${escapeHtml(DATE_TIME_FORMAT.format(new Date(item.date)))})` : ''}`,
+    `${escapeHtml(describePrediction(item.label, item.home_team, item.away_team))} @ ${escapeHtml(item.odd)} | Modell ${formatPercent(item.model_probability)} vs fair ${formatPercent(item.fair_probability)} | EV ${escapeHtml(formatSignedPercent(item.ev))}`,
+    `<i>${escapeHtml(item.engine)} | ${escapeHtml(item.bookmaker ?? 'Bookmaker unbekannt')} | /predict ${escapeHtml(item.match_id)}</i>`
+  ].join('\n'));
+  return ['<b>Value-Bets heute</b>', ...lines].join('\n\n');
 }
 
 function formatDebugMessage(debug) {
@@ -359,14 +743,80 @@ function formatDebugMessage(debug) {
     `<b>H2H:</b> ${escapeHtml(debug.localData?.h2hCount ?? 0)}`,
     `<b>Home Games:</b> ${escapeHtml(features.home_games ?? 0)} | Form ${escapeHtml(features.home_recent_form ?? 'n/a')}`,
     `<b>Away Games:</b> ${escapeHtml(features.away_games ?? 0)} | Form ${escapeHtml(features.away_recent_form ?? 'n/a')}`,
+    features.home_elo !== null && features.home_elo !== undefined
+      ? `<b>Elo:</b> ${escapeHtml(features.home_elo)} vs ${escapeHtml(features.away_elo)} | 1 ${formatPercent(features.elo_home_win_prob)} X ${formatPercent(features.elo_draw_prob)} 2 ${formatPercent(features.elo_away_win_prob)}`
+      : null,
     '',
     '<u>Letzte API Fetches</u>',
     recentFetches ? escapeHtml(recentFetches) : 'Keine Fetch-Logs.',
     '',
-    `<b>Ollama:</b> ${debug.ollama?.enabled ? escapeHtml(debug.ollama.model) : 'aus'}`
+    '<u>API-Kontingent</u>',
+    formatQuotaLines(debug.apiQuota),
+    '',
+    `<b>LLM:</b> ${escapeHtml(formatLlmProviders(debug.llm))}`,
+    ...formatValidationLines(debug.llmValidation),
+    debug.engine === 'ensemble' ? `<b>Ensemble-Gewichte:</b> ${escapeHtml(formatEnsembleWeights(debug.ensembleWeights))}` : null
+  ].filter((line) => line !== null).join('\n');
+}
+
+function formatEnsembleWeights(weights) {
+  return Object.entries(weights ?? {})
+    .map(([source, item]) => `${source} ${item.weight}${item.learned ? ` (n=${item.samples}, LL ${item.log_loss})` : ''}`)
+    .join(' | ');
+}
+
+function formatValidationLines(validation) {
+  if (!validation) return ['<b>LLM-Validierung:</b> keine LLM-Antwort zur letzten Prediction'];
+  const header = `<b>LLM-Validierung:</b> ${escapeHtml(VALIDATION_LABELS[validation.status] ?? validation.status)} | Engine ${escapeHtml(validation.prediction_engine ?? '?')} | ${escapeHtml(validation.created_at ?? '?')}`;
+  const attempts = (validation.attempts ?? [])
+    .filter((attempt) => attempt.errors?.length)
+    .map((attempt) => `- ${escapeHtml(attempt.engine)} ${attempt.stage === 'repair' ? 'Reparatur' : 'Antwort'}: ${escapeHtml(attempt.errors.slice(0, 3).join('; '))}`);
+  const providerErrors = (validation.provider_errors ?? []).slice(0, 3).map((error) => `- ${escapeHtml(error)}`);
+  return [header, ...attempts, ...providerErrors];
+}
+
+function formatLlmProviders(providers) {
+  const active = (providers ?? []).filter((item) => item.enabled);
+  if (!active.length) return 'aus';
+  return active.map((item) => `${item.id}${item.model ? ` ${item.model}` : ''}${item.mode ? ` (${item.mode})` : ''}`).join(' > ');
+}
+
+function formatQuotaMessage(quota, cache) {
+  return [
+    `<b>${ICON.debug} API-Kontingent</b>`,
+    formatQuotaLines(quota),
+    '',
+    `<b>Cache:</b> ${escapeHtml(cache.active)} aktiv, ${escapeHtml(cache.expired)} abgelaufen, ${escapeHtml(cache.inflight)} laufend`
   ].join('\n');
 }
 
+function formatQuotaLines(quota) {
+  if (!quota) return 'Keine Daten.';
+  const lines = (quota.hosts ?? []).map((item) => [
+    `<b>${escapeHtml(item.host)}</b>`,
+    `Tag: ${item.daily ? `${escapeHtml(item.daily.remaining)}/${escapeHtml(item.daily.limit ?? '?')} übrig` : 'noch unbekannt'} | Reserve ${escapeHtml(quota.reserve)}`,
+    `Minute: ${escapeHtml(item.minute.used)}/${escapeHtml(item.minute.limit)}${item.blocked_ms ? ` | gesperrt ${escapeHtml(Math.ceil(item.blocked_ms / 1000))}s` : ''}`,
+    `Requests: ${escapeHtml(item.requests.user)} User, ${escapeHtml(item.requests.background)} Hintergrund | Warteschlange ${escapeHtml(item.queued.user + item.queued.background)}`
+  ].join('\n'));
+  if (quota.cooldown?.active) {
+    lines.unshift(`<b>Cooldown:</b> noch ${escapeHtml(Math.ceil(quota.cooldown.remainingMs / 1000))}s (${escapeHtml(quota.cooldown.reason ?? 'HTTP 429')})`);
+  }
+  return lines.length ? lines.join('\n') : 'Seit dem Start noch keine API-Requests.';
+}
+
+function formatCalibrationMessage(groups) {
+  if (!groups.length) return 'Noch keine Kalibrierung: zu wenige abgerechnete Predictions pro Engine.';
+  return groups.map((group) => {
+    const rows = group.curve
+      .filter((bin) => bin.count)
+      .map((bin) => `${bin.range.padEnd(8)} n=${String(bin.count).padStart(4)} | roh ${formatPercent(bin.predicted).padStart(4)} | real ${formatPercent(bin.observed).padStart(4)} | kal ${formatPercent(bin.calibrated).padStart(4)}`);
+    return [
+      `<b>${escapeHtml(group.key)}</b> (${escapeHtml(group.method)}, ${escapeHtml(group.samples)} Predictions)`,
+      `<pre>${escapeHtml(rows.join('\n'))}</pre>`
+    ].join('\n');
+  }).join('\n\n');
+}
+
 function loadTeamMatchesFromDb(teamId, limit) {
   const db = getDb();
   return db.prepare(`
@@ -411,17 +861,76 @@ function formatTeamButton(team) {
 
 function cacheTeam(team) { if (team?.id) teamCache.set(Number(team.id), team); }
 function getCachedTeam(id) { return teamCache.get(Number(id)); }
+function stateKey(ctx) { return ctx.from?.id ? `${ctx.chat?.id ?? ctx.from.id}:${ctx.from.id}` : null; }
 function setState(id, state) { if (id) userState.set(id, state); }
 function getState(id) { return id ? userState.get(id) : null; }
 function clearState(id) { if (id) userState.delete(id); }
+function isAdmin(userId) { return ADMIN_IDS.includes(Number(userId)); }
 function extractCommandArgs(text) { return String(text ?? '').replace(/^\/\S+\s*/, '').trim(); }
-function formatPercent(value) { const n = Number(value); return Number.isFinite(n) ? `${Math.round(n * 100)}%` : 'n/a'; }
-function describePrediction(value, home, away) { const text = String(value ?? 'Keine Empfehlung'); const lower = text.toLowerCase(); if (lower.includes('keine')) return text; if (lower.includes('heim')) return `${text} (${home})`; if (lower.includes('away') || lower.includes('auswaert') || lower.includes('auswärt')) return `${text} (${away})`; return text; }
+function resolveStake(userId, { matchId, outcome, odds, stake }) {
+  const share = kellyShare(getLatestPrediction(matchId)?.[`prob_${outcome}`], odds);
+  const kellyStake = share > 0 ? roundMoney(findBankroll(userId).balance * share) : null;
+  return { amount: String(stake).toLowerCase() === 'kelly' ? kellyStake : parseAmount(stake), kellyStake };
+}
+
+function roundMoney(value) { return Math.round(Number(value) * 100) / 100; }
+function parseAmount(value) { return Number(String(value ?? '').replace(',', '.')); }
+function formatSubscriptionName(item) { return item.target_name ?? `${item.kind === 'team' ? 'Team' : 'Liga'} ${item.target_id}`; }
+function describeOutcome(outcome, home, away) { return { home: `Heimsieg (${home})`, draw: 'Unentschieden', away: `Auswärtssieg (${away})` }[outcome] ?? outcome; }
 function escapeText(value) { return String(value ?? '').replace(/</g, '').replace(/>/g, ''); }
-function trimTelegram(text) { return text.length <= 3900 ? text : `${text.slice(0, 3900)}\n\n... gekürzt.`; }
-function escapeHtml(value) { return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
 
 bot.catch((error) => console.error('Telegram bot error:', error));
-bot.launch();
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+
+export async function startBot({ mode = 'polling', webhook = null } = {}) {
+  if (running) throw new Error(`Bot läuft bereits (${running.mode})`);
+  bot.botInfo ??= await bot.telegram.getMe();
+
+  let handleWebhook = null;
+  if (mode === 'webhook') {
+    bot.telegram.webhookReply = false;
+    await bot.telegram.setWebhook(webhook.url, { secret_token: webhook.secretToken });
+    handleWebhook = createWebhookRoute(bot, webhook, inFlight);
+  } else {
+    bot.launch().catch((error) => console.error('Polling beendet mit Fehler:', error));
+  }
+
+  running = {
+    mode,
+    schedulers: [
+      startAlertScheduler({ notify: sendAlert }),
+      startDigestScheduler({ post: (chatId, digest) => bot.telegram.sendMessage(chatId, trimTelegram(formatDigestMessage(digest)), { parse_mode: 'HTML' }) }),
+      startGroupPollScheduler({ closePoll: (poll) => bot.telegram.stopPoll(poll.chat_id, poll.message_id), announce: announceGroupPoll })
+    ]
+  };
+  console.log(`GamblerGPT v3 läuft (${mode === 'webhook' ? `Webhook ${webhook.url}` : 'Polling'}).`);
+  return { handleWebhook };
+}
+
+export async function stopBot(reason = 'stop', { timeoutMs = 8000 } = {}) {
+  if (!running) return 0;
+  running.schedulers.forEach((scheduler) => scheduler?.stop());
+  if (running.mode !== 'webhook') {
+    try {
+      bot.stop(reason);
+    } catch (error) {
+      console.warn('Polling nicht stoppbar:', error?.message ?? error);
+    }
+  }
+  running = null;
+
+  const pending = await inFlight.drain(timeoutMs);
+  if (pending) console.warn(`${pending} Updates nach ${timeoutMs} ms noch nicht fertig, beende trotzdem.`);
+  return pending;
+}
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  startBot().catch((error) => {
+    console.error('Fehler beim Starten des Bots:', error);
+    process.exitCode = 1;
+  });
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => stopBot(signal).finally(() => process.exit()));
+  }
+}
@@ -0,0 +1,62 @@
+import { buildDailyDigest } from '../ai/digest.js';
+import { runInBackground } from '../api/requestClient.js';
+import { hasPostedDigest, recordDigest } from '../data/digestStore.js';
+
+const DIGEST_CHAT_ID = process.env.DIGEST_CHAT_ID ?? null;
+const DIGEST_TIME = process.env.DIGEST_TIME ?? '09:00';
+const DIGEST_TIMEZONE = process.env.API_TIMEZONE ?? 'Europe/Berlin';
+const CHECK_INTERVAL_MS = 60 * 1000;
+const RETRY_MS = 15 * 60 * 1000;
+
+export function startDigestScheduler({ post, chatId = DIGEST_CHAT_ID, time = DIGEST_TIME } = {}) {
+  if (!chatId || typeof post !== 'function') return null;
+  const target = parseTime(time);
+  if (target === null) {
+    console.warn(`DIGEST_TIME ungueltig: ${time} (erwartet HH:MM)`);
+    return null;
+  }
+
+  let running = false;
+  let lastAttempt = 0;
+  const tick = async () => {
+    if (running || Date.now() - lastAttempt < RETRY_MS) return;
+    const now = localParts(new Date());
+    if (now.minutes < target) return;
+    if (hasPostedDigest(chatId, now.date)) return;
+
+    running = true;
+    lastAttempt = Date.now();
+    try {
+      const digest = await runInBackground(() => buildDailyDigest({ refresh: true }));
+      await post(chatId, digest);
+      recordDigest(chatId, now.date);
+      lastAttempt = 0;
+    } catch (error) {
+      console.warn('Digest konnte nicht gepostet werden:', error?.message ?? error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  return { runNow: tick, stop: () => clearInterval(timer) };
+}
+
+function localParts(date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: DIGEST_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function parseTime(value) {
+  const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
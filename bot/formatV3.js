@@ -0,0 +1,127 @@
+const TIME_FORMAT = new Intl.DateTimeFormat('de-DE', {
+  timeStyle: 'medium',
+  timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
+});
+
+const CARD_DATE_FORMAT = new Intl.DateTimeFormat('de-DE', {
+  dateStyle: 'short',
+  timeStyle: 'short',
+  timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
+});
+
+const ENSEMBLE_SOURCES = { llm: 'LLM', poisson: 'Poisson', rule: 'Regeln', api: 'API-Football', market: 'Quoten' };
+
+export function formatPredictionCore(result, home, away, manual, bankroll = null) {
+  const probs = result.probabilities ?? {};
+  const betting = result.betting_advice ?? {};
+  const diag = result.data_quality?.diagnostics;
+  const aiError = result.data_quality?.ai_error;
+  return [
+    `<b>${manual ? 'Manuelles Matchup' : 'Match'}:</b> ${escapeHtml(home)} vs ${escapeHtml(away)}`,
+    `<b>Engine:</b> ${escapeHtml(result.engine ?? 'unknown')}`,
+    formatLiveState(result.live, home, away),
+    aiError ? `<b>AI-Fallback Grund:</b> ${escapeHtml(aiError)}` : null,
+    diag ? `<b>Daten:</b> ${escapeHtml(diag.localQualityLabel)} | Samples ${escapeHtml(diag.totalGames)} | H2H ${escapeHtml(diag.h2hCount)} | usable ${diag.hasUsableSamples ? 'ja' : 'nein'}` : null,
+    manual ? '<i>Keine echte kommende Fixture, Prediction basiert nur auf historischen Daten.</i>' : null,
+    '',
+    '<u>Prediction</u>',
+    `<b>Vorhersage:</b> ${escapeHtml(describePrediction(result.prediction, home, away))}`,
+    `<b>${escapeHtml(home)}:</b> ${escapeHtml(formatPercent(probs.home))}`,
+    `<b>Unentschieden:</b> ${escapeHtml(formatPercent(probs.draw))}`,
+    `<b>${escapeHtml(away)}:</b> ${escapeHtml(formatPercent(probs.away))}`,
+    '',
+    '<u>Wett-Empfehlung</u>',
+    `<b>Empfehlung:</b> ${escapeHtml(describePrediction(betting.recommendation, home, away))}`,
+    `<b>Sicherheit:</b> ${escapeHtml(formatPercent(betting.confidence))}`,
+    betting.reasoning ? `<b>Begründung:</b> ${escapeHtml(betting.reasoning)}` : null,
+    result.explanation ? `<b>Analyse:</b> ${escapeHtml(result.explanation)}` : null,
+    formatEnsemble(result.ensemble, home, away),
+    formatValueBets(result.value_bets, home, away),
+    formatStake(betting.stake, bankroll, home, away),
+    formatMarkets(result.markets)
+  ].filter(Boolean).join('\n');
+}
+
+export function formatPredictionCard(result, { home, away, kickoff = null, league = null, savedAt = null }) {
+  const probs = result.probabilities ?? {};
+  const betting = result.betting_advice ?? {};
+  const meta = [kickoff ? formatCardDate(kickoff) : null, league].filter(Boolean).join(' | ');
+  const source = [`GamblerGPT | ${result.engine ?? 'unknown'}`, savedAt ? `Stand ${formatCardDate(savedAt)}` : null].filter(Boolean).join(' | ');
+  return [
+    `\u{26BD} <b>${escapeHtml(home)} vs ${escapeHtml(away)}</b>`,
+    meta ? escapeHtml(meta) : null,
+    `<b>Tipp:</b> ${escapeHtml(describePrediction(result.prediction, home, away))}`,
+    `1 ${escapeHtml(formatPercent(probs.home))} | X ${escapeHtml(formatPercent(probs.draw))} | 2 ${escapeHtml(formatPercent(probs.away))}`,
+    `<b>Empfehlung:</b> ${escapeHtml(describePrediction(betting.recommendation, home, away))} (Sicherheit ${escapeHtml(formatPercent(betting.confidence))})`,
+    `<i>${escapeHtml(source)}</i>`
+  ].filter(Boolean).join('\n');
+}
+
+function formatValueBets(valueBets, home, away) {
+  if (!valueBets) return null;
+  const best = valueBets.best;
+  const lines = valueBets.outcomes.map((item) => `${item.value ? '\u{2705}' : '\u{25AB}\u{FE0F}'} ${describePrediction(item.label, home, away)}: Quote ${item.odd} | fair ${formatPercent(item.fair_probability)} | Modell ${formatPercent(item.model_probability)} | EV ${formatSignedPercent(item.ev)}`);
+  return [
+    '',
+    '<u>Value</u>',
+    best
+      ? `<b>Value-Tipp:</b> ${escapeHtml(describePrediction(best.label, home, away))} @ ${escapeHtml(best.odd)}${best.bookmaker ? ` bei ${escapeHtml(best.bookmaker)}` : ''} (EV ${escapeHtml(formatSignedPercent(best.ev))})`
+      : `<b>Value-Tipp:</b> keiner über ${escapeHtml(formatPercent(valueBets.min_ev))} EV`,
+    `<blockquote expandable>${escapeHtml([`${valueBets.bookmaker ?? 'Bookmaker unbekannt'}, Marge ${formatPercent(valueBets.margin)}`, ...lines].join('\n'))}</blockquote>`
+  ].join('\n');
+}
+
+function formatEnsemble(ensemble, home, away) {
+  if (!ensemble?.components?.length) return null;
+  const lines = ensemble.components.map((item) => `${ENSEMBLE_SOURCES[item.source] ?? item.source}: 1 ${formatPercent(item.probabilities.home)} | X ${formatPercent(item.probabilities.draw)} | 2 ${formatPercent(item.probabilities.away)} | Gewicht ${formatPercent(item.weight)}${item.learned ? '' : ' (Start)'}`);
+  return [
+    '',
+    '<u>Ensemble</u>',
+    ensemble.disagreeing
+      ? `<b>\u{26A0}\u{FE0F} Quellen uneinig:</b> ${escapeHtml(ensemble.picks.map((label) => describePrediction(label, home, away)).join(' / '))} (Abstand ${escapeHtml(formatPercent(ensemble.disagreement))})`
+      : `<b>Quellen einig:</b> Abstand ${escapeHtml(formatPercent(ensemble.disagreement))}`,
+    `<blockquote expandable>${escapeHtml(lines.join('\n'))}</blockquote>`
+  ].join('\n');
+}
+
+function formatLiveState(live, home, away) {
+  if (!live) return null;
+  const next = live.next_goal ?? {};
+  return [
+    `<b>Live:</b> ${escapeHtml(live.minute)}' | ${escapeHtml(live.score.home)}:${escapeHtml(live.score.away)} | Rot ${escapeHtml(live.red_cards.home)}:${escapeHtml(live.red_cards.away)} | Resttore ${escapeHtml(live.remaining_goals.home)}:${escapeHtml(live.remaining_goals.away)}`,
+    `<b>Nächstes Tor:</b> ${escapeHtml(home)} ${formatPercent(next.home)} | keins ${formatPercent(next.none)} | ${escapeHtml(away)} ${formatPercent(next.away)}`,
+    `<i>Stand ${escapeHtml(TIME_FORMAT.format(new Date(live.updated_at)))}</i>`
+  ].join('\n');
+}
+
+function formatStake(stake, bankroll, home, away) {
+  if (!stake) return null;
+  const amount = bankroll ? ` = ${formatMoney(bankroll.balance * stake.kelly_share)} von ${formatMoney(bankroll.balance)}` : '';
+  return `<b>Kelly-Einsatz:</b> ${escapeHtml(formatPercent1(stake.kelly_share))} der Bankroll${escapeHtml(amount)} auf ${escapeHtml(describePrediction(stake.label, home, away))} @ ${escapeHtml(stake.odds)}`;
+}
+
+function formatMarkets(markets) {
+  if (!markets) return null;
+  const xg = markets.expected_goals;
+  const overUnder = Object.entries(markets.over_under ?? {}).map(([line, p]) => `O/U ${line}: Over ${formatPercent(p.over)} | Under ${formatPercent(p.under)}`);
+  const dc = markets.double_chance ?? {};
+  const scores = (markets.correct_scores ?? []).map((item) => `${item.score} (${formatPercent(item.probability)})`).join(', ');
+  const lines = [
+    xg ? `xG: ${xg.home} : ${xg.away} (${markets.source})` : null,
+    ...overUnder,
+    markets.btts ? `Beide treffen: Ja ${formatPercent(markets.btts.yes)} | Nein ${formatPercent(markets.btts.no)}` : null,
+    `Doppelte Chance: 1X ${formatPercent(dc['1X'])} | X2 ${formatPercent(dc['X2'])} | 12 ${formatPercent(dc['12'])}`,
+    scores ? `Ergebnisse: ${scores}` : null,
+    markets.api_under_over ? `API Under/Over: ${markets.api_under_over}` : null
+  ].filter(Boolean).map(escapeHtml);
+  return ['', '<u>Märkte</u>', `<blockquote expandable>${lines.join('\n')}</blockquote>`].join('\n');
+}
+
+export function formatPercent(value) { const n = Number(value); return Number.isFinite(n) ? `${Math.round(n * 100)}%` : 'n/a'; }
+export function formatSignedPercent(value) { const n = Number(value); return Number.isFinite(n) ? `${n > 0 ? '+' : ''}${Math.round(n * 100)}%` : 'n/a'; }
+function formatPercent1(value) { const n = Number(value); return Number.isFinite(n) ? `${(n * 100).toFixed(1)}%` : 'n/a'; }
+function formatCardDate(value) { const date = new Date(value); return Number.isNaN(date.getTime()) ? String(value) : CARD_DATE_FORMAT.format(date); }
+export function formatMoney(value) { const n = Number(value); return Number.isFinite(n) ? n.toFixed(2) : 'n/a'; }
+export function describePrediction(value, home, away) { const text = String(value ?? 'Keine Empfehlung'); const lower = text.toLowerCase(); if (lower.includes('keine')) return text; if (lower.includes('heim')) return `${text} (${home})`; if (lower.includes('away') || lower.includes('auswaert') || lower.includes('auswärt')) return `${text} (${away})`; return text; }
+export function trimTelegram(text) { return text.length <= 3900 ? text : `${text.slice(0, 3900)}\n\n... gekürzt.`; }
+export function escapeHtml(value) { return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
@@ -0,0 +1,147 @@
+import { fetchUpcomingMatchesForTeam, searchTeams } from '../api/matchBrowserV3.js';
+import { runInBackground } from '../api/requestClient.js';
+import { predictMatch } from '../ai/predictorV3.js';
+import { parseOutcome } from '../data/bankrollStore.js';
+import { getDb } from '../data/db.js';
+import { createGroupPoll, hasGroupPoll, POLL_OUTCOMES, setGroupPollPick } from '../data/groupPollStore.js';
+import { getRecentPrediction } from '../data/predictionStore.js';
+import { getSubscribedMatches } from '../data/subscriptionStore.js';
+import { escapeHtml, formatPercent } from './formatV3.js';
+
+const POLL_LIMIT = Number(process.env.GROUP_POLL_LIMIT) || 5;
+const POLL_HOURS = Number(process.env.GROUP_POLL_HOURS) || 48;
+const PICK_CACHE_MINUTES = Number(process.env.INLINE_CACHE_MINUTES) || 360;
+const MIN_LEAD_MS = 5 * 60 * 1000;
+const KICKOFF_FORMAT = new Intl.DateTimeFormat('de-DE', {
+  dateStyle: 'short',
+  timeStyle: 'short',
+  timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
+});
+
+let pickQueue = Promise.resolve();
+
+export function isGroupChat(chat) {
+  return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+export async function findPollFixtures(chatId, query = '', now = Date.now()) {
+  const text = String(query ?? '').trim();
+  let rows;
+  if (/^\d+$/.test(text)) {
+    rows = [getMatch(Number(text))].filter(Boolean);
+  } else if (text) {
+    const [team] = await searchTeams(text, { sport: 'football', limit: 1 });
+    rows = team ? await fetchUpcomingMatchesForTeam(team.id, { sport: 'football', limit: 3 }) : [];
+  } else {
+    rows = getSubscribedMatches({ fromHours: 0, toHours: POLL_HOURS }).filter((match) => match.chats.includes(chatId));
+  }
+
+  const fixtures = rows.map(toMatch).filter((match) => match.match_id && Date.parse(match.date) - now > MIN_LEAD_MS && !hasGroupPoll(chatId, match.match_id));
+  return text && !/^\d+$/.test(text) ? fixtures.slice(0, 1) : fixtures.slice(0, POLL_LIMIT);
+}
+
+export async function postMatchPoll(telegram, chatId, match) {
+  if (hasGroupPoll(chatId, match.match_id)) return { error: 'Für dieses Spiel läuft schon eine Umfrage.' };
+  const message = await telegram.sendPoll(chatId, pollQuestion(match), [
+    `1 ${match.home_team}`.slice(0, 100),
+    'X Unentschieden',
+    `2 ${match.away_team}`.slice(0, 100)
+  ], { is_anonymous: false, allows_multiple_answers: false });
+
+  let poll;
+  try {
+    poll = createGroupPoll({ pollId: message.poll.id, chatId, messageId: message.message_id, matchId: match.match_id, kickoff: match.date, botPick: cachedPick(match.match_id) });
+  } catch (error) {
+    console.warn('Umfrage konnte nicht gespeichert werden:', error?.message ?? error);
+    return { error: 'Umfrage konnte nicht gespeichert werden.' };
+  }
+
+  if (!poll.bot_pick) queueBotPick(poll);
+  return poll;
+}
+
+export function pendingBotPicks() {
+  return pickQueue;
+}
+
+export async function pickForMatch(matchId) {
+  try {
+    const cached = cachedPick(matchId);
+    if (cached) return cached;
+    const result = await predictMatch(matchId);
+    if (!result || result.error) return null;
+    return outcomeOf(result.prediction, result.probabilities);
+  } catch (error) {
+    console.warn(`GamblerGPT-Tipp fuer ${matchId} nicht verfuegbar:`, error?.message ?? error);
+    return null;
+  }
+}
+
+export function formatLeaderboard(board, { top = 20 } = {}) {
+  if (!board.entries.length) return 'Noch keine abgerechneten Tipps. Startet eine Runde mit /tippspiel.';
+  return [
+    `\u{1F3C6} <b>Tippspiel-Rangliste</b> (${board.polls} ${board.polls === 1 ? 'Spiel' : 'Spiele'} abgerechnet)`,
+    ...board.entries.slice(0, top).map((entry, index) => {
+      const name = entry.is_bot ? '\u{1F916} GamblerGPT' : escapeHtml(entry.name ?? `User ${entry.user_id}`);
+      const versus = entry.is_bot || (!entry.beat_bot && !entry.lost_to_bot) ? '' : ` | vs GamblerGPT +${entry.beat_bot}/-${entry.lost_to_bot}`;
+      return `${index + 1}. ${name}: ${entry.correct}/${entry.tips} richtig (${formatPercent(entry.accuracy)})${versus}`;
+    })
+  ].join('\n');
+}
+
+export function formatSettlement(poll, board) {
+  const title = `${escapeHtml(poll.home_team)} vs ${escapeHtml(poll.away_team)}`;
+  if (poll.status === 'void') return `\u{26D4} <b>${title}</b> wurde abgesagt oder verlegt, die Tipps zählen nicht.`;
+
+  const labels = outcomeLabels(poll);
+  const winners = poll.votes.filter((vote) => vote.outcome === poll.actual_outcome);
+  const bot = poll.bot_pick ? `${labels[poll.bot_pick]} ${poll.bot_pick === poll.actual_outcome ? '\u{2705}' : '\u{274C}'}` : 'kein Tipp';
+  return [
+    `\u{1F3C1} <b>${escapeHtml(poll.home_team)} ${poll.home_goals}:${poll.away_goals} ${escapeHtml(poll.away_team)}</b>`,
+    `<b>Ergebnis:</b> ${escapeHtml(labels[poll.actual_outcome])}`,
+    `<b>Richtig (${winners.length}/${poll.votes.length}):</b> ${winners.length ? winners.map((vote) => escapeHtml(vote.user_name)).join(', ') : 'niemand'}`,
+    `<b>\u{1F916} GamblerGPT:</b> ${escapeHtml(bot)}`,
+    '',
+    formatLeaderboard(board, { top: 5 })
+  ].join('\n');
+}
+
+function pollQuestion(match) {
+  const kickoff = Number.isFinite(Date.parse(match.date)) ? KICKOFF_FORMAT.format(new Date(match.date)) : 'Zeit offen';
+  return `\u{26BD} ${match.home_team} vs ${match.away_team} | ${kickoff}${match.league_name ? ` | ${match.league_name}` : ''}`.slice(0, 300);
+}
+
+function queueBotPick(poll) {
+  pickQueue = pickQueue
+    .then(() => runInBackground(() => pickForMatch(poll.match_id)))
+    .then((pick) => setGroupPollPick(poll.poll_id, pick))
+    .catch((error) => console.warn(`GamblerGPT-Tipp fuer Umfrage ${poll.poll_id} nicht gespeichert:`, error?.message ?? error));
+}
+
+function cachedPick(matchId) {
+  const cached = getRecentPrediction(matchId, PICK_CACHE_MINUTES);
+  return cached ? outcomeOf(cached.prediction, { home: cached.prob_home, draw: cached.prob_draw, away: cached.prob_away }) : null;
+}
+
+function getMatch(matchId) {
+  return getDb().prepare(`SELECT * FROM matches WHERE match_id = @matchId`).get({ matchId }) ?? null;
+}
+
+function toMatch(row) {
+  return {
+    match_id: Number(row.match_id ?? row.fixture?.id ?? row.id) || null,
+    date: row.fixture?.date ?? row.date ?? null,
+    home_team: row.teams?.home?.name ?? row.home_team ?? 'Heimteam',
+    away_team: row.teams?.away?.name ?? row.away_team ?? 'Auswärtsteam',
+    league_name: row.league?.name ?? row.league_name ?? null
+  };
+}
+
+function outcomeOf(label, probs = {}) {
+  const parsed = parseOutcome(label);
+  if (parsed) return parsed;
+  const values = POLL_OUTCOMES.map((key) => [key, Number(probs?.[key])]).filter(([, value]) => Number.isFinite(value));
+  return values.length ? values.sort((a, b) => b[1] - a[1])[0][0] : null;
+}
+
+function outcomeLabels(poll) { return { home: `Heimsieg (${poll.home_team})`, draw: 'Unentschieden', away: `Auswärtssieg (${poll.away_team})` }; }
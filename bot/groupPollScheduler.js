@@ -0,0 +1,69 @@
+import { fetchMatchById } from '../api/apiHandler.js';
+import { runInBackground } from '../api/requestClient.js';
+import { closeGroupPoll, listDuePolls, listPollsAwaitingResult, settleGroupPolls } from '../data/groupPollStore.js';
+
+const INTERVAL_MS = Number(process.env.GROUP_POLL_INTERVAL_MS) || 60 * 1000;
+const RESULT_POLL_MS = Number(process.env.ALERT_RESULT_POLL_MS) || 15 * 60 * 1000;
+const MATCH_DURATION_MS = 115 * 60 * 1000;
+const DONE_STATUS_CODES = ['FT', 'AET', 'PEN', 'PST', 'CANC', 'ABD', 'AWD', 'WO'];
+
+const lastResultPoll = new Map();
+
+export function startGroupPollScheduler({ closePoll, announce, intervalMs = INTERVAL_MS } = {}) {
+  if (typeof closePoll !== 'function' || typeof announce !== 'function') return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runInBackground(() => runGroupPollCycle({ closePoll, announce }));
+    } catch (error) {
+      console.warn('Tippspiel-Lauf fehlgeschlagen:', error?.message ?? error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  return { runNow: tick, stop: () => clearInterval(timer) };
+}
+
+export async function runGroupPollCycle({ closePoll, announce }, now = Date.now()) {
+  let closed = 0;
+  for (const poll of listDuePolls(now)) {
+    try {
+      await closePoll(poll);
+    } catch (error) {
+      console.warn(`Umfrage ${poll.poll_id} nicht schliessbar:`, error?.message ?? error);
+    }
+    closeGroupPoll(poll.poll_id);
+    closed += 1;
+  }
+
+  const pending = new Map();
+  for (const poll of listPollsAwaitingResult()) {
+    if (DONE_STATUS_CODES.includes(poll.match_status)) continue;
+    if (Date.parse(poll.kickoff) + MATCH_DURATION_MS > now) continue;
+    pending.set(poll.match_id, poll);
+  }
+
+  for (const matchId of pending.keys()) {
+    if (now - (lastResultPoll.get(matchId) ?? 0) < RESULT_POLL_MS) continue;
+    lastResultPoll.set(matchId, now);
+    try {
+      await fetchMatchById(matchId, 'football');
+    } catch (error) {
+      console.warn(`Ergebnis fuer Tippspiel ${matchId} nicht verfuegbar:`, error?.message ?? error);
+    }
+  }
+  const settled = settleGroupPolls();
+  for (const poll of settled) {
+    try {
+      await announce(poll);
+    } catch (error) {
+      console.warn(`Tippspiel-Ergebnis an Chat ${poll.chat_id} fehlgeschlagen:`, error?.message ?? error);
+    }
+  }
+  return { closed, settled: settled.length };
+}
@@ -0,0 +1,153 @@
+import { Markup } from 'telegraf';
+
+import { cached } from '../api/cache.js';
+import { fetchUpcomingMatchesForTeam, searchTeams } from '../api/matchBrowserV3.js';
+import { getDb } from '../data/db.js';
+import { getRecentPrediction } from '../data/predictionStore.js';
+import { describePrediction, escapeHtml, formatPercent, formatPredictionCard } from './formatV3.js';
+
+const TIMEOUT_MS = Number(process.env.INLINE_TIMEOUT_MS) || 5000;
+const CACHE_MINUTES = Number(process.env.INLINE_CACHE_MINUTES) || 360;
+const API_MIN_CHARS = Number(process.env.INLINE_API_MIN_CHARS) || 4;
+const LOOKUP_TTL_MS = (Number(process.env.INLINE_LOOKUP_TTL_MINUTES) || 30) * 60 * 1000;
+const MAX_RESULTS = 10;
+const MAX_TEAMS = 2;
+const KICKOFF_FORMAT = new Intl.DateTimeFormat('de-DE', {
+  dateStyle: 'short',
+  timeStyle: 'short',
+  timeZone: process.env.API_TIMEZONE ?? 'Europe/Berlin'
+});
+
+export async function findInlineFixtures(query, { timeoutMs = TIMEOUT_MS, limit = MAX_RESULTS } = {}) {
+  const text = String(query ?? '').trim();
+  if (text.length < 2) return [];
+
+  let rows = loadUpcomingByName(text, limit);
+  if (!rows.length && text.length >= API_MIN_CHARS) {
+    rows = await withTimeout(lookupFixtures(text, limit), timeoutMs).catch((error) => {
+      console.warn('Inline-Suche fehlgeschlagen:', error?.message ?? error);
+      return null;
+    }) ?? [];
+  }
+  const fixtures = new Map();
+  for (const row of rows) {
+    const fixture = toFixture(row);
+    if (fixture.matchId && !fixtures.has(fixture.matchId)) fixtures.set(fixture.matchId, fixture);
+  }
+
+  return [...fixtures.values()]
+    .sort((a, b) => String(a.date ?? '').localeCompare(String(b.date ?? '')))
+    .slice(0, limit)
+    .map((fixture) => ({ ...fixture, prediction: cachedPrediction(fixture.matchId) }));
+}
+
+export function buildInlineResults(fixtures) {
+  return fixtures.map((fixture) => {
+    const match = { home: fixture.home, away: fixture.away, kickoff: fixture.date, league: fixture.league };
+    const title = `${fixture.home} vs ${fixture.away}`;
+    const when = [formatKickoff(fixture.date), fixture.league].filter(Boolean).join(' | ');
+
+    if (fixture.prediction) {
+      const { prediction } = fixture;
+      const probs = prediction.probabilities;
+      return {
+        type: 'article',
+        id: `card:${fixture.matchId}`,
+        title,
+        description: `${when ? `${when}\n` : ''}${describePrediction(prediction.prediction, fixture.home, fixture.away)} | 1 ${formatPercent(probs.home)} X ${formatPercent(probs.draw)} 2 ${formatPercent(probs.away)}`,
+        input_message_content: { message_text: formatPredictionCard(prediction, { ...match, savedAt: prediction.saved_at }), parse_mode: 'HTML' }
+      };
+    }
+
+    return {
+      type: 'article',
+      id: `calc:${fixture.matchId}`,
+      title,
+      description: `${when ? `${when}\n` : ''}Prediction wird nach dem Senden berechnet`,
+      input_message_content: { message_text: `\u{23F3} <b>${escapeHtml(title)}</b>\nBerechne Prediction ...`, parse_mode: 'HTML' },
+      reply_markup: inlineRetryKeyboard(fixture.matchId).reply_markup
+    };
+  });
+}
+
+export function parseInlineResultId(resultId) {
+  const match = /^calc:(\d+)$/.exec(String(resultId ?? ''));
+  return match ? Number(match[1]) : null;
+}
+
+export function inlineRetryKeyboard(matchId) {
+  return Markup.inlineKeyboard([[Markup.button.callback('Prediction berechnen', `inline:${matchId}`)]]);
+}
+
+export function cardMatch(match) {
+  return {
+    home: match?.home_team ?? 'Heimteam',
+    away: match?.away_team ?? 'Auswärtsteam',
+    kickoff: match?.date ?? null,
+    league: match?.league_name ?? null
+  };
+}
+
+async function lookupFixtures(query, limit) {
+  const teams = await cached(`inline:teams:${query.toLowerCase()}`, LOOKUP_TTL_MS, () => searchTeams(query, { sport: 'football', limit: MAX_TEAMS }));
+  const lists = await Promise.all(teams.slice(0, MAX_TEAMS).map((team) => cached(
+    `inline:fixtures:${team.id}:${limit}`,
+    LOOKUP_TTL_MS,
+    () => fetchUpcomingMatchesForTeam(team.id, { sport: 'football', limit })
+  )));
+  return lists.flat();
+}
+
+function loadUpcomingByName(query, limit) {
+  try {
+    return getDb().prepare(`
+      SELECT match_id, date, status, home_team, away_team, league_name
+      FROM matches
+      WHERE COALESCE(sport, 'football') = 'football'
+        AND (home_team LIKE @pattern OR away_team LIKE @pattern)
+        AND date IS NOT NULL
+        AND datetime(date) >= datetime('now', '-3 hours')
+      ORDER BY datetime(date) ASC
+      LIMIT @limit
+    `).all({ pattern: `%${query}%`, limit });
+  } catch (error) {
+    console.warn('Inline-Fallback aus DB fehlgeschlagen:', error?.message ?? error);
+    return [];
+  }
+}
+
+function cachedPrediction(matchId) {
+  try {
+    const row = getRecentPrediction(matchId, CACHE_MINUTES);
+    if (!row) return null;
+    return {
+      engine: row.engine,
+      prediction: row.prediction,
+      probabilities: { home: row.prob_home, draw: row.prob_draw, away: row.prob_away },
+      betting_advice: { recommendation: row.recommendation, confidence: row.confidence },
+      saved_at: `${String(row.created_at).replace(' ', 'T')}Z`
+    };
+  } catch (error) {
+    console.warn('Gespeicherte Prediction nicht lesbar:', error?.message ?? error);
+    return null;
+  }
+}
+
+function toFixture(row) {
+  return {
+    matchId: Number(row.match_id ?? row.fixture?.id ?? row.id) || null,
+    home: row.teams?.home?.name ?? row.home_team ?? 'Heimteam',
+    away: row.teams?.away?.name ?? row.away_team ?? 'Auswärtsteam',
+    date: row.fixture?.date ?? row.date ?? null,
+    league: row.league?.name ?? row.league_name ?? null,
+    status: row.fixture?.status?.short ?? row.status ?? null
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(null), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function formatKickoff(date) { return date ? KICKOFF_FORMAT.format(new Date(date)) : null; }
@@ -0,0 +1,165 @@
+import { getDb } from './db.js';
+import { getLatestPrediction } from './predictionStore.js';
+
+const STARTING_BANKROLL = Number(process.env.BANKROLL_START) || 1000;
+const PRE_MATCH_STATUS_CODES = ['NS', 'TBD'];
+const FINISHED_STATUS_CODES = ['FT', 'AET', 'PEN'];
+const CANCELLED_STATUS_CODES = ['PST', 'CANC', 'ABD', 'AWD', 'WO'];
+const OUTCOMES = ['home', 'draw', 'away'];
+
+export function getBankroll(userId) {
+  getDb().prepare(`
+    INSERT OR IGNORE INTO bankrolls (user_id, balance, starting_balance)
+    VALUES (@userId, @amount, @amount)
+  `).run({ userId, amount: STARTING_BANKROLL });
+  return findBankroll(userId);
+}
+
+export function findBankroll(userId) {
+  const db = getDb();
+  const bankroll = db.prepare(`SELECT user_id, balance, starting_balance, created_at FROM bankrolls WHERE user_id = @userId`).get({ userId })
+    ?? { user_id: userId, balance: STARTING_BANKROLL, starting_balance: STARTING_BANKROLL, created_at: null };
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS bets,
+           SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS open_bets,
+           SUM(CASE WHEN status = 'open' THEN stake ELSE 0 END) AS open_stake,
+           SUM(CASE WHEN status = 'won' THEN 1 ELSE 0 END) AS won,
+           SUM(CASE WHEN status = 'lost' THEN 1 ELSE 0 END) AS lost,
+           SUM(CASE WHEN status IN ('won', 'lost') THEN stake ELSE 0 END) AS settled_stake,
+           SUM(COALESCE(profit, 0)) AS profit
+    FROM user_bets
+    WHERE user_id = @userId
+  `).get({ userId });
+
+  return {
+    ...bankroll,
+    bets: totals.bets ?? 0,
+    open_bets: totals.open_bets ?? 0,
+    open_stake: round(totals.open_stake ?? 0),
+    won: totals.won ?? 0,
+    lost: totals.lost ?? 0,
+    profit: round(totals.profit ?? 0),
+    roi: totals.settled_stake ? round((totals.profit ?? 0) / totals.settled_stake) : null
+  };
+}
+
+export function resetBankroll(userId, amount) {
+  const value = Number(amount);
+  if (!(value > 0)) return { error: 'Bankroll muss größer als 0 sein.' };
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO bankrolls (user_id, balance, starting_balance)
+    VALUES (@userId, @value, @value)
+    ON CONFLICT(user_id) DO UPDATE SET balance = @value, starting_balance = @value, updated_at = CURRENT_TIMESTAMP
+  `).run({ userId, value });
+  return getBankroll(userId);
+}
+
+export function placeBet(userId, { matchId, outcome, odds, stake, kellyStake = null }) {
+  const db = getDb();
+  const match = db.prepare(`SELECT match_id, date, home_team, away_team, status FROM matches WHERE match_id = @matchId`).get({ matchId });
+  if (!match) return { error: `Match ${matchId} nicht in der DB. Erst /predict ${matchId} ausführen.` };
+  if (FINISHED_STATUS_CODES.includes(match.status)) return { error: 'Das Spiel ist bereits beendet.' };
+  if (!PRE_MATCH_STATUS_CODES.includes(match.status ?? 'NS') || !(Date.parse(match.date) > Date.now())) return { error: 'Wetten sind nur vor Anstoß möglich.' };
+  if (!OUTCOMES.includes(outcome)) return { error: 'Ausgang muss 1, X oder 2 sein.' };
+  if (!(Number(odds) > 1)) return { error: 'Quote muss größer als 1 sein.' };
+  if (!(Number(stake) > 0)) return { error: 'Einsatz muss größer als 0 sein.' };
+
+  const open = db.prepare(`SELECT 1 FROM user_bets WHERE user_id = @userId AND match_id = @matchId AND outcome = @outcome AND status = 'open'`).get({ userId, matchId, outcome });
+  if (open) return { error: 'Auf diesen Ausgang hast du schon eine offene Wette.' };
+
+  const bankroll = getBankroll(userId);
+  if (Number(stake) > bankroll.balance) return { error: `Einsatz ${stake} übersteigt die Bankroll (${round(bankroll.balance)}).` };
+
+  const prediction = getLatestPrediction(matchId);
+  const tx = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO user_bets (user_id, match_id, prediction_id, outcome, odds, stake, model_probability, kelly_stake)
+      VALUES (@userId, @matchId, @predictionId, @outcome, @odds, @stake, @modelProbability, @kellyStake)
+    `).run({
+      userId,
+      matchId,
+      predictionId: prediction?.id ?? null,
+      outcome,
+      odds: Number(odds),
+      stake: round(Number(stake)),
+      modelProbability: prediction ? prediction[`prob_${outcome}`] : null,
+      kellyStake
+    });
+    db.prepare(`UPDATE bankrolls SET balance = balance - @stake, updated_at = CURRENT_TIMESTAMP WHERE user_id = @userId`).run({ userId, stake: round(Number(stake)) });
+    return Number(info.lastInsertRowid);
+  });
+
+  const id = tx();
+  return { ...getBet(id), home_team: match.home_team, away_team: match.away_team, balance: getBankroll(userId).balance };
+}
+
+export function listBets(userId, { limit = 10 } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT b.*, m.home_team, m.away_team, m.date
+    FROM user_bets b
+    LEFT JOIN matches m ON m.match_id = b.match_id
+    WHERE b.user_id = @userId
+    ORDER BY b.id DESC
+    LIMIT @limit
+  `).all({ userId, limit });
+}
+
+export function settleUserBets() {
+  try {
+    const db = getDb();
+    const codes = [...FINISHED_STATUS_CODES, ...CANCELLED_STATUS_CODES];
+    const placeholders = codes.map((_, index) => `@status${index}`).join(', ');
+    const params = Object.fromEntries(codes.map((value, index) => [`status${index}`, value]));
+
+    const rows = db.prepare(`
+      SELECT b.id, b.user_id, b.outcome, b.odds, b.stake, m.status AS match_status, m.home_goals, m.away_goals
+      FROM user_bets b
+      JOIN matches m ON m.match_id = b.match_id
+      WHERE b.status = 'open'
+        AND m.status IN (${placeholders})
+    `).all(params).filter((row) => CANCELLED_STATUS_CODES.includes(row.match_status) || (row.home_goals !== null && row.away_goals !== null));
+    if (!rows.length) return 0;
+
+    const update = db.prepare(`
+      UPDATE user_bets
+      SET status = @status, payout = @payout, profit = @profit, settled_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `);
+    const credit = db.prepare(`UPDATE bankrolls SET balance = balance + @payout, updated_at = CURRENT_TIMESTAMP WHERE user_id = @userId`);
+    const tx = db.transaction((items) => {
+      for (const row of items) {
+        if (CANCELLED_STATUS_CODES.includes(row.match_status)) {
+          update.run({ id: row.id, status: 'void', payout: row.stake, profit: 0 });
+          credit.run({ userId: row.user_id, payout: row.stake });
+          continue;
+        }
+        const actual = row.home_goals > row.away_goals ? 'home' : row.home_goals < row.away_goals ? 'away' : 'draw';
+        const won = row.outcome === actual;
+        const payout = won ? round(row.stake * row.odds) : 0;
+        update.run({ id: row.id, status: won ? 'won' : 'lost', payout, profit: round(payout - row.stake) });
+        if (payout) credit.run({ userId: row.user_id, payout });
+      }
+    });
+    tx(rows);
+    return rows.length;
+  } catch (error) {
+    console.warn('Wett-Abrechnung fehlgeschlagen:', error?.message ?? error);
+    return 0;
+  }
+}
+
+export function parseOutcome(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (['1', 'home', 'heim', 'heimsieg'].includes(s)) return 'home';
+  if (['x', '0', 'draw', 'unentschieden', 'remis'].includes(s)) return 'draw';
+  if (['2', 'away', 'auswaerts', 'auswärts', 'auswaertssieg', 'auswärtssieg'].includes(s)) return 'away';
+  return null;
+}
+
+function getBet(id) {
+  return getDb().prepare(`SELECT * FROM user_bets WHERE id = @id`).get({ id });
+}
+
+function round(value) { return Math.round(Number(value) * 100) / 100; }
@@ -38,6 +38,194 @@ export function setupDatabase() {
       url TEXT,
       params TEXT
     );
+
+    CREATE TABLE IF NOT EXISTS predictions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      match_id INTEGER,
+      manual_home_team_id INTEGER,
+      manual_away_team_id INTEGER,
+      engine TEXT NOT NULL,
+      prob_home REAL,
+      prob_draw REAL,
+      prob_away REAL,
+      prediction TEXT,
+      recommendation TEXT,
+      confidence REAL,
+      data_quality TEXT,
+      markets TEXT,
+      prompt_hash TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      actual_outcome TEXT,
+      home_goals INTEGER,
+      away_goals INTEGER,
+      log_loss REAL,
+      brier REAL,
+      settled_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS prediction_components (
+      prediction_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      engine TEXT,
+      weight REAL,
+      prob_home REAL,
+      prob_draw REAL,
+      prob_away REAL,
+      PRIMARY KEY (prediction_id, source)
+    );
+
+    CREATE TABLE IF NOT EXISTS team_ratings (
+      team_id INTEGER PRIMARY KEY,
+      team_name TEXT,
+      league_id INTEGER,
+      season INTEGER,
+      rating REAL NOT NULL,
+      games INTEGER DEFAULT 0,
+      last_match_id INTEGER,
+      last_date TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS match_elo (
+      match_id INTEGER PRIMARY KEY,
+      date TEXT,
+      home_elo REAL,
+      away_elo REAL,
+      home_elo_post REAL,
+      away_elo_post REAL
+    );
+
+    CREATE TABLE IF NOT EXISTS odds_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL,
+      fetched_at TEXT NOT NULL,
+      bookmaker_id INTEGER,
+      bookmaker TEXT NOT NULL,
+      market TEXT NOT NULL,
+      line TEXT,
+      outcome TEXT NOT NULL,
+      odd REAL NOT NULL
+    );
+
+    CREATE VIEW IF NOT EXISTS odds_latest AS
+      SELECT s.*
+      FROM odds_snapshots s
+      JOIN (
+        SELECT match_id, bookmaker, MAX(fetched_at) AS fetched_at
+        FROM odds_snapshots
+        GROUP BY match_id, bookmaker
+      ) l ON l.match_id = s.match_id AND l.bookmaker = s.bookmaker AND l.fetched_at = s.fetched_at;
+
+    CREATE VIEW IF NOT EXISTS odds_consensus AS
+      SELECT o.match_id, o.market, o.line, o.outcome,
+             AVG(o.odd) AS avg_odd,
+             MAX(o.odd) AS best_odd,
+             (
+               SELECT b.bookmaker FROM odds_latest b
+               WHERE b.match_id = o.match_id AND b.market = o.market AND b.outcome = o.outcome
+                 AND COALESCE(b.line, '') = COALESCE(o.line, '')
+               ORDER BY b.odd DESC LIMIT 1
+             ) AS best_bookmaker,
+             COUNT(*) AS bookmakers,
+             MAX(o.fetched_at) AS fetched_at
+      FROM odds_latest o
+      GROUP BY o.match_id, o.market, COALESCE(o.line, ''), o.outcome;
+
+    CREATE TABLE IF NOT EXISTS bankrolls (
+      user_id INTEGER PRIMARY KEY,
+      balance REAL NOT NULL,
+      starting_balance REAL NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_bets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      user_id INTEGER NOT NULL,
+      match_id INTEGER NOT NULL,
+      prediction_id INTEGER,
+      outcome TEXT NOT NULL,
+      odds REAL NOT NULL,
+      stake REAL NOT NULL,
+      model_probability REAL,
+      kelly_stake REAL,
+      status TEXT NOT NULL DEFAULT 'open',
+      payout REAL,
+      profit REAL,
+      settled_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      chat_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      target_id INTEGER NOT NULL,
+      target_name TEXT,
+      UNIQUE (chat_id, kind, target_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS group_polls (
+      poll_id TEXT PRIMARY KEY,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      match_id INTEGER NOT NULL,
+      kickoff TEXT NOT NULL,
+      bot_pick TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      actual_outcome TEXT,
+      home_goals INTEGER,
+      away_goals INTEGER,
+      settled_at TEXT,
+      UNIQUE (chat_id, match_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS group_votes (
+      poll_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      user_name TEXT,
+      outcome TEXT NOT NULL,
+      voted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (poll_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS digest_log (
+      chat_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      posted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chat_id, day)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_log (
+      chat_id INTEGER NOT NULL,
+      match_id INTEGER NOT NULL,
+      alert_type TEXT NOT NULL,
+      fingerprint TEXT,
+      sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chat_id, match_id, alert_type)
+    );
+
+    CREATE TABLE IF NOT EXISTS api_cache (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      accessed_at INTEGER NOT NULL,
+      size INTEGER DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_cache_accessed ON api_cache (accessed_at);
+    CREATE INDEX IF NOT EXISTS idx_api_cache_expires ON api_cache (expires_at);
+    CREATE INDEX IF NOT EXISTS idx_subscriptions_target ON subscriptions (kind, target_id);
+    CREATE INDEX IF NOT EXISTS idx_user_bets_user ON user_bets (user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_user_bets_status ON user_bets (status, match_id);
+    CREATE INDEX IF NOT EXISTS idx_odds_snapshots_match ON odds_snapshots (match_id, bookmaker, fetched_at);
+    CREATE INDEX IF NOT EXISTS idx_predictions_match ON predictions (match_id);
+    CREATE INDEX IF NOT EXISTS idx_predictions_status ON predictions (status);
+    CREATE INDEX IF NOT EXISTS idx_group_polls_status ON group_polls (status, kickoff);
   `);
 
   ensureColumn(db, 'matches', 'status', 'TEXT');
@@ -68,10 +256,44 @@ export function setupDatabase() {
   ensureColumn(db, 'stats', 'away_points_per_game', 'REAL DEFAULT 0');
   ensureColumn(db, 'stats', 'home_recent_form', 'TEXT DEFAULT ""');
   ensureColumn(db, 'stats', 'away_recent_form', 'TEXT DEFAULT ""');
+  ensureColumn(db, 'stats', 'home_elo', 'REAL');
+  ensureColumn(db, 'stats', 'away_elo', 'REAL');
+  ensureColumn(db, 'stats', 'elo_home_win_prob', 'REAL');
+  ensureColumn(db, 'stats', 'elo_draw_prob', 'REAL');
+  ensureColumn(db, 'stats', 'elo_away_win_prob', 'REAL');
+  ensureColumn(db, 'stats', 'home_venue_games', 'INTEGER DEFAULT 0');
+  ensureColumn(db, 'stats', 'away_venue_games', 'INTEGER DEFAULT 0');
+  ensureColumn(db, 'stats', 'home_venue_form', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'away_venue_form', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'home_venue_goals_avg', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'away_venue_goals_avg', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'home_venue_goals_against_avg', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'away_venue_goals_against_avg', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'home_adj_goals_for', 'REAL');
+  ensureColumn(db, 'stats', 'away_adj_goals_for', 'REAL');
+  ensureColumn(db, 'stats', 'home_adj_goals_against', 'REAL');
+  ensureColumn(db, 'stats', 'away_adj_goals_against', 'REAL');
+  ensureColumn(db, 'stats', 'home_clean_sheet_rate', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'away_clean_sheet_rate', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'home_failed_to_score_rate', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'away_failed_to_score_rate', 'REAL DEFAULT 0');
+  ensureColumn(db, 'stats', 'home_rest_days', 'REAL');
+  ensureColumn(db, 'stats', 'away_rest_days', 'REAL');
+
+  ensureColumn(db, 'predictions', 'raw_prob_home', 'REAL');
+  ensureColumn(db, 'predictions', 'raw_prob_draw', 'REAL');
+  ensureColumn(db, 'predictions', 'raw_prob_away', 'REAL');
+  ensureColumn(db, 'predictions', 'raw_confidence', 'REAL');
 
   db.exec(`
     UPDATE matches SET sport = 'football' WHERE sport IS NULL;
     UPDATE stats SET sport = 'football' WHERE sport IS NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_matches_home_team_date ON matches (home_team_id, date);
+    CREATE INDEX IF NOT EXISTS idx_matches_away_team_date ON matches (away_team_id, date);
+    CREATE INDEX IF NOT EXISTS idx_matches_date ON matches (date);
+    CREATE INDEX IF NOT EXISTS idx_matches_home_name_date ON matches (lower(trim(home_team)), date);
+    CREATE INDEX IF NOT EXISTS idx_matches_away_name_date ON matches (lower(trim(away_team)), date);
   `);
 }
 
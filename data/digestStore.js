@@ -0,0 +1,15 @@
+import { getDb } from './db.js';
+
+export function hasPostedDigest(chatId, day) {
+  const db = getDb();
+  return Boolean(db.prepare(`SELECT 1 FROM digest_log WHERE chat_id = @chatId AND day = @day`).get({ chatId: String(chatId), day }));
+}
+
+export function recordDigest(chatId, day) {
+  try {
+    const db = getDb();
+    db.prepare(`INSERT OR IGNORE INTO digest_log (chat_id, day) VALUES (@chatId, @day)`).run({ chatId: String(chatId), day });
+  } catch (error) {
+    console.warn('Digest-Post konnte nicht gespeichert werden:', error?.message ?? error);
+  }
+}
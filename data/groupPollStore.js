@@ -0,0 +1,152 @@
+import { getDb } from './db.js';
+
+const FINISHED_STATUS_CODES = ['FT', 'AET', 'PEN'];
+const CANCELLED_STATUS_CODES = ['PST', 'CANC', 'ABD', 'AWD', 'WO'];
+export const POLL_OUTCOMES = ['home', 'draw', 'away'];
+
+export function createGroupPoll({ pollId, chatId, messageId, matchId, kickoff, botPick = null }) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`DELETE FROM group_votes WHERE poll_id IN (SELECT poll_id FROM group_polls WHERE chat_id = @chatId AND match_id = @matchId AND status = 'void')`).run({ chatId, matchId });
+    db.prepare(`DELETE FROM group_polls WHERE chat_id = @chatId AND match_id = @matchId AND status = 'void'`).run({ chatId, matchId });
+    db.prepare(`
+      INSERT INTO group_polls (poll_id, chat_id, message_id, match_id, kickoff, bot_pick)
+      VALUES (@pollId, @chatId, @messageId, @matchId, @kickoff, @botPick)
+    `).run({ pollId: String(pollId), chatId, messageId, matchId, kickoff: new Date(kickoff).toISOString(), botPick: POLL_OUTCOMES.includes(botPick) ? botPick : null });
+  })();
+  return getGroupPoll(pollId);
+}
+
+export function setGroupPollPick(pollId, botPick) {
+  if (!POLL_OUTCOMES.includes(botPick)) return false;
+  const db = getDb();
+  return db.prepare(`UPDATE group_polls SET bot_pick = @botPick WHERE poll_id = @pollId AND status = 'open' AND bot_pick IS NULL`).run({ pollId: String(pollId), botPick }).changes > 0;
+}
+
+export function getGroupPoll(pollId) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM group_polls WHERE poll_id = @pollId`).get({ pollId: String(pollId) }) ?? null;
+}
+
+export function hasGroupPoll(chatId, matchId) {
+  const db = getDb();
+  return Boolean(db.prepare(`SELECT 1 FROM group_polls WHERE chat_id = @chatId AND match_id = @matchId AND status != 'void'`).get({ chatId, matchId }));
+}
+
+export function recordGroupVote(pollId, user, optionIds, now = Date.now()) {
+  const poll = getGroupPoll(pollId);
+  if (!poll) return { error: 'Unbekannte Umfrage.' };
+  if (poll.status !== 'open' || Date.parse(poll.kickoff) <= now) return { error: 'Abstimmung ist geschlossen.' };
+  if (!user?.id) return { error: 'Anonyme Stimmen zählen nicht.' };
+
+  const db = getDb();
+  const outcome = POLL_OUTCOMES[optionIds?.[0]] ?? null;
+  if (!outcome) {
+    db.prepare(`DELETE FROM group_votes WHERE poll_id = @pollId AND user_id = @userId`).run({ pollId: poll.poll_id, userId: user.id });
+    return { poll_id: poll.poll_id, user_id: user.id, outcome: null };
+  }
+
+  db.prepare(`
+    INSERT INTO group_votes (poll_id, user_id, user_name, outcome)
+    VALUES (@pollId, @userId, @userName, @outcome)
+    ON CONFLICT(poll_id, user_id) DO UPDATE SET user_name = @userName, outcome = @outcome, voted_at = CURRENT_TIMESTAMP
+  `).run({ pollId: poll.poll_id, userId: user.id, userName: displayName(user), outcome });
+  return { poll_id: poll.poll_id, user_id: user.id, outcome };
+}
+
+export function listDuePolls(now = Date.now()) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM group_polls
+    WHERE status = 'open' AND datetime(kickoff) <= datetime(@now)
+    ORDER BY datetime(kickoff) ASC
+  `).all({ now: new Date(now).toISOString() });
+}
+
+export function closeGroupPoll(pollId) {
+  const db = getDb();
+  db.prepare(`UPDATE group_polls SET status = 'closed' WHERE poll_id = @pollId AND status = 'open'`).run({ pollId: String(pollId) });
+}
+
+export function listPollsAwaitingResult() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT p.*, m.status AS match_status
+    FROM group_polls p
+    LEFT JOIN matches m ON m.match_id = p.match_id
+    WHERE p.status = 'closed'
+    ORDER BY datetime(p.kickoff) ASC
+  `).all();
+}
+
+export function settleGroupPolls() {
+  try {
+    const db = getDb();
+    const codes = [...FINISHED_STATUS_CODES, ...CANCELLED_STATUS_CODES];
+    const placeholders = codes.map((_, index) => `@status${index}`).join(', ');
+    const params = Object.fromEntries(codes.map((value, index) => [`status${index}`, value]));
+
+    const rows = db.prepare(`
+      SELECT p.poll_id, p.chat_id, p.message_id, p.match_id, p.bot_pick,
+             m.status AS match_status, m.home_team, m.away_team, m.home_goals, m.away_goals
+      FROM group_polls p
+      JOIN matches m ON m.match_id = p.match_id
+      WHERE p.status IN ('open', 'closed')
+        AND m.status IN (${placeholders})
+    `).all(params).filter((row) => CANCELLED_STATUS_CODES.includes(row.match_status) || (row.home_goals !== null && row.away_goals !== null));
+    if (!rows.length) return [];
+
+    const update = db.prepare(`
+      UPDATE group_polls
+      SET status = @status, actual_outcome = @actual_outcome, home_goals = @home_goals, away_goals = @away_goals, settled_at = CURRENT_TIMESTAMP
+      WHERE poll_id = @poll_id
+    `);
+    const votes = db.prepare(`SELECT user_id, user_name, outcome FROM group_votes WHERE poll_id = @pollId ORDER BY voted_at ASC`);
+
+    const settled = rows.map((row) => {
+      const cancelled = CANCELLED_STATUS_CODES.includes(row.match_status);
+      const actual = cancelled ? null : row.home_goals > row.away_goals ? 'home' : row.home_goals < row.away_goals ? 'away' : 'draw';
+      return { ...row, status: cancelled ? 'void' : 'settled', actual_outcome: actual, votes: votes.all({ pollId: row.poll_id }) };
+    });
+    db.transaction((items) => items.forEach((item) => update.run(item)))(settled);
+    return settled;
+  } catch (error) {
+    console.warn('Tippspiel-Abrechnung fehlgeschlagen:', error?.message ?? error);
+    return [];
+  }
+}
+
+export function getGroupLeaderboard(chatId) {
+  const db = getDb();
+  const members = db.prepare(`
+    SELECT v.user_id,
+           (SELECT user_name FROM group_votes latest WHERE latest.user_id = v.user_id ORDER BY latest.voted_at DESC LIMIT 1) AS name,
+           COUNT(*) AS tips,
+           SUM(CASE WHEN v.outcome = p.actual_outcome THEN 1 ELSE 0 END) AS correct,
+           SUM(CASE WHEN p.bot_pick IS NOT NULL AND v.outcome = p.actual_outcome AND p.bot_pick != p.actual_outcome THEN 1 ELSE 0 END) AS beat_bot,
+           SUM(CASE WHEN p.bot_pick = p.actual_outcome AND v.outcome != p.actual_outcome THEN 1 ELSE 0 END) AS lost_to_bot
+    FROM group_votes v
+    JOIN group_polls p ON p.poll_id = v.poll_id
+    WHERE p.chat_id = @chatId AND p.status = 'settled'
+    GROUP BY v.user_id
+  `).all({ chatId });
+  const bot = db.prepare(`
+    SELECT COUNT(*) AS tips, COALESCE(SUM(CASE WHEN bot_pick = actual_outcome THEN 1 ELSE 0 END), 0) AS correct
+    FROM group_polls
+    WHERE chat_id = @chatId AND status = 'settled' AND bot_pick IS NOT NULL
+  `).get({ chatId });
+  const { polls } = db.prepare(`SELECT COUNT(*) AS polls FROM group_polls WHERE chat_id = @chatId AND status = 'settled'`).get({ chatId });
+
+  const entries = members.map((row) => ({ ...row, is_bot: false }));
+  if (bot.tips) entries.push({ user_id: null, name: 'GamblerGPT', tips: bot.tips, correct: bot.correct, beat_bot: null, lost_to_bot: null, is_bot: true });
+  entries.sort((a, b) => b.correct - a.correct || accuracy(b) - accuracy(a) || a.tips - b.tips);
+  return { polls, entries: entries.map((entry) => ({ ...entry, accuracy: round(accuracy(entry)) })) };
+}
+
+function displayName(user) {
+  if (user.username) return `@${user.username}`;
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || `User ${user.id}`;
+}
+
+function accuracy(entry) { return entry.tips ? entry.correct / entry.tips : 0; }
+function round(v) { return Math.round(Number(v) * 100) / 100; }
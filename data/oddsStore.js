@@ -0,0 +1,128 @@
+import { getDb } from './db.js';
+
+const MATCH_WINNER = ['home', 'draw', 'away'];
+
+export function saveOddsSnapshot(matchId, quotes) {
+  if (!matchId || !Array.isArray(quotes) || !quotes.length) return 0;
+  try {
+    const db = getDb();
+    const fetchedAt = new Date().toISOString();
+    const latest = db.prepare(`
+      SELECT bookmaker, market, line, outcome, odd FROM odds_latest WHERE match_id = @matchId
+    `).all({ matchId });
+    const insert = db.prepare(`
+      INSERT INTO odds_snapshots (match_id, fetched_at, bookmaker_id, bookmaker, market, line, outcome, odd)
+      VALUES (@match_id, @fetched_at, @bookmaker_id, @bookmaker, @market, @line, @outcome, @odd)
+    `);
+
+    const changed = [...groupBy(quotes, (quote) => quote.bookmaker).entries()]
+      .filter(([bookmaker, items]) => fingerprint(items) !== fingerprint(latest.filter((row) => row.bookmaker === bookmaker)))
+      .flatMap(([, items]) => items);
+
+    const tx = db.transaction((items) => items.forEach((item) => insert.run({
+      match_id: matchId,
+      fetched_at: fetchedAt,
+      bookmaker_id: item.bookmaker_id ?? null,
+      bookmaker: item.bookmaker,
+      market: item.market,
+      line: item.line ?? null,
+      outcome: item.outcome,
+      odd: item.odd
+    })));
+    tx(changed);
+    return changed.length;
+  } catch (error) {
+    console.warn('Odds konnten nicht gespeichert werden:', error?.message ?? error);
+    return 0;
+  }
+}
+
+export function getOddsSummary(matchId) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT market, line, outcome, avg_odd, best_odd, best_bookmaker, bookmakers, fetched_at
+    FROM odds_consensus
+    WHERE match_id = @matchId
+  `).all({ matchId });
+  if (!rows.length) return null;
+
+  const markets = {};
+  for (const row of rows) {
+    const line = row.line ?? '-';
+    markets[row.market] ??= {};
+    markets[row.market][line] ??= {};
+    markets[row.market][line][row.outcome] = {
+      average: round(row.avg_odd),
+      best: row.best_odd,
+      best_bookmaker: row.best_bookmaker,
+      bookmakers: row.bookmakers
+    };
+  }
+
+  return {
+    bookmakers: Math.max(...rows.map((row) => row.bookmakers)),
+    fetched_at: rows.reduce((last, row) => (row.fetched_at > last ? row.fetched_at : last), ''),
+    markets
+  };
+}
+
+export function getMatchWinnerOdds(matchId) {
+  const summary = getOddsSummary(matchId);
+  const winner = summary?.markets['1x2']?.['-'];
+  if (!winner || !MATCH_WINNER.every((outcome) => winner[outcome])) return null;
+  return {
+    bookmaker: `Konsens (${summary.bookmakers} Bookmaker)`,
+    ...Object.fromEntries(MATCH_WINNER.map((outcome) => [outcome, winner[outcome].average])),
+    best: Object.fromEntries(MATCH_WINNER.map((outcome) => [outcome, { odd: winner[outcome].best, bookmaker: winner[outcome].best_bookmaker }]))
+  };
+}
+
+export function getOddsMovement(matchId, market = '1x2', line = null) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT bookmaker, outcome, odd, fetched_at
+    FROM odds_snapshots
+    WHERE match_id = @matchId AND market = @market AND COALESCE(line, '') = COALESCE(@line, '')
+    ORDER BY fetched_at ASC
+  `).all({ matchId, market, line });
+  if (!rows.length) return null;
+
+  const movement = {};
+  for (const [outcome, items] of groupBy(rows, (row) => row.outcome)) {
+    const opening = new Map();
+    const current = new Map();
+    for (const item of items) {
+      if (!opening.has(item.bookmaker)) opening.set(item.bookmaker, item.odd);
+      current.set(item.bookmaker, item.odd);
+    }
+    const open = average([...opening.values()]);
+    const now = average([...current.values()]);
+    movement[outcome] = { opening: round(open), current: round(now), change: round(now - open) };
+  }
+
+  return {
+    market,
+    line,
+    snapshots: new Set(rows.map((row) => row.fetched_at)).size,
+    first_seen: rows[0].fetched_at,
+    last_seen: rows[rows.length - 1].fetched_at,
+    outcomes: movement
+  };
+}
+
+function fingerprint(items) {
+  return items.map((item) => `${item.market}|${item.line ?? ''}|${item.outcome}|${Number(item.odd)}`).sort().join(';');
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function average(values) { return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0; }
+function round(value) { return Math.round(Number(value) * 100) / 100; }
@@ -0,0 +1,196 @@
+import crypto from 'node:crypto';
+
+import { getDb } from './db.js';
+
+const FINISHED_STATUS_CODES = ['FT', 'AET', 'PEN'];
+const OUTCOMES = ['home', 'draw', 'away'];
+const EPSILON = 1e-6;
+
+export function savePrediction(result, options = {}) {
+  if (!result || result.error) return null;
+  const probs = result.probabilities ?? {};
+  const raw = result.calibration?.raw_probabilities ?? probs;
+  const manual = result.manual_matchup ?? null;
+  const matchId = toNumber(result.match_id);
+
+  const row = {
+    match_id: manual ? null : matchId,
+    manual_home_team_id: manual?.home?.id ?? null,
+    manual_away_team_id: manual?.away?.id ?? null,
+    engine: result.engine ?? 'unknown',
+    prob_home: toNumber(probs.home),
+    prob_draw: toNumber(probs.draw),
+    prob_away: toNumber(probs.away),
+    raw_prob_home: toNumber(raw.home),
+    raw_prob_draw: toNumber(raw.draw),
+    raw_prob_away: toNumber(raw.away),
+    prediction: result.prediction ?? null,
+    recommendation: result.betting_advice?.recommendation ?? null,
+    confidence: toNumber(result.betting_advice?.confidence),
+    raw_confidence: toNumber(result.calibration ? result.calibration.raw_confidence : result.betting_advice?.confidence),
+    data_quality: safeJson(result.data_quality ?? null),
+    markets: safeJson(result.markets ?? null),
+    prompt_hash: options.promptHash ?? null,
+    status: manual || matchId === null ? 'manual' : 'open'
+  };
+
+  try {
+    const db = getDb();
+    const existing = row.status === 'open'
+      ? db.prepare(`SELECT id FROM predictions WHERE match_id = @match_id AND engine = @engine AND status = 'open' ORDER BY id DESC LIMIT 1`).get(row)
+      : null;
+    const id = existing ? updatePrediction(db, existing.id, row) : insertPrediction(db, row);
+    saveComponents(db, id, result.ensemble?.components);
+    return id;
+  } catch (error) {
+    console.warn('Prediction konnte nicht gespeichert werden:', error?.message ?? error);
+    return null;
+  }
+}
+
+export function settlePredictions() {
+  try {
+    const db = getDb();
+    const placeholders = FINISHED_STATUS_CODES.map((_, index) => `@status${index}`).join(', ');
+    const params = {};
+    FINISHED_STATUS_CODES.forEach((value, index) => { params[`status${index}`] = value; });
+
+    const rows = db.prepare(`
+      SELECT p.id, p.prob_home, p.prob_draw, p.prob_away, p.prediction, m.home_goals, m.away_goals
+      FROM predictions p
+      JOIN matches m ON m.match_id = p.match_id
+      WHERE p.status = 'open'
+        AND m.home_goals IS NOT NULL
+        AND m.away_goals IS NOT NULL
+        AND m.status IN (${placeholders})
+    `).all(params);
+    if (!rows.length) return 0;
+
+    const update = db.prepare(`
+      UPDATE predictions
+      SET status = @status, actual_outcome = @actual_outcome, home_goals = @home_goals, away_goals = @away_goals,
+          log_loss = @log_loss, brier = @brier, settled_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `);
+    const tx = db.transaction((items) => items.forEach((item) => update.run(item)));
+    tx(rows.map(scorePrediction));
+    return rows.length;
+  } catch (error) {
+    console.warn('Settlement fehlgeschlagen:', error?.message ?? error);
+    return 0;
+  }
+}
+
+export function getLatestPrediction(matchId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, created_at, engine, prob_home, prob_draw, prob_away, prediction, recommendation, confidence,
+           status, actual_outcome, home_goals, away_goals, data_quality
+    FROM predictions
+    WHERE match_id = @matchId
+    ORDER BY datetime(created_at) DESC, id DESC
+    LIMIT 1
+  `).get({ matchId }) ?? null;
+}
+
+export function getRecentPrediction(matchId, maxAgeMinutes) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, created_at, engine, prob_home, prob_draw, prob_away, prediction, recommendation, confidence, status
+    FROM predictions
+    WHERE match_id = @matchId
+      AND datetime(created_at) >= datetime('now', @window)
+    ORDER BY datetime(created_at) DESC, id DESC
+    LIMIT 1
+  `).get({ matchId, window: `-${Math.max(0, Math.round(maxAgeMinutes))} minutes` }) ?? null;
+}
+
+export function getPredictionStats({ engine = null } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT engine,
+           COUNT(*) AS total,
+           SUM(CASE WHEN status = 'won' THEN 1 ELSE 0 END) AS won,
+           SUM(CASE WHEN status = 'lost' THEN 1 ELSE 0 END) AS lost,
+           SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS open,
+           AVG(log_loss) AS avg_log_loss,
+           AVG(brier) AS avg_brier
+    FROM predictions
+    WHERE (@engine IS NULL OR engine = @engine)
+    GROUP BY engine
+    ORDER BY total DESC
+  `).all({ engine });
+}
+
+export function hashPrompt(prompt) {
+  if (!prompt) return null;
+  return crypto.createHash('sha256').update(String(prompt)).digest('hex');
+}
+
+const PREDICTION_COLUMNS = [
+  'match_id', 'manual_home_team_id', 'manual_away_team_id', 'engine', 'prob_home', 'prob_draw', 'prob_away',
+  'raw_prob_home', 'raw_prob_draw', 'raw_prob_away', 'prediction', 'recommendation', 'confidence', 'raw_confidence',
+  'data_quality', 'markets', 'prompt_hash', 'status'
+];
+
+function insertPrediction(db, row) {
+  const info = db.prepare(`
+    INSERT INTO predictions (${PREDICTION_COLUMNS.join(', ')})
+    VALUES (${PREDICTION_COLUMNS.map((column) => `@${column}`).join(', ')})
+  `).run(row);
+  return Number(info.lastInsertRowid);
+}
+
+function updatePrediction(db, id, row) {
+  db.prepare(`
+    UPDATE predictions
+    SET ${PREDICTION_COLUMNS.map((column) => `${column} = @${column}`).join(', ')}, created_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ ...row, id });
+  db.prepare(`DELETE FROM prediction_components WHERE prediction_id = @id`).run({ id });
+  return id;
+}
+
+function saveComponents(db, predictionId, components) {
+  if (!components?.length) return;
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO prediction_components (prediction_id, source, engine, weight, prob_home, prob_draw, prob_away)
+    VALUES (@prediction_id, @source, @engine, @weight, @prob_home, @prob_draw, @prob_away)
+  `);
+  db.transaction((items) => items.forEach((item) => insert.run({
+    prediction_id: predictionId,
+    source: item.source,
+    engine: item.engine ?? null,
+    weight: toNumber(item.weight),
+    prob_home: toNumber(item.probabilities?.home),
+    prob_draw: toNumber(item.probabilities?.draw),
+    prob_away: toNumber(item.probabilities?.away)
+  })))(components);
+}
+
+function scorePrediction(row) {
+  const actual = row.home_goals > row.away_goals ? 'home' : row.home_goals < row.away_goals ? 'away' : 'draw';
+  const probs = { home: row.prob_home ?? 0, draw: row.prob_draw ?? 0, away: row.prob_away ?? 0 };
+  const brier = OUTCOMES.reduce((sum, outcome) => sum + (probs[outcome] - (outcome === actual ? 1 : 0)) ** 2, 0);
+  return {
+    id: row.id,
+    status: outcomeFromLabel(row.prediction) === actual ? 'won' : 'lost',
+    actual_outcome: actual,
+    home_goals: row.home_goals,
+    away_goals: row.away_goals,
+    log_loss: round(-Math.log(Math.max(EPSILON, probs[actual]))),
+    brier: round(brier)
+  };
+}
+
+function outcomeFromLabel(label) {
+  const s = String(label ?? '').toLowerCase();
+  if (s.includes('heim') || s.includes('home')) return 'home';
+  if (s.includes('auswaert') || s.includes('auswärt') || s.includes('away')) return 'away';
+  if (s.includes('unentschieden') || s.includes('draw')) return 'draw';
+  return null;
+}
+
+function toNumber(value) { if (value === null || value === undefined || value === '') return null; const n = Number(value); return Number.isFinite(n) ? n : null; }
+function round(value) { return Math.round(value * 10000) / 10000; }
+function safeJson(value) { try { return JSON.stringify(value); } catch { return null; } }
@@ -0,0 +1,97 @@
+import { getDb } from './db.js';
+
+const KINDS = ['team', 'league'];
+
+export function subscribe(chatId, { kind, targetId, targetName = null }) {
+  if (!KINDS.includes(kind)) return { error: `Unbekannter Typ: ${kind}` };
+  const id = Number(targetId);
+  if (!chatId || !Number.isFinite(id)) return { error: 'Ungültige ID.' };
+
+  const name = targetName ?? resolveTargetName(kind, id);
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO subscriptions (chat_id, kind, target_id, target_name)
+    VALUES (@chatId, @kind, @id, @name)
+    ON CONFLICT(chat_id, kind, target_id) DO UPDATE SET target_name = COALESCE(@name, target_name)
+  `).run({ chatId, kind, id, name });
+  return { chat_id: chatId, kind, target_id: id, target_name: name };
+}
+
+export function unsubscribe(chatId, { kind, targetId }) {
+  const db = getDb();
+  const info = db.prepare(`
+    DELETE FROM subscriptions WHERE chat_id = @chatId AND kind = @kind AND target_id = @targetId
+  `).run({ chatId, kind, targetId: Number(targetId) });
+  return info.changes > 0;
+}
+
+export function listSubscriptions(chatId = null) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, created_at, chat_id, kind, target_id, target_name
+    FROM subscriptions
+    WHERE @chatId IS NULL OR chat_id = @chatId
+    ORDER BY kind DESC, target_name COLLATE NOCASE
+  `).all({ chatId });
+}
+
+export function getSubscribedMatches({ fromHours = -24, toHours = 48 } = {}) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT DISTINCT s.chat_id, m.match_id, m.date, m.status, m.home_team_id, m.away_team_id,
+           m.home_team, m.away_team, m.home_goals, m.away_goals, m.league_id, m.league_name
+    FROM subscriptions s
+    JOIN matches m ON (s.kind = 'team' AND (m.home_team_id = s.target_id OR m.away_team_id = s.target_id))
+                   OR (s.kind = 'league' AND m.league_id = s.target_id)
+    WHERE COALESCE(m.sport, 'football') = 'football'
+      AND m.date IS NOT NULL
+      AND datetime(m.date) BETWEEN datetime('now', @from) AND datetime('now', @to)
+    ORDER BY datetime(m.date) ASC
+  `).all({ from: `${fromHours} hours`, to: `+${toHours} hours` });
+
+  const matches = new Map();
+  for (const row of rows) {
+    const { chat_id: chatId, ...match } = row;
+    if (!matches.has(match.match_id)) matches.set(match.match_id, { ...match, chats: [] });
+    matches.get(match.match_id).chats.push(chatId);
+  }
+  return [...matches.values()];
+}
+
+export function getAlert(chatId, matchId, type) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT chat_id, match_id, alert_type, fingerprint, sent_at
+    FROM alert_log
+    WHERE chat_id = @chatId AND match_id = @matchId AND alert_type = @type
+  `).get({ chatId, matchId, type }) ?? null;
+}
+
+export function hasAnyAlert(chatId, matchId) {
+  const db = getDb();
+  return Boolean(db.prepare(`SELECT 1 FROM alert_log WHERE chat_id = @chatId AND match_id = @matchId LIMIT 1`).get({ chatId, matchId }));
+}
+
+export function recordAlert(chatId, matchId, type, fingerprint = null) {
+  try {
+    const db = getDb();
+    db.prepare(`
+      INSERT INTO alert_log (chat_id, match_id, alert_type, fingerprint)
+      VALUES (@chatId, @matchId, @type, @fingerprint)
+      ON CONFLICT(chat_id, match_id, alert_type) DO UPDATE SET fingerprint = @fingerprint, sent_at = CURRENT_TIMESTAMP
+    `).run({ chatId, matchId, type, fingerprint });
+  } catch (error) {
+    console.warn('Alert konnte nicht gespeichert werden:', error?.message ?? error);
+  }
+}
+
+function resolveTargetName(kind, id) {
+  const db = getDb();
+  const row = kind === 'team'
+    ? db.prepare(`
+        SELECT CASE WHEN home_team_id = @id THEN home_team ELSE away_team END AS name
+        FROM matches WHERE home_team_id = @id OR away_team_id = @id LIMIT 1
+      `).get({ id })
+    : db.prepare(`SELECT league_name AS name FROM matches WHERE league_id = @id AND league_name IS NOT NULL LIMIT 1`).get({ id });
+  return row?.name ?? null;
+}
@@ -0,0 +1,172 @@
+import { getDb } from '../data/db.js';
+
+const INITIAL_RATING = Number(process.env.ELO_INITIAL) || 1500;
+const K_FACTOR = Number(process.env.ELO_K) || 20;
+const HOME_ADVANTAGE = Number(process.env.ELO_HOME_ADVANTAGE) || 65;
+const SEASON_REGRESSION = Number(process.env.ELO_SEASON_REGRESSION) || 0.33;
+const DRAW_RATE = Number(process.env.ELO_DRAW_RATE) || 0.27;
+const USE_MOV = String(process.env.ELO_MARGIN_OF_VICTORY ?? 'true').toLowerCase() !== 'false';
+const FINISHED_STATUS_CODES = ['FT', 'AET', 'PEN'];
+
+export function updateEloRatings() {
+  const db = getDb();
+  const pending = loadFinished(db, true);
+  if (!pending.length) return 0;
+
+  const lastProcessed = db.prepare(`SELECT MAX(datetime(date)) AS last FROM match_elo`).get()?.last ?? null;
+  const outOfOrder = lastProcessed && pending.some((match) => datetime(match.date) < lastProcessed);
+  if (outOfOrder) return rebuildEloRatings();
+
+  return processMatches(db, pending, loadRatings(db));
+}
+
+export function rebuildEloRatings() {
+  const db = getDb();
+  db.exec(`DELETE FROM match_elo; DELETE FROM team_ratings;`);
+  return processMatches(db, loadFinished(db, false), new Map());
+}
+
+export function getPreMatchElo(match) {
+  const db = getDb();
+  const stored = db.prepare(`SELECT home_elo, away_elo FROM match_elo WHERE match_id = @matchId`).get({ matchId: match.match_id });
+  const homeElo = stored?.home_elo ?? currentRating(db, match.home_team_id, match.league_id);
+  const awayElo = stored?.away_elo ?? currentRating(db, match.away_team_id, match.league_id);
+  if (homeElo === null || awayElo === null) return null;
+  return { homeElo: round(homeElo, 1), awayElo: round(awayElo, 1), ...eloProbabilities(homeElo, awayElo) };
+}
+
+export function eloProbabilities(homeElo, awayElo) {
+  const expected = expectedScore(homeElo + HOME_ADVANTAGE, awayElo);
+  const draw = DRAW_RATE * (1 - Math.abs(2 * expected - 1));
+  return {
+    home: round(expected - draw / 2, 3),
+    draw: round(draw, 3),
+    away: round(1 - expected - draw / 2, 3)
+  };
+}
+
+function processMatches(db, matches, ratings) {
+  if (!matches.length) return 0;
+  const insertMatch = db.prepare(`
+    INSERT OR REPLACE INTO match_elo (match_id, date, home_elo, away_elo, home_elo_post, away_elo_post)
+    VALUES (@match_id, @date, @home_elo, @away_elo, @home_elo_post, @away_elo_post)
+  `);
+  const upsertTeam = db.prepare(`
+    INSERT OR REPLACE INTO team_ratings (team_id, team_name, league_id, season, rating, games, last_match_id, last_date, updated_at)
+    VALUES (@team_id, @team_name, @league_id, @season, @rating, @games, @last_match_id, @last_date, CURRENT_TIMESTAMP)
+  `);
+
+  const tx = db.transaction(() => {
+    for (const match of matches) {
+      const home = resolveTeam(ratings, match.home_team_id, match.home_team, match);
+      const away = resolveTeam(ratings, match.away_team_id, match.away_team, match);
+      const homePre = home.rating;
+      const awayPre = away.rating;
+
+      const expected = expectedScore(homePre + HOME_ADVANTAGE, awayPre);
+      const actual = match.home_goals > match.away_goals ? 1 : match.home_goals < match.away_goals ? 0 : 0.5;
+      const delta = K_FACTOR * marginMultiplier(match.home_goals - match.away_goals) * (actual - expected);
+
+      advance(home, homePre + delta, match);
+      advance(away, awayPre - delta, match);
+      insertMatch.run({ match_id: match.match_id, date: match.date, home_elo: homePre, away_elo: awayPre, home_elo_post: home.rating, away_elo_post: away.rating });
+    }
+    for (const team of ratings.values()) upsertTeam.run(team);
+  });
+  tx();
+  return matches.length;
+}
+
+function resolveTeam(ratings, teamId, teamName, match) {
+  const id = Number(teamId);
+  let team = ratings.get(id);
+  if (!team) {
+    team = {
+      team_id: id,
+      team_name: teamName ?? null,
+      league_id: match.league_id ?? null,
+      season: match.season ?? null,
+      rating: leagueMean(ratings, match.league_id),
+      games: 0,
+      last_match_id: null,
+      last_date: null
+    };
+    ratings.set(id, team);
+    return team;
+  }
+
+  if (match.season && team.season && Number(match.season) > Number(team.season)) {
+    const mean = leagueMean(ratings, team.league_id);
+    team.rating = mean + (team.rating - mean) * (1 - SEASON_REGRESSION);
+    team.season = match.season;
+  }
+  return team;
+}
+
+function advance(team, rating, match) {
+  team.rating = rating;
+  team.games += 1;
+  team.last_match_id = match.match_id;
+  team.last_date = match.date;
+  if (match.league_id) team.league_id = match.league_id;
+  if (match.season && (!team.season || Number(match.season) > Number(team.season))) team.season = match.season;
+}
+
+function leagueMean(ratings, leagueId) {
+  if (!leagueId) return INITIAL_RATING;
+  let total = 0;
+  let count = 0;
+  for (const team of ratings.values()) {
+    if (team.league_id !== leagueId) continue;
+    total += team.rating;
+    count += 1;
+  }
+  return count ? total / count : INITIAL_RATING;
+}
+
+function marginMultiplier(goalDiff) {
+  if (!USE_MOV) return 1;
+  const diff = Math.abs(goalDiff);
+  if (diff <= 1) return 1;
+  if (diff === 2) return 1.5;
+  return (11 + diff) / 8;
+}
+
+function loadFinished(db, onlyPending) {
+  const placeholders = FINISHED_STATUS_CODES.map((_, index) => `@status${index}`).join(', ');
+  const params = {};
+  FINISHED_STATUS_CODES.forEach((value, index) => { params[`status${index}`] = value; });
+  return db.prepare(`
+    SELECT m.match_id, m.date, m.home_team_id, m.away_team_id, m.home_team, m.away_team,
+           m.home_goals, m.away_goals, m.league_id, m.season
+    FROM matches m
+    ${onlyPending ? 'LEFT JOIN match_elo e ON e.match_id = m.match_id' : ''}
+    WHERE COALESCE(m.sport, 'football') = 'football'
+      AND m.home_team_id IS NOT NULL
+      AND m.away_team_id IS NOT NULL
+      AND m.home_goals IS NOT NULL
+      AND m.away_goals IS NOT NULL
+      AND m.date IS NOT NULL
+      AND (m.status IS NULL OR m.status IN (${placeholders}))
+      ${onlyPending ? 'AND e.match_id IS NULL' : ''}
+    ORDER BY datetime(m.date) ASC, m.match_id ASC
+  `).all(params);
+}
+
+function loadRatings(db) {
+  const rows = db.prepare(`SELECT team_id, team_name, league_id, season, rating, games, last_match_id, last_date FROM team_ratings`).all();
+  return new Map(rows.map((row) => [Number(row.team_id), { ...row }]));
+}
+
+function currentRating(db, teamId, leagueId) {
+  const id = Number(teamId);
+  if (!Number.isFinite(id)) return null;
+  const row = db.prepare(`SELECT rating FROM team_ratings WHERE team_id = @id`).get({ id });
+  if (row) return row.rating;
+  const mean = leagueId ? db.prepare(`SELECT AVG(rating) AS mean FROM team_ratings WHERE league_id = @leagueId`).get({ leagueId })?.mean : null;
+  return mean ?? INITIAL_RATING;
+}
+
+function expectedScore(a, b) { return 1 / (1 + 10 ** ((b - a) / 400)); }
+function datetime(value) { const t = Date.parse(value); return Number.isFinite(t) ? new Date(t).toISOString().replace('T', ' ').slice(0, 19) : ''; }
+function round(value, digits) { const f = 10 ** digits; return Math.round(Number(value) * f) / f; }
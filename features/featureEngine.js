@@ -1,7 +1,17 @@
+import { clearGoalModelCache } from '../ai/goalModel.js';
 import { getDb } from '../data/db.js';
+import { getPreMatchElo, updateEloRatings } from './eloRatings.js';
 
 const DEFAULT_WINDOW_SIZE = 10;
 const LOOKBACK_DAYS = 730;
+const OPPONENT_PRIOR_GAMES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FEATURE_CACHE_TTL_MS = Number(process.env.FEATURE_CACHE_TTL_MS) || 10 * 60 * 1000;
+const FEATURE_CACHE_SIZE = Number(process.env.FEATURE_CACHE_SIZE) || 2000;
+
+const teamStatsCache = new Map();
+const leagueAverageCache = new Map();
 
 export function calculateFeatures(options = {}) {
   const db = getDb();
@@ -18,11 +28,13 @@ export function calculateFeatures(options = {}) {
         home_team_id,
         away_team_id,
         home_goals,
-        away_goals
+        away_goals,
+        league_id
       FROM matches
+      WHERE @matchId IS NULL OR match_id = @matchId
       ORDER BY datetime(date) ASC
     `)
-    .all();
+    .all({ matchId: targetMatchId });
 
   if (!matches.length) return [];
 
@@ -50,7 +62,30 @@ export function calculateFeatures(options = {}) {
         home_points_per_game,
         away_points_per_game,
         home_recent_form,
-        away_recent_form
+        away_recent_form,
+        home_elo,
+        away_elo,
+        elo_home_win_prob,
+        elo_draw_prob,
+        elo_away_win_prob,
+        home_venue_games,
+        away_venue_games,
+        home_venue_form,
+        away_venue_form,
+        home_venue_goals_avg,
+        away_venue_goals_avg,
+        home_venue_goals_against_avg,
+        away_venue_goals_against_avg,
+        home_adj_goals_for,
+        away_adj_goals_for,
+        home_adj_goals_against,
+        away_adj_goals_against,
+        home_clean_sheet_rate,
+        away_clean_sheet_rate,
+        home_failed_to_score_rate,
+        away_failed_to_score_rate,
+        home_rest_days,
+        away_rest_days
       )
     VALUES
       (
@@ -75,59 +110,94 @@ export function calculateFeatures(options = {}) {
         @home_points_per_game,
         @away_points_per_game,
         @home_recent_form,
-        @away_recent_form
+        @away_recent_form,
+        @home_elo,
+        @away_elo,
+        @elo_home_win_prob,
+        @elo_draw_prob,
+        @elo_away_win_prob,
+        @home_venue_games,
+        @away_venue_games,
+        @home_venue_form,
+        @away_venue_form,
+        @home_venue_goals_avg,
+        @away_venue_goals_avg,
+        @home_venue_goals_against_avg,
+        @away_venue_goals_against_avg,
+        @home_adj_goals_for,
+        @away_adj_goals_for,
+        @home_adj_goals_against,
+        @away_adj_goals_against,
+        @home_clean_sheet_rate,
+        @away_clean_sheet_rate,
+        @home_failed_to_score_rate,
+        @away_failed_to_score_rate,
+        @home_rest_days,
+        @away_rest_days
       )
   `);
 
-  const matchesBySport = matches.reduce((acc, match) => {
-    const sport = match.sport ?? 'football';
-    if (!acc[sport]) acc[sport] = [];
-    acc[sport].push(match);
-    return acc;
-  }, {});
-
   const rows = [];
 
-  for (const [sport, sportMatches] of Object.entries(matchesBySport)) {
-    const targetMatches = targetMatchId === null
-      ? sportMatches
-      : sportMatches.filter((match) => match.match_id === targetMatchId);
-
-    for (const match of targetMatches) {
-      const homeStats = calcTeamStats(sportMatches, match, {
-        id: match.home_team_id,
-        name: match.home_team
-      });
-      const awayStats = calcTeamStats(sportMatches, match, {
-        id: match.away_team_id,
-        name: match.away_team
-      });
-
-      rows.push({
-        match_id: match.match_id,
-        sport,
-        home_form: homeStats.form,
-        away_form: awayStats.form,
-        home_goals_avg: homeStats.avgGoalsFor,
-        away_goals_avg: awayStats.avgGoalsFor,
-        home_games: homeStats.games,
-        away_games: awayStats.games,
-        home_win_rate: homeStats.winRate,
-        away_win_rate: awayStats.winRate,
-        home_draw_rate: homeStats.drawRate,
-        away_draw_rate: awayStats.drawRate,
-        home_loss_rate: homeStats.lossRate,
-        away_loss_rate: awayStats.lossRate,
-        home_goals_against_avg: homeStats.avgGoalsAgainst,
-        away_goals_against_avg: awayStats.avgGoalsAgainst,
-        home_goal_diff_avg: homeStats.avgGoalDiff,
-        away_goal_diff_avg: awayStats.avgGoalDiff,
-        home_points_per_game: homeStats.pointsPerGame,
-        away_points_per_game: awayStats.pointsPerGame,
-        home_recent_form: homeStats.recentForm,
-        away_recent_form: awayStats.recentForm
-      });
-    }
+  for (const match of matches) {
+    const sport = match.sport ?? 'football';
+    const homeStats = getTeamStats(db, match, {
+      id: match.home_team_id,
+      name: match.home_team
+    });
+    const awayStats = getTeamStats(db, match, {
+      id: match.away_team_id,
+      name: match.away_team
+    });
+    const elo = sport === 'football' ? getPreMatchElo(match) : null;
+
+    rows.push({
+      match_id: match.match_id,
+      sport,
+      home_form: homeStats.form,
+      away_form: awayStats.form,
+      home_goals_avg: homeStats.avgGoalsFor,
+      away_goals_avg: awayStats.avgGoalsFor,
+      home_games: homeStats.games,
+      away_games: awayStats.games,
+      home_win_rate: homeStats.winRate,
+      away_win_rate: awayStats.winRate,
+      home_draw_rate: homeStats.drawRate,
+      away_draw_rate: awayStats.drawRate,
+      home_loss_rate: homeStats.lossRate,
+      away_loss_rate: awayStats.lossRate,
+      home_goals_against_avg: homeStats.avgGoalsAgainst,
+      away_goals_against_avg: awayStats.avgGoalsAgainst,
+      home_goal_diff_avg: homeStats.avgGoalDiff,
+      away_goal_diff_avg: awayStats.avgGoalDiff,
+      home_points_per_game: homeStats.pointsPerGame,
+      away_points_per_game: awayStats.pointsPerGame,
+      home_recent_form: homeStats.recentForm,
+      away_recent_form: awayStats.recentForm,
+      home_elo: elo?.homeElo ?? null,
+      away_elo: elo?.awayElo ?? null,
+      elo_home_win_prob: elo?.home ?? null,
+      elo_draw_prob: elo?.draw ?? null,
+      elo_away_win_prob: elo?.away ?? null,
+      home_venue_games: homeStats.home.games,
+      away_venue_games: awayStats.away.games,
+      home_venue_form: homeStats.home.form,
+      away_venue_form: awayStats.away.form,
+      home_venue_goals_avg: homeStats.home.avgGoalsFor,
+      away_venue_goals_avg: awayStats.away.avgGoalsFor,
+      home_venue_goals_against_avg: homeStats.home.avgGoalsAgainst,
+      away_venue_goals_against_avg: awayStats.away.avgGoalsAgainst,
+      home_adj_goals_for: homeStats.adjGoalsFor,
+      away_adj_goals_for: awayStats.adjGoalsFor,
+      home_adj_goals_against: homeStats.adjGoalsAgainst,
+      away_adj_goals_against: awayStats.adjGoalsAgainst,
+      home_clean_sheet_rate: homeStats.cleanSheetRate,
+      away_clean_sheet_rate: awayStats.cleanSheetRate,
+      home_failed_to_score_rate: homeStats.failedToScoreRate,
+      away_failed_to_score_rate: awayStats.failedToScoreRate,
+      home_rest_days: homeStats.restDays,
+      away_rest_days: awayStats.restDays
+    });
   }
 
   if (!rows.length) return [];
@@ -140,7 +210,139 @@ export function calculateFeatures(options = {}) {
   return rows;
 }
 
-function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WINDOW_SIZE) {
+export function invalidateTeamFeatures(matches = []) {
+  const keys = new Set();
+  for (const match of matches) {
+    if (!isCompleted(match)) continue;
+    keys.add(teamKey(match.home_team_id, match.home_team));
+    keys.add(teamKey(match.away_team_id, match.away_team));
+    keys.add(teamKey(null, match.home_team));
+    keys.add(teamKey(null, match.away_team));
+  }
+  keys.delete(null);
+  if (!keys.size) return 0;
+  clearGoalModelCache();
+  updateEloRatings();
+
+  let removed = 0;
+  for (const [key, entry] of teamStatsCache) {
+    if (![...entry.teams].some((team) => keys.has(team))) continue;
+    teamStatsCache.delete(key);
+    removed += 1;
+  }
+  leagueAverageCache.clear();
+  return removed;
+}
+
+function getTeamStats(db, match, teamRef) {
+  const key = teamKey(teamRef?.id, teamRef?.name);
+  if (!key) return calcTeamStats([], match, teamRef);
+
+  const cacheKey = `${match.sport ?? 'football'}|${key}|${match.date ?? ''}`;
+  const cached = teamStatsCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.stats;
+
+  const teamId = toNumber(teamRef.id);
+  const teamName = normalizeName(teamRef.name);
+  const history = loadTeamHistory(db, match, teamRef);
+  const opponentKeys = [...new Set(history.map((row) => opponentKey(row, teamId, teamName)))].filter(Boolean);
+  const opponents = buildOpponentIndex(loadOpponentRows(db, match, opponentKeys), match, leagueAverageGoals(db, match));
+  const stats = calcTeamStats(history, match, teamRef, opponents);
+
+  if (teamStatsCache.size >= FEATURE_CACHE_SIZE) teamStatsCache.delete(teamStatsCache.keys().next().value);
+  teamStatsCache.set(cacheKey, { stats, teams: new Set([key, teamKey(null, teamRef.name), ...opponentKeys]), expiresAt: Date.now() + FEATURE_CACHE_TTL_MS });
+  return stats;
+}
+
+function loadTeamHistory(db, match, teamRef) {
+  const teamId = toNumber(teamRef?.id);
+  const teamName = normalizeName(teamRef?.name);
+  const params = { teamId, teamName, sport: match.sport ?? 'football', ...historyBounds(match) };
+  const rows = [];
+
+  if (teamId !== null) rows.push(...selectTeamHistory(db, '(home_team_id = @teamId OR away_team_id = @teamId)', params));
+  if (teamName) {
+    const nameFilter = teamId !== null
+      ? '((lower(trim(home_team)) = @teamName AND home_team_id IS NULL) OR (lower(trim(away_team)) = @teamName AND away_team_id IS NULL))'
+      : '(lower(trim(home_team)) = @teamName OR lower(trim(away_team)) = @teamName)';
+    const seen = new Set(rows.map((row) => row.match_id));
+    rows.push(...selectTeamHistory(db, nameFilter, params).filter((row) => !seen.has(row.match_id)));
+  }
+  return rows;
+}
+
+function selectTeamHistory(db, teamFilter, params) {
+  return db
+    .prepare(`
+      SELECT match_id, COALESCE(sport, 'football') AS sport, date, home_team, away_team,
+             home_team_id, away_team_id, home_goals, away_goals
+      FROM matches
+      WHERE ${teamFilter}
+        AND home_goals IS NOT NULL
+        AND away_goals IS NOT NULL
+        AND date >= @from
+        AND date < @to
+        AND COALESCE(sport, 'football') = @sport
+    `)
+    .all(params);
+}
+
+function loadOpponentRows(db, match, opponentKeys) {
+  const ids = opponentKeys.filter((key) => key.startsWith('id:')).map((key) => Number(key.slice(3)));
+  if (!ids.length) return [];
+
+  return db
+    .prepare(`
+      SELECT match_id, date, home_team, away_team, home_team_id, away_team_id, home_goals, away_goals
+      FROM matches
+      WHERE (home_team_id IN (SELECT value FROM json_each(@ids)) OR away_team_id IN (SELECT value FROM json_each(@ids)))
+        AND home_goals IS NOT NULL
+        AND away_goals IS NOT NULL
+        AND date >= @from
+        AND date < @to
+        AND COALESCE(sport, 'football') = @sport
+    `)
+    .all({ ids: JSON.stringify(ids), sport: match.sport ?? 'football', ...historyBounds(match) });
+}
+
+function leagueAverageGoals(db, match) {
+  const currentDate = match.date ? toDate(match.date) : null;
+  const from = currentDate ? dayKey(shiftDate(currentDate, -LOOKBACK_DAYS)) : '0000';
+  const to = currentDate ? dayKey(currentDate) : '9999';
+  const leagueId = toNumber(match.league_id);
+  const cacheKey = `${match.sport ?? 'football'}|${leagueId ?? '*'}|${from}|${to}`;
+  if (leagueAverageCache.has(cacheKey)) return leagueAverageCache.get(cacheKey);
+
+  const row = db
+    .prepare(`
+      SELECT SUM(home_goals + away_goals) AS goals, COUNT(*) AS games
+      FROM matches
+      WHERE home_goals IS NOT NULL
+        AND away_goals IS NOT NULL
+        AND date >= @from
+        AND date < @to
+        AND COALESCE(sport, 'football') = @sport
+        AND (@leagueId IS NULL OR league_id = @leagueId)
+    `)
+    .get({ from, to, sport: match.sport ?? 'football', leagueId });
+  if (!row?.games && leagueId !== null) return leagueAverageGoals(db, { ...match, league_id: null });
+  const average = row?.games && row.goals ? row.goals / (row.games * 2) : null;
+
+  if (leagueAverageCache.size >= FEATURE_CACHE_SIZE) leagueAverageCache.clear();
+  leagueAverageCache.set(cacheKey, average);
+  return average;
+}
+
+function historyBounds(match) {
+  const currentDate = match.date ? toDate(match.date) : null;
+  if (!currentDate) return { from: '0000', to: '9999' };
+  return {
+    from: dayKey(shiftDate(currentDate, -LOOKBACK_DAYS - 1)),
+    to: dayKey(shiftDate(currentDate, 1))
+  };
+}
+
+function calcTeamStats(matches, currentMatch, teamRef, opponents = null, windowSize = DEFAULT_WINDOW_SIZE) {
   const empty = {
     games: 0,
     wins: 0,
@@ -154,7 +356,14 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
     avgGoalsAgainst: 0,
     avgGoalDiff: 0,
     pointsPerGame: 0,
-    recentForm: ''
+    recentForm: '',
+    cleanSheetRate: 0,
+    failedToScoreRate: 0,
+    adjGoalsFor: null,
+    adjGoalsAgainst: null,
+    restDays: null,
+    home: venueStats([], true),
+    away: venueStats([], false)
   };
 
   const teamId = toNumber(teamRef?.id);
@@ -164,7 +373,7 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
   const currentDate = currentMatch.date ? toDate(currentMatch.date) : null;
   const cutoff = currentDate ? shiftDate(currentDate, -LOOKBACK_DAYS) : null;
 
-  const relevant = matches
+  const eligible = matches
     .filter((match) => {
       if (match.match_id === currentMatch.match_id) return false;
       if (!match.date) return false;
@@ -177,8 +386,8 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
       const afterCutoff = cutoff ? date >= cutoff : true;
       return isSameTeam(match, teamId, teamName) && beforeCurrent && afterCutoff;
     })
-    .sort((a, b) => (toDate(b.date)?.getTime() ?? 0) - (toDate(a.date)?.getTime() ?? 0))
-    .slice(0, windowSize);
+    .sort((a, b) => (toDate(b.date)?.getTime() ?? 0) - (toDate(a.date)?.getTime() ?? 0));
+  const relevant = eligible.slice(0, windowSize);
 
   if (!relevant.length) return empty;
 
@@ -190,6 +399,11 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
   let pointsTotal = 0;
   let weightedPoints = 0;
   let maxWeightedPoints = 0;
+  let cleanSheets = 0;
+  let failedToScore = 0;
+  let adjustedFor = 0;
+  let adjustedAgainst = 0;
+  let adjustedGames = 0;
   const formMarkers = [];
 
   relevant.forEach((match, index) => {
@@ -216,6 +430,15 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
     goalsAgainstTotal += goalsAgainst;
     pointsTotal += points;
     formMarkers.push(marker);
+    if (goalsAgainst === 0) cleanSheets += 1;
+    if (goalsFor === 0) failedToScore += 1;
+
+    const opponent = opponentStrength(opponents, match, teamId, teamName);
+    if (opponent) {
+      adjustedFor += goalsFor * (opponents.avgGoals / opponent.concededRate);
+      adjustedAgainst += goalsAgainst * (opponents.avgGoals / opponent.scoredRate);
+      adjustedGames += 1;
+    }
 
     const weight = relevant.length - index;
     weightedPoints += points * weight;
@@ -227,6 +450,7 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
 
   const pointsPerGame = pointsTotal / games;
   const form = maxWeightedPoints > 0 ? weightedPoints / maxWeightedPoints : pointsPerGame / 3;
+  const lastDate = toDate(relevant[0].date);
 
   return {
     games,
@@ -241,10 +465,97 @@ function calcTeamStats(matches, currentMatch, teamRef, windowSize = DEFAULT_WIND
     avgGoalsAgainst: round(goalsAgainstTotal / games),
     avgGoalDiff: round((goalsForTotal - goalsAgainstTotal) / games),
     pointsPerGame: round(pointsPerGame),
-    recentForm: formMarkers.join('')
+    recentForm: formMarkers.join(''),
+    cleanSheetRate: round(cleanSheets / games),
+    failedToScoreRate: round(failedToScore / games),
+    adjGoalsFor: adjustedGames ? round(adjustedFor / adjustedGames) : null,
+    adjGoalsAgainst: adjustedGames ? round(adjustedAgainst / adjustedGames) : null,
+    restDays: currentDate && lastDate ? round((currentDate - lastDate) / DAY_MS) : null,
+    home: venueStats(eligible.filter((match) => isTeamHome(match, teamId, teamName)).slice(0, windowSize), true),
+    away: venueStats(eligible.filter((match) => isTeamAway(match, teamId, teamName)).slice(0, windowSize), false)
+  };
+}
+
+function venueStats(games, isHome) {
+  let goalsFor = 0;
+  let goalsAgainst = 0;
+  let weightedPoints = 0;
+  let maxWeightedPoints = 0;
+
+  games.forEach((match, index) => {
+    const scored = toNumber(isHome ? match.home_goals : match.away_goals);
+    const conceded = toNumber(isHome ? match.away_goals : match.home_goals);
+    const points = scored > conceded ? 3 : scored === conceded ? 1 : 0;
+    const weight = games.length - index;
+    goalsFor += scored;
+    goalsAgainst += conceded;
+    weightedPoints += points * weight;
+    maxWeightedPoints += 3 * weight;
+  });
+
+  if (!games.length) return { games: 0, form: 0, avgGoalsFor: 0, avgGoalsAgainst: 0 };
+  return {
+    games: games.length,
+    form: round(clamp(0, 1, weightedPoints / maxWeightedPoints)),
+    avgGoalsFor: round(goalsFor / games.length),
+    avgGoalsAgainst: round(goalsAgainst / games.length)
   };
 }
 
+function buildOpponentIndex(matches, currentMatch, avgGoals) {
+  if (!avgGoals) return null;
+  const currentDate = currentMatch.date ? toDate(currentMatch.date) : null;
+  const cutoff = currentDate ? shiftDate(currentDate, -LOOKBACK_DAYS) : null;
+  const teams = new Map();
+
+  const add = (key, scored, conceded) => {
+    if (!key) return;
+    const team = teams.get(key) ?? { scored: 0, conceded: 0, games: 0 };
+    team.scored += scored;
+    team.conceded += conceded;
+    team.games += 1;
+    teams.set(key, team);
+  };
+
+  for (const match of matches) {
+    if (match.match_id === currentMatch.match_id || !isCompleted(match)) continue;
+    const date = match.date ? toDate(match.date) : null;
+    if (!date || (currentDate && date >= currentDate) || (cutoff && date < cutoff)) continue;
+
+    const homeGoals = toNumber(match.home_goals);
+    const awayGoals = toNumber(match.away_goals);
+    add(teamKey(match.home_team_id, match.home_team), homeGoals, awayGoals);
+    add(teamKey(match.away_team_id, match.away_team), awayGoals, homeGoals);
+  }
+
+  return { teams, avgGoals };
+}
+
+function opponentStrength(opponents, match, teamId, teamName) {
+  if (!opponents) return null;
+  const team = opponents.teams.get(opponentKey(match, teamId, teamName));
+  if (!team) return null;
+
+  const prior = OPPONENT_PRIOR_GAMES * opponents.avgGoals;
+  return {
+    scoredRate: (team.scored + prior) / (team.games + OPPONENT_PRIOR_GAMES),
+    concededRate: (team.conceded + prior) / (team.games + OPPONENT_PRIOR_GAMES)
+  };
+}
+
+function opponentKey(match, teamId, teamName) {
+  return isTeamHome(match, teamId, teamName)
+    ? teamKey(match.away_team_id, match.away_team)
+    : teamKey(match.home_team_id, match.home_team);
+}
+
+function teamKey(teamId, teamName) {
+  const id = toNumber(teamId);
+  if (id !== null) return `id:${id}`;
+  const name = normalizeName(teamName);
+  return name ? `name:${name}` : null;
+}
+
 function isSameTeam(match, teamId, teamName) {
   return isTeamHome(match, teamId, teamName) || isTeamAway(match, teamId, teamName);
 }
@@ -287,6 +598,10 @@ function normalizeName(value) {
   return String(value ?? '').trim().toLowerCase();
 }
 
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
 function shiftDate(date, days) {
   const copy = new Date(date);
   copy.setUTCDate(copy.getUTCDate() + days);
@@ -1,20 +1,50 @@
 import 'dotenv/config';
 import http from 'node:http';
 
-import { startBot } from './bot/bot.js';
+import { createRestHandler } from './api/restApi.js';
+import { createClosedWebhookRoute, readBotConfig } from './bot/botRuntime.js';
 
 const port = Number(process.env.PORT) || 8080;
+const config = readBotConfig();
+const handleRest = createRestHandler();
 
-startBot().catch((error) => {
-  console.error('Failed to start Telegram bot:', error);
-  process.exitCode = 1;
-});
+let bot = null;
+let handleWebhook = null;
+let stopping = false;
 
-const server = http.createServer((_, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/plain' });
-  res.end('OK');
+const server = http.createServer((req, res) => {
+  if (handleWebhook?.(req, res)) return;
+  handleRest(req, res);
 });
 
 server.listen(port, () => {
-  console.log(`Healthcheck server listening on ${port}`);
+  console.log(`Healthcheck und REST-API auf ${port}, Bot-Modus: ${config.mode}`);
+  startBot().catch((error) => {
+    console.error('Failed to start Telegram bot:', error);
+    process.exitCode = 1;
+  });
 });
+
+async function startBot() {
+  if (config.error) throw new Error(config.error);
+  if (config.mode === 'off') return;
+  bot = await import('./bot/botV3.js');
+  ({ handleWebhook } = await bot.startBot(config));
+}
+
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`${signal} empfangen, nehme keine neuen Anfragen mehr an und warte auf laufende Predictions.`);
+
+  const deadline = Date.now() + config.shutdownTimeoutMs;
+  if (handleWebhook) handleWebhook = createClosedWebhookRoute(config.webhook.path);
+  const closed = new Promise((resolve) => server.close(resolve));
+  const pending = bot ? await bot.stopBot(signal, { timeoutMs: config.shutdownTimeoutMs }) : 0;
+  await Promise.race([closed, new Promise((resolve) => setTimeout(resolve, Math.max(0, deadline - Date.now())).unref())]);
+  server.closeAllConnections();
+  process.exit(pending ? 1 : 0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
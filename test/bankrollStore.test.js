@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+let env;
+let store;
+
+before(async () => {
+  env = await setupTestEnv();
+  store = await import('../data/bankrollStore.js');
+  seedMatches(env.db, [
+    { match_id: 700, date: KICKOFF, home_team: 'Kassenstadt', away_team: 'Wettdorf' },
+    { match_id: 701, date: KICKOFF, home_team: 'Regenhausen', away_team: 'Wettdorf' },
+    { match_id: 702, date: KICKOFF, home_team: 'Abrufstadt', away_team: 'Wettdorf' },
+    { match_id: 703, date: KICKOFF, home_team: 'Laufstadt', away_team: 'Wettdorf', status: '2H' },
+    { match_id: 704, date: new Date(Date.now() - 60 * 1000).toISOString(), home_team: 'Spätstadt', away_team: 'Wettdorf' }
+  ]);
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('findBankroll', () => {
+  test('reports the starting balance without creating a row', () => {
+    const bankroll = store.findBankroll(11);
+    assert.equal(bankroll.balance, 1000);
+    assert.equal(bankroll.bets, 0);
+    assert.equal(env.db.prepare('SELECT COUNT(*) AS n FROM bankrolls WHERE user_id = 11').get().n, 0);
+  });
+});
+
+describe('placeBet', () => {
+  test('rejects a second open bet on the same match and outcome', () => {
+    const first = store.placeBet(12, { matchId: 700, outcome: 'home', odds: 2.1, stake: 20 });
+    assert.equal(first.error, undefined);
+    assert.match(store.placeBet(12, { matchId: 700, outcome: 'home', odds: 2.3, stake: 10 }).error, /offene Wette/);
+    assert.equal(store.placeBet(12, { matchId: 700, outcome: 'draw', odds: 3.4, stake: 10 }).error, undefined);
+    assert.equal(store.getBankroll(12).balance, 970);
+  });
+
+  test('only accepts bets before kickoff', () => {
+    assert.match(store.placeBet(15, { matchId: 703, outcome: 'home', odds: 2, stake: 10 }).error, /vor Anstoß/);
+    assert.match(store.placeBet(15, { matchId: 704, outcome: 'home', odds: 2, stake: 10 }).error, /vor Anstoß/);
+    assert.equal(store.findBankroll(15).bets, 0);
+  });
+});
+
+describe('settleUserBets', () => {
+  test('voids bets on cancelled matches and refunds the stake', () => {
+    store.placeBet(13, { matchId: 701, outcome: 'away', odds: 2.5, stake: 40 });
+    env.db.prepare(`UPDATE matches SET status = 'CANC' WHERE match_id = 701`).run();
+
+    assert.equal(store.settleUserBets(), 1);
+    const [bet] = store.listBets(13);
+    assert.equal(bet.status, 'void');
+    assert.equal(bet.payout, 40);
+    assert.equal(bet.profit, 0);
+    assert.equal(store.getBankroll(13).balance, 1000);
+  });
+
+  test('pays out winning bets once the result is in', () => {
+    env.db.prepare(`UPDATE matches SET status = 'FT', home_goals = 2, away_goals = 0 WHERE match_id = 700`).run();
+    assert.equal(store.settleUserBets(), 2);
+    assert.deepEqual(store.listBets(12).map((bet) => bet.status).sort(), ['lost', 'won']);
+    assert.equal(store.getBankroll(12).balance, 1012);
+  });
+
+  test('settles bets as soon as a fetched result is saved', async () => {
+    const { saveFixture } = await import('../api/fixtureStore.js');
+    const { fetchMatchById } = await import('../api/apiHandler.js');
+    saveFixture(path.join(env.dir, 'fixtures'), '/fixtures?id=702', {
+      response: [{
+        fixture: { id: 702, date: KICKOFF, status: { short: 'FT' } },
+        teams: { home: { name: 'Abrufstadt' }, away: { name: 'Wettdorf' } },
+        goals: { home: 0, away: 1 },
+        league: { id: 78 }
+      }]
+    });
+    store.placeBet(14, { matchId: 702, outcome: 'away', odds: 3, stake: 10 });
+
+    await fetchMatchById(702);
+    assert.equal(store.listBets(14)[0].status, 'won');
+    assert.equal(store.getBankroll(14).balance, 1020);
+  });
+});
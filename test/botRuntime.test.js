@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { Telegraf } from 'telegraf';
+
+import { createClosedWebhookRoute, createInFlightTracker, createWebhookRoute, readBotConfig } from '../bot/botRuntime.js';
+
+const SECRET = 'geheimes_token-1';
+const updates = [];
+const tracker = createInFlightTracker();
+
+let server;
+let release = null;
+let baseUrl;
+let handleWebhook;
+
+before(async () => {
+  const bot = new Telegraf('1:test');
+  bot.botInfo = { id: 1, is_bot: true, first_name: 'Test', username: 'test_bot' };
+  bot.on('message', async (ctx) => {
+    if (ctx.message.text === 'langsam') await new Promise((resolve) => { release = resolve; });
+    updates.push(ctx.update.update_id);
+  });
+
+  handleWebhook = createWebhookRoute(bot, { path: '/telegram/webhook', secretToken: SECRET }, tracker);
+  server = http.createServer((req, res) => {
+    if (handleWebhook(req, res)) return;
+    res.writeHead(404);
+    res.end('rest');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((done) => server.close(done));
+});
+
+function post(path, { secret = SECRET, body = { update_id: 1 } } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) headers['X-Telegram-Bot-Api-Secret-Token'] = secret;
+  return fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+describe('readBotConfig', () => {
+  test('defaults to polling and switches to webhook when WEBHOOK_URL is set', () => {
+    assert.equal(readBotConfig({}).mode, 'polling');
+    assert.equal(readBotConfig({}).shutdownTimeoutMs, 8000);
+    const config = readBotConfig({ WEBHOOK_URL: 'https://bot.example.org/', WEBHOOK_SECRET: SECRET, BOT_SHUTDOWN_TIMEOUT_MS: '5000' });
+    assert.equal(config.error, null);
+    assert.equal(config.shutdownTimeoutMs, 5000);
+    assert.deepEqual(config.webhook, { url: 'https://bot.example.org/telegram/webhook', path: '/telegram/webhook', secretToken: SECRET });
+  });
+
+  test('lets BOT_MODE override and rejects unusable webhook settings', () => {
+    assert.equal(readBotConfig({ BOT_MODE: 'off', WEBHOOK_URL: 'https://bot.example.org' }).mode, 'off');
+    assert.match(readBotConfig({ BOT_MODE: 'push' }).error, /BOT_MODE/);
+    assert.match(readBotConfig({ BOT_MODE: 'webhook', WEBHOOK_URL: 'http://bot.example.org', WEBHOOK_SECRET: SECRET }).error, /https/);
+    assert.match(readBotConfig({ WEBHOOK_URL: 'https://bot.example.org', WEBHOOK_SECRET: 'mit leerzeichen' }).error, /WEBHOOK_SECRET/);
+    assert.equal(readBotConfig({ WEBHOOK_URL: 'https://x.org', WEBHOOK_SECRET: SECRET, WEBHOOK_PATH: 'tg' }).webhook.url, 'https://x.org/tg');
+  });
+});
+
+describe('webhook route', () => {
+  test('hands updates with the right secret to the bot', async () => {
+    const res = await post('/telegram/webhook', { body: { update_id: 7, message: { message_id: 1, date: 0, chat: { id: 5, type: 'private' }, text: 'hi' } } });
+    assert.equal(res.status, 200);
+    await tracker.drain(1000);
+    assert.deepEqual(updates, [7]);
+  });
+
+  test('rejects missing or wrong secrets and other methods', async () => {
+    const missing = await post('/telegram/webhook', { secret: null });
+    assert.equal(missing.status, 403);
+    assert.deepEqual(await missing.json(), { error: 'Secret-Token ungueltig', status: 403 });
+    assert.equal((await post('/telegram/webhook', { secret: 'falsch' })).status, 403);
+
+    const get = await fetch(`${baseUrl}/telegram/webhook`);
+    assert.equal(get.status, 405);
+    assert.equal(get.headers.get('allow'), 'POST');
+    assert.deepEqual(updates, [7]);
+  });
+
+  test('leaves other paths to the next handler', async () => {
+    const res = await post('/health');
+    assert.equal(res.status, 404);
+    assert.equal(await res.text(), 'rest');
+  });
+
+  test('answers 503 once the bot shuts down so Telegram retries later', async () => {
+    const open = handleWebhook;
+    handleWebhook = createClosedWebhookRoute('/telegram/webhook');
+    try {
+      const res = await post('/telegram/webhook', { body: { update_id: 8, message: { message_id: 2, date: 0, chat: { id: 5, type: 'private' }, text: 'spät' } } });
+      assert.equal(res.status, 503);
+      assert.equal(res.headers.get('retry-after'), '5');
+      assert.equal((await post('/health')).status, 404);
+      assert.deepEqual(updates, [7]);
+    } finally {
+      handleWebhook = open;
+    }
+  });
+
+  test('acknowledges right away and keeps slow updates tracked until they finish', async () => {
+    const res = await post('/telegram/webhook', { body: { update_id: 9, message: { message_id: 3, date: 0, chat: { id: 5, type: 'private' }, text: 'langsam' } } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(updates, [7]);
+    assert.ok(tracker.active > 0);
+
+    while (!release) await new Promise((resolve) => setImmediate(resolve));
+    const drained = tracker.drain(1000);
+    release();
+    assert.equal(await drained, 0);
+    assert.deepEqual(updates, [7, 9]);
+  });
+
+  test('rejects bodies that are not a JSON update', async () => {
+    const res = await fetch(`${baseUrl}/telegram/webhook`, { method: 'POST', headers: { 'X-Telegram-Bot-Api-Secret-Token': SECRET }, body: '{kaputt' });
+    assert.equal(res.status, 400);
+    assert.equal(await tracker.drain(1000), 0);
+    assert.deepEqual(updates, [7, 9]);
+  });
+});
+
+describe('in-flight tracker', () => {
+  test('drain waits for running updates', async () => {
+    const tracker = createInFlightTracker();
+    let finish;
+    const running = tracker.middleware({}, () => new Promise((resolve) => { finish = resolve; }));
+
+    assert.equal(tracker.active, 1);
+    const drained = tracker.drain(1000);
+    finish();
+    await running;
+    assert.equal(await drained, 0);
+    assert.equal(tracker.active, 0);
+  });
+
+  test('drain gives up after the timeout and reports what is left', async () => {
+    const tracker = createInFlightTracker();
+    tracker.middleware({}, () => new Promise(() => {}));
+    assert.equal(await tracker.drain(20), 1);
+    assert.equal(await createInFlightTracker().drain(20), 0);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { setupTestEnv } from './helpers.js';
+
+let env;
+let cache;
+let cooldown;
+
+before(async () => {
+  process.env.CACHE_MAX_ENTRIES = '3';
+  env = await setupTestEnv();
+  cache = await import('../api/cache.js');
+  cooldown = await import('../api/apiCooldown.js');
+});
+
+after(async () => {
+  delete process.env.CACHE_MAX_ENTRIES;
+  await env.close();
+});
+
+describe('cached', () => {
+  test('coalesces concurrent calls for the same key into one factory call', async () => {
+    let calls = 0;
+    const factory = async () => {
+      calls += 1;
+      await wait(20);
+      return { calls };
+    };
+
+    const results = await Promise.all([cache.cached('coalesce', 60000, factory), cache.cached('coalesce', 60000, factory), cache.cached('coalesce', 60000, factory)]);
+    assert.equal(calls, 1);
+    assert.deepEqual(results, [{ calls: 1 }, { calls: 1 }, { calls: 1 }]);
+    assert.equal(cache.getCacheStats().inflight, 0);
+
+    assert.deepEqual(await cache.cached('coalesce', 60000, factory), { calls: 1 });
+    assert.equal(calls, 1);
+  });
+
+  test('falls back to the stale value when the factory fails, returns null or the API cools down', async () => {
+    await cache.cached('stale', 1, async () => 'alt');
+    await wait(5);
+
+    assert.equal(await cache.cached('stale', 60000, async () => { throw new Error('offline'); }), 'alt');
+    assert.equal(await cache.cached('stale', 60000, async () => null), 'alt');
+
+    cooldown.markApiRateLimited('test');
+    try {
+      assert.equal(await cache.cached('stale', 60000, async () => 'neu'), 'alt');
+    } finally {
+      cooldown.clearApiCooldown();
+    }
+
+    await assert.rejects(cache.cached('missing', 60000, async () => { throw new Error('offline'); }), /offline/);
+  });
+});
+
+describe('setCached', () => {
+  test('evicts the least recently used entries above CACHE_MAX_ENTRIES', async () => {
+    env.db.exec(`DELETE FROM api_cache`);
+    for (const key of ['a', 'b', 'c']) {
+      cache.setCached(key, key, 60000);
+      await wait(5);
+    }
+    assert.equal(cache.getCached('a'), 'a');
+    await wait(5);
+
+    cache.setCached('d', 'd', 60000);
+    assert.equal(cache.getCached('b'), null);
+    assert.deepEqual(['a', 'c', 'd'].map((key) => cache.getCached(key)), ['a', 'c', 'd']);
+    assert.equal(cache.getCacheStats().total, 3);
+  });
+});
+
+function wait(ms) { return new Promise((resolve) => setTimeout(resolve, ms)); }
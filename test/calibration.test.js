@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { setupTestEnv } from './helpers.js';
+
+let env;
+let calibratePrediction;
+let refreshCalibration;
+
+before(async () => {
+  process.env.CALIBRATION_MIN_SAMPLES = '10';
+  env = await setupTestEnv();
+  ({ calibratePrediction, refreshCalibration } = await import('../ai/calibration.js'));
+
+  const insert = env.db.prepare(`
+    INSERT INTO predictions (match_id, engine, prob_home, prob_draw, prob_away, raw_prob_home, raw_prob_draw, raw_prob_away,
+                             prediction, confidence, raw_confidence, status, actual_outcome)
+    VALUES (@id, 'cal-test', 0.3, 0.1, 0.6, 0.6, 0.1, 0.3, 'Auswaertssieg', 0.7, 0.7, 'won', 'away')
+  `);
+  for (let id = 1; id <= 12; id += 1) insert.run({ id: 800 + id });
+  refreshCalibration();
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('calibratePrediction', () => {
+  test('fits confidence against the raw pick, not the stored status', () => {
+    const result = calibratePrediction({
+      engine: 'cal-test',
+      prediction: 'Heimsieg',
+      probabilities: { home: 0.6, draw: 0.1, away: 0.3 },
+      betting_advice: { recommendation: 'Heimsieg', confidence: 0.7 }
+    });
+
+    assert.equal(result.calibration.applied, true);
+    assert.ok(result.betting_advice.confidence < 0.1);
+    assert.equal(result.betting_advice.recommendation, 'Keine klare Wette');
+  });
+
+  test('keeps prediction and recommendation on the calibrated pick', () => {
+    const result = calibratePrediction({
+      engine: 'cal-test',
+      prediction: 'Auswaertssieg',
+      probabilities: { home: 0.6, draw: 0.1, away: 0.3 },
+      betting_advice: { recommendation: 'Auswaertssieg', confidence: null }
+    });
+    const best = Object.entries(result.probabilities).sort((a, b) => b[1] - a[1])[0][0];
+
+    assert.equal(result.prediction, { home: 'Heimsieg', draw: 'Unentschieden', away: 'Auswaertssieg' }[best]);
+    assert.equal(result.betting_advice.recommendation, result.prediction);
+  });
+
+  test('leaves uncalibrated engines untouched', () => {
+    const input = { engine: 'other', prediction: 'Heimsieg', probabilities: { home: 0.5, draw: 0.3, away: 0.2 } };
+    assert.equal(calibratePrediction(input), input);
+  });
+});
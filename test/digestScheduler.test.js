@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { setupTestEnv } from './helpers.js';
+
+const TODAY = new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Berlin' }).format(new Date());
+
+let env;
+let startDigestScheduler;
+let hasPostedDigest;
+
+before(async () => {
+  env = await setupTestEnv();
+  ({ startDigestScheduler } = await import('../bot/digestScheduler.js'));
+  ({ hasPostedDigest } = await import('../data/digestStore.js'));
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('digest scheduler', () => {
+  test('posts once per local day and logs it outside alert_log', async () => {
+    const posts = [];
+    const scheduler = startDigestScheduler({ chatId: '@tipps', time: '00:00', post: async (chatId, digest) => { posts.push([chatId, digest.total]); } });
+    try {
+      await scheduler.runNow();
+      await scheduler.runNow();
+    } finally {
+      scheduler.stop();
+    }
+
+    assert.deepEqual(posts, [['@tipps', 0]]);
+    assert.equal(hasPostedDigest('@tipps', TODAY), true);
+    assert.equal(env.db.prepare(`SELECT COUNT(*) AS n FROM alert_log WHERE alert_type = 'digest'`).get().n, 0);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { seedMatches, setupTestEnv } from './helpers.js';
+
+let env;
+let elo;
+
+before(async () => {
+  env = await setupTestEnv();
+  elo = await import('../features/eloRatings.js');
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('rebuildEloRatings', () => {
+  test('scales the rating change with the margin of victory', () => {
+    seedMatches(env.db, [
+      { match_id: 1001, date: '2023-09-01T15:00:00Z', home_team_id: 1, away_team_id: 2, home_team: 'Knapp', away_team: 'Gast A', home_goals: 1, away_goals: 0, season: 2023 },
+      { match_id: 1002, date: '2023-09-01T15:00:00Z', home_team_id: 3, away_team_id: 4, home_team: 'Zwei', away_team: 'Gast B', home_goals: 2, away_goals: 0, season: 2023 },
+      { match_id: 1003, date: '2023-09-01T15:00:00Z', home_team_id: 5, away_team_id: 6, home_team: 'Klar', away_team: 'Gast C', home_goals: 4, away_goals: 0, season: 2023 }
+    ]);
+    elo.rebuildEloRatings();
+
+    const gain = (matchId) => {
+      const row = env.db.prepare(`SELECT home_elo, home_elo_post, away_elo, away_elo_post FROM match_elo WHERE match_id = ?`).get(matchId);
+      assert.equal(row.home_elo, 1500);
+      assert.equal(row.home_elo_post - row.home_elo, row.away_elo - row.away_elo_post);
+      return row.home_elo_post - row.home_elo;
+    };
+    const oneGoal = gain(1001);
+    assert.ok(oneGoal > 0);
+    assert.ok(Math.abs(gain(1002) / oneGoal - 1.5) < 1e-9);
+    assert.ok(Math.abs(gain(1003) / oneGoal - 15 / 8) < 1e-9);
+  });
+
+  test('regresses ratings toward the league mean at a season change', () => {
+    seedMatches(env.db, [
+      { match_id: 1004, date: '2024-08-20T15:00:00Z', home_team_id: 5, away_team_id: 6, home_team: 'Klar', away_team: 'Gast C', home_goals: 1, away_goals: 1, season: 2024 }
+    ]);
+    elo.rebuildEloRatings();
+
+    const { home_elo_post: before2024 } = env.db.prepare(`SELECT home_elo_post FROM match_elo WHERE match_id = 1003`).get();
+    const { home_elo: start2024 } = env.db.prepare(`SELECT home_elo FROM match_elo WHERE match_id = 1004`).get();
+    const { mean } = env.db.prepare(`SELECT AVG(home_elo_post + away_elo_post) / 2 AS mean FROM match_elo WHERE match_id IN (1001, 1002, 1003)`).get();
+
+    assert.ok(Math.abs(mean - 1500) < 1e-9);
+    assert.ok(Math.abs(start2024 - (mean + (before2024 - mean) * 0.67)) < 1e-9);
+  });
+
+  test('only processes new matches on update and keeps pre-match ratings', () => {
+    seedMatches(env.db, [
+      { match_id: 1005, date: '2024-08-27T15:00:00Z', home_team_id: 1, away_team_id: 3, home_team: 'Knapp', away_team: 'Zwei', home_goals: 0, away_goals: 2, season: 2024 }
+    ]);
+    assert.equal(elo.updateEloRatings(), 1);
+    assert.equal(elo.updateEloRatings(), 0);
+
+    const pre = elo.getPreMatchElo({ match_id: 1005, home_team_id: 1, away_team_id: 3, league_id: 78 });
+    const stored = env.db.prepare(`SELECT home_elo, away_elo FROM match_elo WHERE match_id = 1005`).get();
+    assert.equal(pre.homeElo, Math.round(stored.home_elo * 10) / 10);
+    assert.equal(pre.awayElo, Math.round(stored.away_elo * 10) / 10);
+    assert.ok(Math.abs(pre.home + pre.draw + pre.away - 1) < 0.002);
+  });
+});
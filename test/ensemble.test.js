@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { setupTestEnv } from './helpers.js';
+
+const PRIOR = { market: { weight: 1 }, llm: { weight: 1 }, rule: { weight: 0.5 } };
+
+let env;
+let blendPredictions;
+let ensembleConfidence;
+let refreshEnsembleWeights;
+let savePrediction;
+
+before(async () => {
+  env = await setupTestEnv();
+  process.env.ENSEMBLE_MIN_SAMPLES = '3';
+  ({ blendPredictions, ensembleConfidence, refreshEnsembleWeights } = await import('../ai/ensemble.js'));
+  ({ savePrediction } = await import('../data/predictionStore.js'));
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('blendPredictions', () => {
+  test('mixes the components by weight and keeps each one visible', () => {
+    const blend = blendPredictions([
+      { source: 'market', engine: 'Bet365', probabilities: { home: 0.5, draw: 0.3, away: 0.2 } },
+      { source: 'llm', engine: 'ollama:x', probabilities: { home: 0.6, draw: 0.2, away: 0.2 } },
+      null
+    ], PRIOR);
+
+    assert.deepEqual(blend.probabilities, { home: 0.55, draw: 0.25, away: 0.2 });
+    assert.deepEqual(blend.components.map((item) => [item.source, item.weight]), [['market', 0.5], ['llm', 0.5]]);
+    assert.equal(blend.disagreement, 0.1);
+    assert.deepEqual(blend.picks, ['Heimsieg']);
+  });
+
+  test('reports the largest pairwise disagreement and every pick', () => {
+    const blend = blendPredictions([
+      { source: 'market', probabilities: { home: 0.5, draw: 0.3, away: 0.2 } },
+      { source: 'llm', probabilities: { home: 0.45, draw: 0.3, away: 0.25 } },
+      { source: 'rule', probabilities: { home: 0.2, draw: 0.3, away: 0.5 } }
+    ], PRIOR);
+
+    assert.equal(blend.disagreement, 0.3);
+    assert.deepEqual(blend.picks, ['Heimsieg', 'Auswaertssieg']);
+  });
+
+  test('returns null without usable components', () => {
+    assert.equal(blendPredictions([null, { source: 'api', probabilities: { home: 0.5 } }], PRIOR), null);
+  });
+});
+
+describe('ensembleConfidence', () => {
+  test('lowers confidence when the engines disagree', () => {
+    const probs = { home: 0.55, draw: 0.25, away: 0.2 };
+    assert.equal(ensembleConfidence(probs, 0.1), 0.65);
+    assert.equal(ensembleConfidence(probs, 0.35), 0.35);
+  });
+});
+
+describe('refreshEnsembleWeights', () => {
+  test('starts from the prior weights', () => {
+    const weights = refreshEnsembleWeights();
+    assert.deepEqual(weights.market, { weight: 1, samples: 0, log_loss: null, learned: false });
+  });
+
+  test('learns weights from the log loss of settled components', () => {
+    for (let index = 0; index < 3; index += 1) {
+      const id = savePrediction({
+        match_id: 900 + index,
+        engine: 'ensemble',
+        prediction: 'Heimsieg',
+        probabilities: { home: 0.5, draw: 0.3, away: 0.2 },
+        betting_advice: { confidence: 0.5 },
+        ensemble: {
+          components: [
+            { source: 'market', engine: 'Bet365', weight: 0.5, probabilities: { home: 0.7, draw: 0.2, away: 0.1 } },
+            { source: 'rule', engine: 'rule-based', weight: 0.5, probabilities: { home: 0.3, draw: 0.4, away: 0.3 } }
+          ]
+        }
+      });
+      env.db.prepare(`UPDATE predictions SET status = 'won', actual_outcome = 'home' WHERE id = ?`).run(id);
+    }
+
+    const weights = refreshEnsembleWeights();
+    assert.equal(weights.market.learned, true);
+    assert.equal(weights.market.weight, 1);
+    assert.equal(weights.market.log_loss, 0.36);
+    assert.equal(weights.rule.learned, true);
+    assert.ok(weights.rule.weight < 0.05 + 1e-9);
+    assert.equal(weights.llm.learned, false);
+  });
+});
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { daysBefore, seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = '2024-05-01T18:00:00.000Z';
+
+let env;
+let calculateFeatures;
+let invalidateTeamFeatures;
+
+before(async () => {
+  env = await setupTestEnv();
+  ({ calculateFeatures, invalidateTeamFeatures } = await import('../features/featureEngine.js'));
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('calculateFeatures', () => {
+  test('ignores matches without goals in the history', () => {
+    seedMatches(env.db, [
+      { match_id: 100, date: daysBefore(KICKOFF, 30), home_team_id: 1, away_team_id: 2, home_team: 'Alpha', away_team: 'Beta', home_goals: 2, away_goals: 0 },
+      { match_id: 101, date: daysBefore(KICKOFF, 20), home_team_id: 3, away_team_id: 1, home_team: 'Gamma', away_team: 'Alpha', home_goals: 1, away_goals: 1 },
+      { match_id: 102, date: daysBefore(KICKOFF, 10), home_team_id: 1, away_team_id: 3, home_team: 'Alpha', away_team: 'Gamma', status: 'PST' },
+      { match_id: 103, date: daysBefore(KICKOFF, 5), home_team_id: 4, away_team_id: 1, home_team: 'Delta', away_team: 'Alpha', home_goals: 2, away_goals: null },
+      { match_id: 109, date: KICKOFF, home_team_id: 1, away_team_id: 2, home_team: 'Alpha', away_team: 'Beta' }
+    ]);
+
+    const [row] = calculateFeatures({ matchId: 109 });
+    assert.equal(row.match_id, 109);
+    assert.equal(row.home_games, 2);
+    assert.equal(row.home_recent_form, 'DW');
+    assert.equal(row.home_win_rate, 0.5);
+    assert.equal(row.home_goals_avg, 1.5);
+    assert.equal(row.home_rest_days, 20);
+    assert.equal(row.away_games, 1);
+    assert.equal(row.away_recent_form, 'L');
+  });
+
+  test('returns empty stats for a team without any history', () => {
+    seedMatches(env.db, [
+      { match_id: 119, date: KICKOFF, home_team_id: 11, away_team_id: 12, home_team: 'Neu', away_team: 'Auch Neu' }
+    ]);
+
+    const [row] = calculateFeatures({ matchId: 119 });
+    assert.equal(row.home_games, 0);
+    assert.equal(row.home_form, 0);
+    assert.equal(row.home_recent_form, '');
+    assert.equal(row.home_rest_days, null);
+    assert.equal(row.away_adj_goals_for, null);
+  });
+
+  test('matches name-only teams case- and whitespace-insensitively', () => {
+    seedMatches(env.db, [
+      { match_id: 120, date: daysBefore(KICKOFF, 14), home_team: 'Kickers Nord', away_team: 'SV Süd', home_goals: 3, away_goals: 1 },
+      { match_id: 121, date: daysBefore(KICKOFF, 7), home_team: 'sv süd ', away_team: 'KICKERS NORD', home_goals: 0, away_goals: 0 },
+      { match_id: 122, date: daysBefore(KICKOFF, 3), home_team: 'Kickers Nordost', away_team: 'SV Süd', home_goals: 5, away_goals: 0 },
+      { match_id: 129, date: KICKOFF, home_team: '  kickers nord', away_team: 'SV Süd' }
+    ]);
+
+    const [row] = calculateFeatures({ matchId: 129 });
+    assert.equal(row.home_games, 2);
+    assert.equal(row.home_recent_form, 'DW');
+    assert.equal(row.home_venue_games, 1);
+    assert.equal(row.away_games, 3);
+    assert.equal(row.away_recent_form, 'LDL');
+  });
+
+  test('only uses games inside the lookback window and before kickoff', () => {
+    seedMatches(env.db, [
+      { match_id: 130, date: daysBefore(KICKOFF, 800), home_team_id: 21, away_team_id: 22, home_team: 'Alt', away_team: 'Gegner', home_goals: 0, away_goals: 4 },
+      { match_id: 131, date: daysBefore(KICKOFF, 700), home_team_id: 21, away_team_id: 22, home_team: 'Alt', away_team: 'Gegner', home_goals: 2, away_goals: 1 },
+      { match_id: 132, date: daysBefore(KICKOFF, -3), home_team_id: 22, away_team_id: 21, home_team: 'Gegner', away_team: 'Alt', home_goals: 6, away_goals: 0 },
+      { match_id: 139, date: KICKOFF, home_team_id: 21, away_team_id: 22, home_team: 'Alt', away_team: 'Gegner' }
+    ]);
+
+    const [row] = calculateFeatures({ matchId: 139 });
+    assert.equal(row.home_games, 1);
+    assert.equal(row.home_recent_form, 'W');
+    assert.equal(row.home_goals_against_avg, 1);
+    assert.equal(row.away_games, 1);
+    assert.equal(row.away_recent_form, 'L');
+  });
+
+  test('writes the feature row to the stats table', () => {
+    const stored = env.db.prepare('SELECT home_games, away_games, home_recent_form FROM stats WHERE match_id = 139').get();
+    assert.deepEqual({ ...stored }, { home_games: 1, away_games: 1, home_recent_form: 'W' });
+  });
+
+  test('adds name-only rows to the history of a team with an id', () => {
+    seedMatches(env.db, [
+      { match_id: 140, date: daysBefore(KICKOFF, 21), home_team_id: 31, away_team_id: 32, home_team: 'Mischstadt', away_team: 'Altgegner', home_goals: 1, away_goals: 0 },
+      { match_id: 141, date: daysBefore(KICKOFF, 14), home_team: 'Altgegner', away_team: 'mischstadt', home_goals: 2, away_goals: 2 },
+      { match_id: 149, date: KICKOFF, home_team_id: 31, away_team_id: 32, home_team: 'Mischstadt', away_team: 'Altgegner' }
+    ]);
+
+    const [row] = calculateFeatures({ matchId: 149 });
+    assert.equal(row.home_games, 2);
+    assert.equal(row.home_recent_form, 'DW');
+    assert.equal(row.away_games, 2);
+  });
+
+  test('does not mix in namesakes that carry a different team id', () => {
+    seedMatches(env.db, [
+      { match_id: 142, date: daysBefore(KICKOFF, 7), home_team_id: 33, away_team_id: 32, home_team: 'Mischstadt', away_team: 'Altgegner', home_goals: 0, away_goals: 4 },
+      { match_id: 148, date: KICKOFF, home_team_id: 31, away_team_id: 34, home_team: 'Mischstadt', away_team: 'Neugegner' }
+    ]);
+    invalidateTeamFeatures([{ home_team_id: 31, home_team: 'Mischstadt', home_goals: 0, away_goals: 0 }]);
+
+    const [row] = calculateFeatures({ matchId: 148 });
+    assert.equal(row.home_games, 2);
+    assert.equal(row.home_recent_form, 'DW');
+  });
+
+  test('reads team history through the team and name indexes', () => {
+    const plan = (filter) => env.db.prepare(`EXPLAIN QUERY PLAN SELECT * FROM matches WHERE ${filter} AND date >= '2020' AND date < '2030'`).all({ id: 1, name: 'x' }).map((step) => step.detail).join(' | ');
+    assert.match(plan('(home_team_id = @id OR away_team_id = @id)'), /idx_matches_home_team_date.*idx_matches_away_team_date/);
+    assert.match(plan('((lower(trim(home_team)) = @name AND home_team_id IS NULL) OR (lower(trim(away_team)) = @name AND away_team_id IS NULL))'), /idx_matches_home_name_date.*idx_matches_away_name_date/);
+  });
+
+  test('updates Elo ratings when results arrive instead of on every feature read', () => {
+    const results = [{ match_id: 170, date: daysBefore(KICKOFF, 3), home_team_id: 61, away_team_id: 62, home_team: 'Elostadt', away_team: 'Elodorf', home_goals: 3, away_goals: 0 }];
+    seedMatches(env.db, [...results, { match_id: 179, date: KICKOFF, home_team_id: 61, away_team_id: 62, home_team: 'Elostadt', away_team: 'Elodorf' }]);
+    const count = () => env.db.prepare('SELECT COUNT(*) AS n FROM match_elo WHERE match_id = 170').get().n;
+
+    calculateFeatures({ matchId: 179 });
+    assert.equal(count(), 0);
+
+    invalidateTeamFeatures(results);
+    assert.equal(count(), 1);
+    const [row] = calculateFeatures({ matchId: 179 });
+    assert.ok(row.home_elo > row.away_elo);
+  });
+
+  test('adjusts goals against the average of the own league', () => {
+    const league = [
+      { match_id: 150, date: daysBefore(KICKOFF, 21), home_team_id: 41, away_team_id: 42, home_team: 'Ligastadt', away_team: 'Ligadorf', home_goals: 2, away_goals: 1 },
+      { match_id: 151, date: daysBefore(KICKOFF, 14), home_team_id: 42, away_team_id: 43, home_team: 'Ligadorf', away_team: 'Ligaheim', home_goals: 1, away_goals: 1 },
+      { match_id: 158, date: KICKOFF, home_team_id: 41, away_team_id: 42, home_team: 'Ligastadt', away_team: 'Ligadorf' }
+    ];
+    seedMatches(env.db, league);
+    invalidateTeamFeatures(league);
+    const [before] = calculateFeatures({ matchId: 158 });
+
+    const otherLeague = [1, 2, 3].map((n) => ({ match_id: 160 + n, date: daysBefore(KICKOFF, n), home_team_id: 51, away_team_id: 52, home_team: 'Torfest', away_team: 'Torfabrik', home_goals: 7, away_goals: 6, league_id: 99 }));
+    seedMatches(env.db, [...otherLeague, { match_id: 159, date: daysBefore(KICKOFF, -0.05), home_team_id: 41, away_team_id: 42, home_team: 'Ligastadt', away_team: 'Ligadorf' }]);
+    invalidateTeamFeatures(otherLeague);
+
+    const [after] = calculateFeatures({ matchId: 159 });
+    assert.equal(after.home_adj_goals_for, before.home_adj_goals_for);
+    assert.equal(after.away_adj_goals_against, before.away_adj_goals_against);
+  });
+
+  test('returns an empty list for unknown matches', () => {
+    assert.deepEqual(calculateFeatures({ matchId: 999999 }), []);
+  });
+});
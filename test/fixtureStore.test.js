@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { setupTestEnv } from './helpers.js';
+
+const PAYLOAD = { errors: [], results: 1, response: [{ fixture: { id: 42 } }] };
+
+let env;
+let store;
+let recordDir;
+
+before(async () => {
+  env = await setupTestEnv();
+  recordDir = path.join(env.dir, 'recorded');
+  process.env.API_RECORD_DIR = recordDir;
+  store = await import('../api/fixtureStore.js');
+});
+
+after(async () => {
+  delete process.env.API_RECORD_DIR;
+  await env.close();
+});
+
+describe('fixtureKey', () => {
+  test('builds the same file for reordered params', () => {
+    const a = store.fixtureKey('/fixtures?team=5&season=2024&last=10');
+    const b = store.fixtureKey('/fixtures?last=10&team=5&season=2024');
+    assert.deepEqual(a, b);
+    assert.equal(a.sport, 'football');
+    assert.equal(a.endpoint, 'fixtures');
+    assert.deepEqual(a.params, { last: '10', season: '2024', team: '5' });
+    assert.match(a.file, /^last-10_season-2024_team-5-[0-9a-f]{8}\.json$/);
+  });
+
+  test('keeps distinct queries apart and names empty ones', () => {
+    assert.notEqual(store.fixtureKey('/fixtures?team=5').file, store.fixtureKey('/fixtures?team=6').file);
+    assert.equal(store.fixtureKey('/status').endpoint, 'status');
+    assert.match(store.fixtureKey('/status').file, /^_all-[0-9a-f]{8}\.json$/);
+    assert.equal(store.fixtureKey('/').endpoint, 'root');
+  });
+
+  test('separates the sports by API host or mock path prefix', () => {
+    const football = store.fixtureKey('https://v3.football.api-sports.io/teams?search=Real');
+    const basketball = store.fixtureKey('https://v1.basketball.api-sports.io/teams?search=Real');
+    assert.deepEqual([football.sport, basketball.sport], ['football', 'basketball']);
+    assert.equal(basketball.endpoint, 'teams');
+    assert.equal(basketball.file, football.file);
+    assert.deepEqual(store.fixtureKey('http://127.0.0.1:4010/basketball/teams?search=Real'), basketball);
+    assert.deepEqual(store.fixtureKey('/football/teams?search=Real'), football);
+  });
+});
+
+describe('findFixture', () => {
+  test('prefers the exact recording and falls back to the newest one with the same stable params', () => {
+    const dir = path.join(env.dir, 'lookup');
+    store.saveFixture(dir, '/fixtures?league=78&date=2026-01-01', { response: ['alt'] });
+    const newer = store.saveFixture(dir, '/fixtures?league=78&date=2026-01-02', { response: ['neu'] });
+    const data = JSON.parse(fs.readFileSync(newer, 'utf8'));
+    fs.writeFileSync(newer, JSON.stringify({ ...data, recorded_at: '2099-01-01T00:00:00.000Z' }));
+
+    const exact = store.findFixture(dir, '/fixtures?date=2026-01-01&league=78');
+    assert.equal(exact.match, 'exact');
+    assert.deepEqual(exact.payload.response, ['alt']);
+
+    const loose = store.findFixture(dir, '/fixtures?league=78&date=2026-05-05&timezone=Europe/Berlin');
+    assert.equal(loose.match, 'loose');
+    assert.deepEqual(loose.payload.response, ['neu']);
+  });
+
+  test('keeps football and basketball recordings of the same endpoint apart', () => {
+    const dir = path.join(env.dir, 'sports');
+    store.saveFixture(dir, 'https://v3.football.api-sports.io/leagues', { response: ['Bundesliga'] });
+    store.saveFixture(dir, 'https://v1.basketball.api-sports.io/leagues', { response: ['BBL'] });
+
+    assert.deepEqual(store.findFixture(dir, '/football/leagues').payload.response, ['Bundesliga']);
+    assert.deepEqual(store.findFixture(dir, '/basketball/leagues').payload.response, ['BBL']);
+    assert.deepEqual(store.findFixture(dir, '/leagues').payload.response, ['Bundesliga']);
+  });
+
+  test('does not treat other stable params as a match', () => {
+    const dir = path.join(env.dir, 'lookup');
+    assert.equal(store.findFixture(dir, '/fixtures?league=79&date=2026-01-01'), null);
+    assert.equal(store.findFixture(dir, '/fixtures?league=78&team=5'), null);
+    assert.equal(store.findFixture(path.join(env.dir, 'missing'), '/fixtures?league=78'), null);
+  });
+});
+
+describe('API_RECORD_DIR', () => {
+  test('records live responses that the mock server replays', async () => {
+    const { requestApiSports } = await import('../api/requestClient.js');
+    const { startMockServer } = await import('../api/mockServer.js');
+    const basketball = { errors: [], results: 1, response: [{ id: 43 }] };
+    store.saveFixture(path.join(env.dir, 'fixtures'), '/football/teams?id=42', PAYLOAD);
+    store.saveFixture(path.join(env.dir, 'fixtures'), '/basketball/teams?id=42', basketball);
+
+    assert.deepEqual(await requestApiSports(`${process.env.API_FOOTBALL_BASE_URL}/teams?id=42`, { apiKey: 'test', label: 'record' }), PAYLOAD);
+    assert.deepEqual(await requestApiSports(`${process.env.API_BASKETBALL_BASE_URL}/teams?id=42`, { apiKey: 'test', label: 'record' }), basketball);
+    const recorded = store.findFixture(recordDir, '/football/teams?id=42');
+    assert.equal(recorded.match, 'exact');
+    assert.deepEqual(recorded.payload, PAYLOAD);
+
+    const replay = await startMockServer({ dir: recordDir, port: 0 });
+    try {
+      const response = await fetch(`${replay.url}/football/teams?id=42`);
+      assert.equal(response.headers.get('x-mock-fixture'), 'exact');
+      assert.deepEqual(await response.json(), PAYLOAD);
+      assert.deepEqual(await (await fetch(`${replay.url}/basketball/teams?id=42`)).json(), basketball);
+      assert.deepEqual(replay.stats, { requests: 2, exact: 2, loose: 0, miss: 0 });
+    } finally {
+      await replay.close();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { formatPredictionCard, formatPredictionCore, trimTelegram } from '../bot/formatV3.js';
+
+const RESULT = {
+  engine: 'poisson',
+  prediction: 'Heimsieg',
+  probabilities: { home: 0.52, draw: 0.27, away: 0.21 },
+  betting_advice: { recommendation: 'Heimsieg', confidence: 0.61, reasoning: 'Heimstark & formstark' },
+  explanation: 'Solide Datenbasis.',
+  data_quality: { diagnostics: { localQualityLabel: 'gut', totalGames: 24, h2hCount: 3, hasUsableSamples: true } }
+};
+
+describe('formatPredictionCore', () => {
+  test('renders teams, probabilities and advice', () => {
+    const text = formatPredictionCore(RESULT, 'Bayern', 'Dortmund', false);
+    const lines = text.split('\n');
+
+    assert.equal(lines[0], '<b>Match:</b> Bayern vs Dortmund');
+    assert.ok(lines.includes('<b>Engine:</b> poisson'));
+    assert.ok(lines.includes('<b>Daten:</b> gut | Samples 24 | H2H 3 | usable ja'));
+    assert.ok(lines.includes('<b>Vorhersage:</b> Heimsieg (Bayern)'));
+    assert.ok(lines.includes('<b>Bayern:</b> 52%'));
+    assert.ok(lines.includes('<b>Unentschieden:</b> 27%'));
+    assert.ok(lines.includes('<b>Dortmund:</b> 21%'));
+    assert.ok(lines.includes('<b>Sicherheit:</b> 61%'));
+    assert.ok(lines.includes('<b>Begründung:</b> Heimstark &amp; formstark'));
+  });
+
+  test('escapes HTML in team names', () => {
+    const text = formatPredictionCore(RESULT, '<script>', 'A & "B"', false);
+    assert.ok(text.startsWith('<b>Match:</b> &lt;script&gt; vs A &amp; &quot;B&quot;'));
+    assert.ok(!text.includes('<script>'));
+  });
+
+  test('skips missing sections instead of printing null', () => {
+    const text = formatPredictionCore({ prediction: 'Keine klare Wette', probabilities: {} }, 'Heim', 'Gast', false);
+    assert.ok(!text.includes('null'));
+    assert.ok(!text.includes('undefined'));
+    assert.ok(text.includes('<b>Engine:</b> unknown'));
+    assert.ok(text.includes('<b>Heim:</b> n/a'));
+    assert.ok(!text.includes('<b>Daten:</b>'));
+    assert.ok(!text.includes('<u>Value</u>'));
+  });
+
+  test('marks manual matchups and shows the AI fallback reason', () => {
+    const text = formatPredictionCore({ ...RESULT, data_quality: { ...RESULT.data_quality, ai_error: 'timeout <30s>' } }, 'Heim', 'Gast', true);
+    assert.ok(text.startsWith('<b>Manuelles Matchup:</b>'));
+    assert.ok(text.includes('<i>Keine echte kommende Fixture'));
+    assert.ok(text.includes('<b>AI-Fallback Grund:</b> timeout &lt;30s&gt;'));
+  });
+
+  test('shows value bets and the Kelly stake for the bankroll', () => {
+    const text = formatPredictionCore({
+      ...RESULT,
+      value_bets: {
+        bookmaker: 'Bet365',
+        margin: 0.05,
+        min_ev: 0.05,
+        best: { label: 'Heimsieg', odd: 2.3, ev: 0.12, bookmaker: 'Bet365' },
+        outcomes: [{ label: 'Heimsieg', odd: 2.3, fair_probability: 0.41, model_probability: 0.52, ev: 0.12, value: true }]
+      },
+      betting_advice: { ...RESULT.betting_advice, stake: { label: 'Heimsieg', odds: 2.3, kelly_share: 0.025 } }
+    }, 'Bayern', 'Dortmund', false, { balance: 1000 });
+
+    assert.ok(text.includes('<b>Value-Tipp:</b> Heimsieg (Bayern) @ 2.3 bei Bet365 (EV +12%)'));
+    assert.ok(text.includes('<b>Kelly-Einsatz:</b> 2.5% der Bankroll = 25.00 von 1000.00 auf Heimsieg (Bayern) @ 2.3'));
+  });
+
+  test('lists the ensemble components and flags disagreement', () => {
+    const text = formatPredictionCore({
+      ...RESULT,
+      ensemble: {
+        disagreement: 0.3,
+        disagreeing: true,
+        picks: ['Heimsieg', 'Auswaertssieg'],
+        components: [
+          { source: 'market', weight: 0.6, learned: true, probabilities: { home: 0.5, draw: 0.3, away: 0.2 } },
+          { source: 'rule', weight: 0.4, learned: false, probabilities: { home: 0.2, draw: 0.3, away: 0.5 } }
+        ]
+      }
+    }, 'Bayern', 'Dortmund', false);
+
+    assert.ok(text.includes('<u>Ensemble</u>'));
+    assert.ok(text.includes('Quellen uneinig:</b> Heimsieg (Bayern) / Auswaertssieg (Dortmund) (Abstand 30%)'));
+    assert.ok(text.includes('Quoten: 1 50% | X 30% | 2 20% | Gewicht 60%\nRegeln: 1 20% | X 30% | 2 50% | Gewicht 40% (Start)'));
+  });
+});
+
+describe('trimTelegram', () => {
+  test('keeps short messages unchanged', () => {
+    assert.equal(trimTelegram('kurz'), 'kurz');
+    assert.equal(trimTelegram('x'.repeat(3900)), 'x'.repeat(3900));
+  });
+
+  test('cuts long messages below the Telegram limit', () => {
+    const text = trimTelegram('x'.repeat(5000));
+    assert.equal(text, `${'x'.repeat(3900)}\n\n... gekürzt.`);
+    assert.ok(text.length < 4096);
+  });
+});
+
+describe('formatPredictionCard', () => {
+  test('renders a compact card with kickoff, odds line and source', () => {
+    const lines = formatPredictionCard(RESULT, { home: 'Bayern', away: 'Dortmund', kickoff: '2025-03-01T14:30:00Z', league: 'Bundesliga', savedAt: '2025-03-01T09:00:00Z' }).split('\n');
+
+    assert.equal(lines[0], '\u{26BD} <b>Bayern vs Dortmund</b>');
+    assert.equal(lines[1], '01.03.25, 15:30 | Bundesliga');
+    assert.ok(lines.includes('<b>Tipp:</b> Heimsieg (Bayern)'));
+    assert.ok(lines.includes('1 52% | X 27% | 2 21%'));
+    assert.ok(lines.includes('<b>Empfehlung:</b> Heimsieg (Bayern) (Sicherheit 61%)'));
+    assert.equal(lines.at(-1), '<i>GamblerGPT | poisson | Stand 01.03.25, 10:00</i>');
+    assert.ok(lines.length <= 6);
+  });
+
+  test('leaves out kickoff and saved time when unknown', () => {
+    const text = formatPredictionCard({ prediction: 'Unentschieden', probabilities: {} }, { home: 'A & B', away: 'C' });
+    assert.ok(text.startsWith('\u{26BD} <b>A &amp; B vs C</b>\n<b>Tipp:</b> Unentschieden'));
+    assert.ok(text.endsWith('<i>GamblerGPT | unknown</i>'));
+    assert.ok(!text.includes('undefined'));
+  });
+});
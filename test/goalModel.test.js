@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { daysBefore, seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+const TEAMS = { home_team_id: 81, away_team_id: 82, home_team: 'Torstadt', away_team: 'Netzdorf' };
+
+let env;
+let goalModel;
+let invalidateTeamFeatures;
+
+before(async () => {
+  env = await setupTestEnv();
+  goalModel = await import('../ai/goalModel.js');
+  ({ invalidateTeamFeatures } = await import('../features/featureEngine.js'));
+  seedMatches(env.db, [1, 2, 3, 4].map((n) => ({ match_id: 800 + n, date: daysBefore(KICKOFF, n * 7), ...TEAMS, home_goals: 2, away_goals: 1 })));
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('predictGoalModel', () => {
+  test('reuses the fitted model for the same day until new results arrive', () => {
+    const match = { match_id: 899, date: KICKOFF, ...TEAMS };
+    const first = goalModel.predictGoalModel(match);
+    assert.equal(first.sample.matches, 4);
+
+    const result = { match_id: 805, date: daysBefore(KICKOFF, 1), ...TEAMS, home_goals: 0, away_goals: 3 };
+    seedMatches(env.db, [result]);
+    assert.deepEqual(goalModel.predictGoalModel(match).expectedGoals, first.expectedGoals);
+
+    invalidateTeamFeatures([{ ...result, status: 'FT' }]);
+    const refitted = goalModel.predictGoalModel(match);
+    assert.equal(refitted.sample.matches, 5);
+    assert.ok(refitted.expectedGoals.away > first.expectedGoals.away);
+  });
+
+  test('fits explicitly passed matches without the cache', () => {
+    const rows = env.db.prepare('SELECT * FROM matches WHERE match_id IN (801, 802, 803)').all();
+    assert.equal(goalModel.predictGoalModel({ date: KICKOFF, ...TEAMS }, { matches: rows }).sample.matches, 3);
+  });
+});
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { seedMatches, setupTestEnv } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const KICKOFF = new Date(Date.now() + 24 * HOUR).toISOString();
+const CHAT = -1001;
+const ALICE = { id: 11, username: 'alice' };
+const BOB = { id: 12, first_name: 'Bob', last_name: 'B' };
+const CAROL = { id: 13, first_name: 'Carol' };
+
+let env;
+let store;
+let group;
+let runGroupPollCycle;
+let savePrediction;
+const sent = [];
+const telegram = {
+  sendPoll: async (chatId, question, options, extra) => {
+    sent.push({ chatId, question, options, extra });
+    return { message_id: 700 + sent.length, poll: { id: `poll-${sent.length}` } };
+  }
+};
+
+before(async () => {
+  env = await setupTestEnv();
+  store = await import('../data/groupPollStore.js');
+  group = await import('../bot/groupMode.js');
+  ({ runGroupPollCycle } = await import('../bot/groupPollScheduler.js'));
+  ({ savePrediction } = await import('../data/predictionStore.js'));
+
+  seedMatches(env.db, [
+    { match_id: 600, date: KICKOFF, home_team_id: 61, away_team_id: 62, home_team: 'Tippstadt', away_team: 'Pollhausen' },
+    { match_id: 601, date: KICKOFF, home_team_id: 63, away_team_id: 61, home_team: 'Vorort', away_team: 'Tippstadt' },
+    { match_id: 602, date: new Date(Date.now() + 2 * 60 * 1000).toISOString(), home_team_id: 61, away_team_id: 64, home_team: 'Tippstadt', away_team: 'Zuspät' }
+  ]);
+  savePrediction({ match_id: 600, engine: 'rule', prediction: 'Heimsieg', probabilities: { home: 0.5, draw: 0.3, away: 0.2 }, betting_advice: { confidence: 0.5 } });
+  savePrediction({ match_id: 601, engine: 'rule', prediction: 'Keine klare Wette', probabilities: { home: 0.2, draw: 0.3, away: 0.5 }, betting_advice: { confidence: 0.4 } });
+  env.db.prepare(`INSERT INTO subscriptions (chat_id, kind, target_id, target_name) VALUES (?, 'team', 61, 'Tippstadt')`).run(CHAT);
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('group polls', () => {
+  test('finds followed fixtures that are far enough from kickoff', async () => {
+    const fixtures = await group.findPollFixtures(CHAT, '');
+    assert.deepEqual(fixtures.map((item) => item.match_id).sort(), [600, 601]);
+    assert.deepEqual(await group.findPollFixtures(CHAT, '602'), []);
+    assert.deepEqual(await group.findPollFixtures(-999, ''), []);
+    assert.deepEqual((await group.findPollFixtures(CHAT, '600')).map((item) => item.match_id), [600]);
+  });
+
+  test('posts a 1/X/2 poll and stores GamblerGPT pick', async () => {
+    const [fixture] = await group.findPollFixtures(CHAT, '600');
+    const poll = await group.postMatchPoll(telegram, CHAT, fixture);
+
+    assert.equal(poll.poll_id, 'poll-1');
+    assert.equal(poll.bot_pick, 'home');
+    assert.deepEqual(sent[0].options, ['1 Tippstadt', 'X Unentschieden', '2 Pollhausen']);
+    assert.equal(sent[0].extra.is_anonymous, false);
+    assert.match(sent[0].question, /^\u{26BD} Tippstadt vs Pollhausen \| \d\d\.\d\d\.\d\d, \d\d:\d\d$/u);
+
+    assert.deepEqual(await group.postMatchPoll(telegram, CHAT, fixture), { error: 'Für dieses Spiel läuft schon eine Umfrage.' });
+    assert.deepEqual((await group.findPollFixtures(CHAT, '')).map((item) => item.match_id), [601]);
+  });
+
+  test('falls back to the most likely outcome when the label is no pick', async () => {
+    const [fixture] = await group.findPollFixtures(CHAT, '601');
+    const poll = await group.postMatchPoll(telegram, CHAT, fixture);
+    assert.equal(poll.bot_pick, 'away');
+  });
+
+  test('records, changes and retracts votes until kickoff', () => {
+    assert.equal(store.recordGroupVote('poll-1', ALICE, [0]).outcome, 'home');
+    assert.equal(store.recordGroupVote('poll-1', BOB, [0]).outcome, 'home');
+    assert.equal(store.recordGroupVote('poll-1', BOB, [2]).outcome, 'away');
+    assert.equal(store.recordGroupVote('poll-1', CAROL, [1]).outcome, 'draw');
+    assert.equal(store.recordGroupVote('poll-1', CAROL, []).outcome, null);
+    assert.equal(store.recordGroupVote('poll-2', ALICE, [1]).outcome, 'draw');
+    assert.equal(store.recordGroupVote('poll-2', BOB, [2]).outcome, 'away');
+
+    assert.deepEqual(store.recordGroupVote('poll-1', CAROL, [1], Date.parse(KICKOFF) + 1000), { error: 'Abstimmung ist geschlossen.' });
+    assert.deepEqual(store.recordGroupVote('nope', CAROL, [1]), { error: 'Unbekannte Umfrage.' });
+  });
+
+  test('closes polls at kickoff and settles them with a leaderboard', async () => {
+    const closed = [];
+    const announced = [];
+    const hooks = { closePoll: async (poll) => closed.push(poll.message_id), announce: async (poll) => announced.push(poll) };
+
+    assert.deepEqual(await runGroupPollCycle(hooks, Date.parse(KICKOFF) + 1000), { closed: 2, settled: 0 });
+    assert.deepEqual(closed.sort(), [701, 702]);
+    assert.deepEqual(store.recordGroupVote('poll-1', CAROL, [0]), { error: 'Abstimmung ist geschlossen.' });
+
+    env.db.prepare(`UPDATE matches SET status = 'FT', home_goals = 2, away_goals = 0 WHERE match_id = 600`).run();
+    env.db.prepare(`UPDATE matches SET status = 'FT', home_goals = 1, away_goals = 3 WHERE match_id = 601`).run();
+    assert.deepEqual(await runGroupPollCycle(hooks), { closed: 0, settled: 2 });
+
+    const first = announced.find((poll) => poll.match_id === 600);
+    assert.equal(first.actual_outcome, 'home');
+    assert.deepEqual(first.votes.map((vote) => [vote.user_name, vote.outcome]), [['@alice', 'home'], ['Bob B', 'away']]);
+
+    const board = store.getGroupLeaderboard(CHAT);
+    assert.equal(board.polls, 2);
+    assert.deepEqual(board.entries.map((entry) => [entry.name, entry.correct, entry.tips]), [['GamblerGPT', 2, 2], ['@alice', 1, 2], ['Bob B', 1, 2]]);
+    assert.deepEqual(board.entries.find((entry) => entry.name === 'Bob B'), { user_id: 12, name: 'Bob B', tips: 2, correct: 1, beat_bot: 0, lost_to_bot: 1, is_bot: false, accuracy: 0.5 });
+
+    const text = group.formatSettlement(first, board);
+    assert.ok(text.startsWith('\u{1F3C1} <b>Tippstadt 2:0 Pollhausen</b>'));
+    assert.ok(text.includes('<b>Richtig (1/2):</b> @alice'));
+    assert.ok(text.includes('<b>\u{1F916} GamblerGPT:</b> Heimsieg (Tippstadt) \u{2705}'));
+    assert.ok(text.includes('1. \u{1F916} GamblerGPT: 2/2 richtig (100%)'));
+    assert.ok(text.includes('2. @alice: 1/2 richtig (50%) | vs GamblerGPT +0/-1'));
+  });
+
+  test('voids polls of cancelled matches', async () => {
+    const poll = await group.postMatchPoll(telegram, CHAT, { match_id: 602, date: new Date(Date.now() + HOUR).toISOString(), home_team: 'Tippstadt', away_team: 'Zuspät' });
+    env.db.prepare(`UPDATE matches SET status = 'PST' WHERE match_id = 602`).run();
+
+    const [settled] = store.settleGroupPolls();
+    assert.equal(settled.poll_id, poll.poll_id);
+    assert.equal(settled.status, 'void');
+    assert.match(group.formatSettlement(settled, store.getGroupLeaderboard(CHAT)), /abgesagt oder verlegt/);
+    assert.equal(store.getGroupLeaderboard(CHAT).polls, 2);
+  });
+
+  test('opens a new poll once a voided match is rescheduled', async () => {
+    const kickoff = new Date(Date.now() + 2 * HOUR).toISOString();
+    env.db.prepare(`UPDATE matches SET status = 'NS', date = ? WHERE match_id = 602`).run(kickoff);
+    assert.deepEqual((await group.findPollFixtures(CHAT, '602')).map((item) => item.match_id), [602]);
+
+    const poll = await group.postMatchPoll(telegram, CHAT, { match_id: 602, date: kickoff, home_team: 'Tippstadt', away_team: 'Zuspät' });
+    assert.equal(poll.status, 'open');
+    assert.equal(env.db.prepare('SELECT COUNT(*) AS n FROM group_polls WHERE match_id = 602').get().n, 1);
+  });
+
+  test('sends the poll before GamblerGPT has a pick and fills it in afterwards', async () => {
+    seedMatches(env.db, [{ match_id: 603, date: KICKOFF, home_team_id: 61, away_team_id: 65, home_team: 'Tippstadt', away_team: 'Ohnetipp' }]);
+    const count = sent.length;
+    const poll = await group.postMatchPoll(telegram, CHAT, { match_id: 603, date: KICKOFF, home_team: 'Tippstadt', away_team: 'Ohnetipp' });
+
+    assert.equal(sent.length, count + 1);
+    assert.equal(poll.bot_pick, null);
+    await group.pendingBotPicks();
+    assert.ok(store.POLL_OUTCOMES.includes(store.getGroupPoll(poll.poll_id).bot_pick));
+  });
+});
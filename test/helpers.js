@@ -0,0 +1,98 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+export async function setupTestEnv() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamblergpt-test-'));
+  process.chdir(dir);
+
+  const llm = await startLlmStub();
+  const { startMockServer } = await import('../api/mockServer.js');
+  const api = await startMockServer({ dir: path.join(dir, 'fixtures'), port: 0 });
+
+  Object.assign(process.env, {
+    API_FOOTBALL_KEY: 'test',
+    API_FOOTBALL_BASE_URL: `${api.url}/football`,
+    API_BASKETBALL_BASE_URL: `${api.url}/basketball`,
+    API_TIMEOUT_MS: '2000',
+    OLLAMA_HOST: llm.url,
+    OLLAMA_MODEL: 'stub-model',
+    OLLAMA_TIMEOUT_MS: '2000',
+    LLM_PROVIDERS: 'ollama',
+    PREDICTION_ENGINE: 'rule'
+  });
+
+  const { setupDatabase } = await import('../data/dbSetup.js');
+  const { getDb, closeDb } = await import('../data/db.js');
+  setupDatabase();
+
+  return {
+    dir,
+    api,
+    llm,
+    db: getDb(),
+    close: async () => {
+      await api.close();
+      await llm.close();
+      closeDb();
+      process.chdir(os.tmpdir());
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+export function seedMatches(db, matches) {
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO matches
+      (match_id, sport, date, status, home_team_id, away_team_id, home_team, away_team, home_goals, away_goals, league_id, season)
+    VALUES
+      (@match_id, @sport, @date, @status, @home_team_id, @away_team_id, @home_team, @away_team, @home_goals, @away_goals, @league_id, @season)
+  `);
+  db.transaction((rows) => {
+    for (const row of rows) {
+      const finished = row.home_goals !== null && row.home_goals !== undefined;
+      insert.run({
+        sport: 'football',
+        status: finished ? 'FT' : 'NS',
+        home_team_id: null,
+        away_team_id: null,
+        home_goals: null,
+        away_goals: null,
+        league_id: 78,
+        season: 2024,
+        ...row
+      });
+    }
+  })(matches);
+}
+
+export function daysBefore(date, days) {
+  return new Date(Date.parse(date) - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function startLlmStub() {
+  const stub = {
+    calls: 0,
+    reply: () => ({ prediction: 'Heimsieg', probabilities: { home: 0.5, draw: 0.3, away: 0.2 }, betting_advice: { confidence: 0.6 } })
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      stub.calls += 1;
+      const content = JSON.stringify(stub.reply(JSON.parse(body || '{}')));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.url.endsWith('/api/chat') ? { message: { role: 'assistant', content } } : { response: content }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${server.address().port}`;
+      stub.close = () => new Promise((done) => server.close(done));
+      resolve(stub);
+    });
+  });
+}
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+const LATER = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+
+let env;
+let inline;
+let savePrediction;
+
+before(async () => {
+  env = await setupTestEnv();
+  inline = await import('../bot/inlineMode.js');
+  ({ savePrediction } = await import('../data/predictionStore.js'));
+
+  seedMatches(env.db, [
+    { match_id: 500, date: LATER, home_team_id: 91, away_team_id: 92, home_team: 'Inlinestadt', away_team: 'Gegnerdorf' },
+    { match_id: 501, date: KICKOFF, home_team_id: 93, away_team_id: 91, home_team: 'Auswärtshausen', away_team: 'Inlinestadt' },
+    { match_id: 502, date: '2020-01-01T15:00:00Z', home_team_id: 91, away_team_id: 92, home_team: 'Inlinestadt', away_team: 'Gegnerdorf', home_goals: 1, away_goals: 0 }
+  ]);
+  savePrediction({ match_id: 500, engine: 'poisson', prediction: 'Heimsieg', probabilities: { home: 0.55, draw: 0.25, away: 0.2 }, betting_advice: { recommendation: 'Heimsieg', confidence: 0.6 } });
+  const stale = savePrediction({ match_id: 501, engine: 'rule', prediction: 'Auswaertssieg', probabilities: { home: 0.3, draw: 0.3, away: 0.4 }, betting_advice: { confidence: 0.4 } });
+  env.db.prepare(`UPDATE predictions SET created_at = datetime('now', '-2 days') WHERE id = ?`).run(stale);
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('findInlineFixtures', () => {
+  test('lists upcoming fixtures of the team sorted by kickoff', async () => {
+    const fixtures = await inline.findInlineFixtures('inlinestadt');
+    assert.deepEqual(fixtures.map((item) => item.matchId), [501, 500]);
+    assert.equal(fixtures[0].home, 'Auswärtshausen');
+  });
+
+  test('attaches only fresh saved predictions', async () => {
+    const [first, second] = await inline.findInlineFixtures('Inlinestadt');
+    assert.equal(first.prediction, null);
+    assert.equal(second.prediction.engine, 'poisson');
+    assert.deepEqual(second.prediction.probabilities, { home: 0.55, draw: 0.25, away: 0.2 });
+  });
+
+  test('ignores queries shorter than two characters', async () => {
+    assert.deepEqual(await inline.findInlineFixtures(' i '), []);
+  });
+
+  test('answers from the local DB without asking the API', async () => {
+    const before = env.api.stats.requests;
+    const fixtures = await inline.findInlineFixtures('Gegnerdorf', { timeoutMs: 0 });
+    assert.deepEqual(fixtures.map((item) => item.matchId), [500]);
+    assert.equal(env.api.stats.requests, before);
+  });
+
+  test('asks the API only for longer queries and caches the team search', async () => {
+    const before = env.api.stats.requests;
+    assert.deepEqual(await inline.findInlineFixtures('xyz'), []);
+    assert.equal(env.api.stats.requests, before);
+
+    assert.deepEqual(await inline.findInlineFixtures('Unbekanntstadt'), []);
+    const afterLookup = env.api.stats.requests;
+    assert.ok(afterLookup > before);
+    assert.deepEqual(await inline.findInlineFixtures('unbekanntstadt'), []);
+    assert.equal(env.api.stats.requests, afterLookup);
+  });
+});
+
+describe('buildInlineResults', () => {
+  test('sends a ready card for cached predictions and a calculate button otherwise', async () => {
+    const [calc, card] = inline.buildInlineResults(await inline.findInlineFixtures('Inlinestadt'));
+
+    assert.equal(card.id, 'card:500');
+    assert.equal(card.title, 'Inlinestadt vs Gegnerdorf');
+    assert.equal(card.reply_markup, undefined);
+    assert.match(card.input_message_content.message_text, /1 55% \| X 25% \| 2 20%/);
+    assert.match(card.description, /Heimsieg \(Inlinestadt\) \| 1 55% X 25% 2 20%$/);
+
+    assert.equal(calc.id, 'calc:501');
+    assert.equal(inline.parseInlineResultId(calc.id), 501);
+    assert.equal(inline.parseInlineResultId(card.id), null);
+    assert.deepEqual(calc.reply_markup.inline_keyboard[0][0], { text: 'Prediction berechnen', callback_data: 'inline:501', hide: false });
+  });
+});
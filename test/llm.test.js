@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+
+let server;
+let llm;
+let createOpenAiProvider;
+let createOllamaProvider;
+let createStubProvider;
+const requests = [];
+const failures = { count: 0 };
+
+before(async () => {
+  process.env.LLM_RETRY_DELAY_MS = '1';
+  server = await startServer();
+  llm = await import('../ai/llm/index.js');
+  ({ createOpenAiProvider } = await import('../ai/llm/openaiCompatible.js'));
+  ({ createOllamaProvider } = await import('../ai/llm/ollama.js'));
+  ({ createStubProvider } = await import('../ai/llm/stub.js'));
+});
+
+after(async () => {
+  llm.resetLlmProviders();
+  await new Promise((done) => server.close(done));
+});
+
+describe('openai-compatible provider', () => {
+  test('posts chat messages and returns the message content', async () => {
+    const provider = createOpenAiProvider({ baseUrl: `${server.url}/v1/`, apiKey: 'geheim', model: 'qwen', jsonMode: true, retries: 0 });
+    const text = await provider.complete({ prompt: 'Analyse', system: 'Nur JSON', options: { temperature: 0.2 } });
+    const last = requests.at(-1);
+
+    assert.equal(provider.engine, 'openai:qwen');
+    assert.equal(text, '{"prediction":"Heimsieg"}');
+    assert.equal(last.url, '/v1/chat/completions');
+    assert.equal(last.headers.authorization, 'Bearer geheim');
+    assert.deepEqual(last.body.messages, [{ role: 'system', content: 'Nur JSON' }, { role: 'user', content: 'Analyse' }]);
+    assert.equal(last.body.temperature, 0.2);
+    assert.deepEqual(last.body.response_format, { type: 'json_object' });
+  });
+
+  test('retries server errors and gives up after the configured attempts', async () => {
+    const provider = createOpenAiProvider({ baseUrl: server.url, model: 'qwen', retries: 2 });
+    failures.count = 2;
+    assert.equal(await provider.complete({ prompt: 'x' }), '{"prediction":"Heimsieg"}');
+
+    failures.count = 5;
+    await assert.rejects(provider.complete({ prompt: 'x' }), /500/);
+    assert.equal(failures.count, 2);
+    failures.count = 0;
+  });
+
+  test('is disabled without a base URL', () => {
+    assert.equal(createOpenAiProvider({ baseUrl: null }).enabled, false);
+  });
+});
+
+describe('ollama provider', () => {
+  test('uses /api/chat in chat mode and maps max_tokens to num_predict', async () => {
+    const provider = createOllamaProvider({ host: server.url, model: 'gemma', mode: 'chat', options: {} });
+    const text = await provider.complete({ prompt: 'Analyse', options: { max_tokens: 300 } });
+    const last = requests.at(-1);
+
+    assert.equal(text, '{"prediction":"Chat"}');
+    assert.equal(last.url, '/api/chat');
+    assert.equal(last.body.format, 'json');
+    assert.equal(last.body.options.num_predict, 300);
+    assert.equal(last.body.options.max_tokens, undefined);
+  });
+
+  test('uses /api/generate by default', async () => {
+    const provider = createOllamaProvider({ host: server.url, model: 'gemma', mode: 'generate', options: {} });
+    assert.equal(await provider.complete({ prompt: 'Analyse' }), '{"prediction":"Generate"}');
+    assert.equal(requests.at(-1).url, '/api/generate');
+  });
+
+  test('falls back to /api/generate when the chat request fails', async () => {
+    const provider = createOllamaProvider({ host: server.url, model: 'gemma', mode: 'chat', options: {} });
+    failures.count = 1;
+    assert.equal(await provider.complete({ prompt: 'Analyse', system: 'Nur JSON' }), '{"prediction":"Generate"}');
+    assert.deepEqual(requests.slice(-2).map((item) => item.url), ['/api/chat', '/api/generate']);
+    assert.equal(requests.at(-1).body.system, 'Nur JSON');
+  });
+
+  test('prefers the model and options from the call over the configured ones', async () => {
+    const open = createOllamaProvider({ host: server.url, model: null, options: {} });
+    assert.equal(open.engineFor({ options: { model: 'qwen3:8b' } }), 'ollama:qwen3:8b');
+    await open.complete({ prompt: 'x', options: { model: 'qwen3:8b' } });
+    assert.equal(requests.at(-1).body.model, 'qwen3:8b');
+    assert.equal(requests.at(-1).body.options.model, undefined);
+    assert.equal(open.engine, 'ollama:gemma3:27b');
+
+    const configured = createOllamaProvider({ host: server.url, model: 'gemma', options: { temperature: 0.3, max_tokens: 500, top_p: 0.9 } });
+    assert.equal(configured.engine, 'ollama:gemma');
+    assert.equal(configured.engineFor({ options: { model: 'qwen3:8b' } }), 'ollama:qwen3:8b');
+    await configured.complete({ prompt: 'x', options: { model: 'qwen3:8b', temperature: 0.02, max_tokens: 700 } });
+    assert.equal(requests.at(-1).body.model, 'qwen3:8b');
+    const { temperature, top_p: topP, num_predict: numPredict } = requests.at(-1).body.options;
+    assert.deepEqual({ temperature, topP, numPredict }, { temperature: 0.02, topP: 0.9, numPredict: 700 });
+    assert.equal(createOllamaProvider({ model: '' }).enabled, false);
+  });
+});
+
+describe('stub provider', () => {
+  test('answers deterministically per prompt', async () => {
+    const provider = createStubProvider({ response: null });
+    const first = JSON.parse(await provider.complete({ prompt: 'Bayern - Dortmund' }));
+    const again = JSON.parse(await provider.complete({ prompt: 'Bayern - Dortmund' }));
+
+    assert.deepEqual(first, again);
+    const sum = first.probabilities.home + first.probabilities.draw + first.probabilities.away;
+    assert.ok(Math.abs(sum - 1) < 0.02);
+  });
+
+  test('prefers a registered responder', async () => {
+    llm.setStubResponder(({ prompt }) => ({ echo: prompt }));
+    assert.equal(await createStubProvider().complete({ prompt: 'hallo' }), '{"echo":"hallo"}');
+    llm.setStubResponder(null);
+  });
+});
+
+describe('completeWithProviders', () => {
+  test('follows LLM_PROVIDERS and falls through on errors and unusable answers', async () => {
+    process.env.LLM_PROVIDERS = 'openai, ollama, stub';
+    process.env.OPENAI_BASE_URL = 'http://127.0.0.1:1';
+    process.env.OPENAI_RETRIES = '0';
+    process.env.OLLAMA_HOST = server.url;
+    process.env.OLLAMA_MODEL = 'gemma';
+    llm.resetLlmProviders();
+
+    assert.deepEqual(llm.describeLlmProviders().map((item) => item.id), ['openai', 'ollama', 'stub']);
+
+    const { result, provider, errors } = await llm.completeWithProviders({ prompt: 'x' }, (text) => {
+      const parsed = JSON.parse(text);
+      return parsed.probabilities ? parsed : null;
+    });
+
+    assert.equal(provider.engine, 'stub');
+    assert.ok(result.probabilities);
+    assert.equal(errors.length, 2);
+    assert.match(errors[1], /^ollama:gemma: unbrauchbare Antwort$/);
+  });
+
+  test('merges per-provider options into the request', async () => {
+    process.env.LLM_PROVIDERS = 'llama';
+    process.env.LLAMA_SERVER_URL = `${server.url}/llama`;
+    llm.resetLlmProviders();
+
+    const calls = [];
+    const { provider } = await llm.completeWithProviders(
+      { prompt: 'x', system: 'Nur JSON', options: { max_tokens: 700 }, providerOptions: { llama: { stop: ['\n\n'] }, ollama: { model: 'qwen3:8b' } } },
+      (text, current, call) => { calls.push(call); return text; }
+    );
+    assert.equal(provider.engine, 'llama');
+    assert.deepEqual(requests.at(-1).body, { prompt: 'Nur JSON\n\nx', maxTokens: 700, temperature: 0.08, stop: ['\n\n'] });
+    assert.equal(calls[0].system, 'Nur JSON');
+    assert.deepEqual(calls[0].options, { max_tokens: 700, stop: ['\n\n'] });
+    delete process.env.LLAMA_SERVER_URL;
+  });
+
+  test('ignores unknown provider ids', () => {
+    process.env.LLM_PROVIDERS = 'gpt9,stub';
+    llm.resetLlmProviders();
+    assert.deepEqual(llm.getLlmProviders().map((item) => item.id), ['stub']);
+  });
+});
+
+function startServer() {
+  const instance = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') });
+      res.writeHead(failures.count > 0 ? 500 : 200, { 'Content-Type': 'application/json' });
+      if (failures.count > 0) {
+        failures.count -= 1;
+        res.end(JSON.stringify({ error: 'kaputt' }));
+        return;
+      }
+      if (req.url.startsWith('/v1/')) res.end(JSON.stringify({ choices: [{ message: { content: '{"prediction":"Heimsieg"}' } }] }));
+      else if (req.url === '/api/chat') res.end(JSON.stringify({ message: { content: '{"prediction":"Chat"}' } }));
+      else res.end(JSON.stringify({ response: '{"prediction":"Generate"}' }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    instance.listen(0, '127.0.0.1', () => {
+      instance.url = `http://127.0.0.1:${instance.address().port}`;
+      resolve(instance);
+    });
+  });
+}
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { daysBefore, seedMatches, setupTestEnv } from './helpers.js';
+
+const TODAY = new Date().toISOString();
+
+let env;
+let predictTeamMatchup;
+
+before(async () => {
+  env = await setupTestEnv();
+  ({ predictTeamMatchup } = await import('../ai/matchupPredictorSafe.js'));
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('predictTeamMatchup (safe)', () => {
+  test('rejects teams without id', async () => {
+    assert.deepEqual(await predictTeamMatchup({ name: 'Ohne ID' }, { id: 2, name: 'Zwei' }), { error: 'Ungueltige Teams fuer manuelles Matchup' });
+  });
+
+  test('skips the LLM when there is not enough history', async () => {
+    seedMatches(env.db, [
+      { match_id: 200, date: daysBefore(TODAY, 10), home_team_id: 31, away_team_id: 32, home_team: 'Wenig', away_team: 'Daten', home_goals: 1, away_goals: 0 }
+    ]);
+    const calls = env.llm.calls;
+
+    const result = await predictTeamMatchup({ id: 31, name: 'Wenig' }, { id: 32, name: 'Daten' });
+
+    assert.equal(result.engine, 'insufficient-data-guard');
+    assert.equal(result.prediction, 'Keine Prognose');
+    assert.equal(result.betting_advice.confidence, 0);
+    assert.equal(result.data_quality.diagnostics.totalGames, 2);
+    assert.equal(result.data_quality.diagnostics.hasUsableSamples, false);
+    assert.equal(env.llm.calls, calls);
+    assert.ok(env.api.stats.requests > 0, 'history is fetched from the mock API');
+  });
+
+  test('does not save guarded predictions', () => {
+    const { count } = env.db.prepare(`SELECT COUNT(*) AS count FROM predictions WHERE engine = 'insufficient-data-guard'`).get();
+    assert.equal(count, 0);
+  });
+
+  test('asks the LLM once enough history exists', async () => {
+    const games = [];
+    for (let index = 0; index < 4; index += 1) {
+      games.push({ match_id: 210 + index, date: daysBefore(TODAY, 10 + index * 7), home_team_id: 41, away_team_id: 50 + index, home_team: 'Viel', away_team: `Gegner ${index}`, home_goals: 2, away_goals: 1 });
+      games.push({ match_id: 220 + index, date: daysBefore(TODAY, 11 + index * 7), home_team_id: 60 + index, away_team_id: 42, home_team: `Gast ${index}`, away_team: 'Daten', home_goals: 1, away_goals: 1 });
+    }
+    seedMatches(env.db, games);
+    env.llm.reply = () => ({
+      prediction: 'Heimsieg',
+      probabilities: { home: 0.55, draw: 0.25, away: 0.2 },
+      explanation: 'Stub-Analyse',
+      betting_advice: { recommendation: 'Heimsieg', confidence: 0.6, reasoning: 'Stub' }
+    });
+    const calls = env.llm.calls;
+
+    const result = await predictTeamMatchup({ id: 41, name: 'Viel' }, { id: 42, name: 'Daten' });
+
+    assert.equal(result.engine, 'ollama:stub-model');
+    assert.equal(result.prediction, 'Heimsieg');
+    assert.deepEqual(result.probabilities, { home: 0.55, draw: 0.25, away: 0.2 });
+    assert.ok(env.llm.calls > calls);
+  });
+});
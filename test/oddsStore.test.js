@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+let env;
+let store;
+
+before(async () => {
+  env = await setupTestEnv();
+  store = await import('../data/oddsStore.js');
+  seedMatches(env.db, [
+    { match_id: 901, date: KICKOFF, home_team: 'Snapshot', away_team: 'Neuquote' },
+    { match_id: 902, date: KICKOFF, home_team: 'Ohnequote', away_team: 'Neuquote' }
+  ]);
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('getMatchWinnerOdds', () => {
+  test('returns the 1X2 consensus with the best price per outcome', () => {
+    for (const [bookmaker, home] of [['Alt', 1.8], ['Neu', 2]]) {
+      store.saveOddsSnapshot(901, [
+        { bookmaker, market: '1x2', outcome: 'home', odd: home },
+        { bookmaker, market: '1x2', outcome: 'draw', odd: 3.5 },
+        { bookmaker, market: '1x2', outcome: 'away', odd: 4.2 }
+      ]);
+    }
+
+    const odds = store.getMatchWinnerOdds(901);
+    assert.equal(odds.home, 1.9);
+    assert.equal(odds.draw, 3.5);
+    assert.deepEqual(odds.best.home, { odd: 2, bookmaker: 'Neu' });
+  });
+
+  test('returns null without 1X2 snapshots', () => {
+    assert.equal(store.getMatchWinnerOdds(902), null);
+  });
+});
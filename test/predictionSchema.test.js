@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { buildRepairPrompt, parseJsonObject, validatePrediction } from '../ai/predictionSchema.js';
+
+const VALID = {
+  match_id: 12,
+  prediction: 'Heimsieg',
+  probabilities: { home: 0.5, draw: 0.3, away: 0.2 },
+  explanation: 'Heim in Form.',
+  betting_advice: { recommendation: 'Heimsieg', confidence: 0.6, reasoning: 'Form' }
+};
+
+describe('parseJsonObject', () => {
+  test('reads the first balanced object and ignores braces inside strings', () => {
+    assert.deepEqual(parseJsonObject('Antwort: {"text":"a { b }","n":{"x":1}} Rest }').value, { text: 'a { b }', n: { x: 1 } });
+  });
+
+  test('reports why nothing could be parsed', () => {
+    assert.match(parseJsonObject('nur Text').error, /kein JSON-Objekt/);
+    assert.match(parseJsonObject('{"a": 1').error, /nicht abgeschlossen/);
+    assert.match(parseJsonObject('{"a": 1,}').error, /ungueltiges JSON/);
+  });
+});
+
+describe('validatePrediction', () => {
+  test('accepts a complete, consistent payload', () => {
+    assert.deepEqual(validatePrediction(VALID, { matchId: 12 }), { valid: true, errors: [] });
+  });
+
+  test('accepts percentages and English labels', () => {
+    const payload = { ...VALID, prediction: 'away', probabilities: { home: '20%', draw: 25, away: 55 }, betting_advice: { ...VALID.betting_advice, confidence: '58%' } };
+    assert.equal(validatePrediction(payload).valid, true);
+  });
+
+  test('flags a prediction that contradicts the probabilities', () => {
+    const { valid, errors } = validatePrediction({ ...VALID, probabilities: { home: 0.2, draw: 0.25, away: 0.55 } });
+    assert.equal(valid, false);
+    assert.deepEqual(errors, ['prediction Heimsieg widerspricht probabilities: away ist mit 55% am hoechsten, home nur 20%']);
+  });
+
+  test('tolerates near ties between the top outcomes', () => {
+    assert.equal(validatePrediction({ ...VALID, probabilities: { home: 0.395, draw: 0.2, away: 0.405 } }).valid, true);
+  });
+
+  test('flags probabilities that do not sum to one', () => {
+    const { errors } = validatePrediction({ ...VALID, probabilities: { home: 0.6, draw: 0.3, away: 0.3 } });
+    assert.deepEqual(errors, ['probabilities ergeben zusammen 120% statt 100%']);
+  });
+
+  test('lists every missing or malformed field', () => {
+    const { errors } = validatePrediction({ match_id: 99, prediction: 'Keine klare Wette', probabilities: { home: 'viel', draw: 0.3 }, betting_advice: { confidence: 150 } }, { matchId: 12 });
+    assert.deepEqual(errors, [
+      'match_id 99 passt nicht zu 12',
+      'prediction "Keine klare Wette" ist keins von Heimsieg, Unentschieden, Auswaertssieg',
+      'probabilities.home ist keine Zahl',
+      'probabilities.away fehlt',
+      'betting_advice.confidence muss zwischen 0 und 1 liegen',
+      'betting_advice.recommendation fehlt',
+      'explanation fehlt'
+    ]);
+  });
+
+  test('rejects non-objects', () => {
+    assert.deepEqual(validatePrediction([VALID]), { valid: false, errors: ['Antwort ist kein JSON-Objekt'] });
+    assert.equal(validatePrediction(null).valid, false);
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  test('appends the rejected answer and the errors to the original prompt', () => {
+    const prompt = buildRepairPrompt('PROMPT', '{"prediction":"x"}', ['prediction fehlt', 'explanation fehlt']);
+    assert.ok(prompt.startsWith('PROMPT\n'));
+    assert.ok(prompt.includes('{"prediction":"x"}'));
+    assert.ok(prompt.includes('- prediction fehlt\n- explanation fehlt'));
+  });
+});
@@ -0,0 +1,198 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { daysBefore, seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+const VALID = {
+  prediction: 'Heimsieg',
+  probabilities: { home: 0.5, draw: 0.3, away: 0.2 },
+  explanation: 'Stub-Analyse',
+  betting_advice: { recommendation: 'Heimsieg', confidence: 0.6, reasoning: 'Stub' }
+};
+const CONTRADICTORY = { ...VALID, prediction: 'Heimsieg', probabilities: { home: 0.2, draw: 0.3, away: 0.5 } };
+
+let env;
+let extractJson;
+let normalizePrediction;
+let normalizeProbabilities;
+let predictMatch;
+let getPredictionDebug;
+
+before(async () => {
+  env = await setupTestEnv();
+  process.env.PREDICTION_ENGINE = 'llm';
+  ({ extractJson, getPredictionDebug, normalizePrediction, normalizeProbabilities, predictMatch } = await import('../ai/predictorV3.js'));
+  seedMatches(env.db, [
+    { match_id: 300, date: daysBefore(KICKOFF, 14), home_team_id: 71, away_team_id: 72, home_team: 'Nord', away_team: 'Sued', home_goals: 2, away_goals: 1 },
+    { match_id: 301, date: KICKOFF, home_team_id: 71, away_team_id: 72, home_team: 'Nord', away_team: 'Sued' },
+    { match_id: 302, date: KICKOFF, home_team_id: 73, away_team_id: 74, home_team: 'Ost', away_team: 'West' }
+  ]);
+});
+
+after(async () => {
+  await env.close();
+});
+
+function prepared(diagnostics = {}) {
+  return { match: { match_id: 4711 }, diagnostics: { hasUsableSamples: true, localQualityLabel: 'gut', ...diagnostics } };
+}
+
+describe('normalizeProbabilities', () => {
+  test('scales shares to a sum of one', () => {
+    assert.deepEqual(normalizeProbabilities({ home: 0.6, draw: 0.3, away: 0.3 }), { home: 0.5, draw: 0.25, away: 0.25 });
+  });
+
+  test('accepts percentages and percent strings', () => {
+    assert.deepEqual(normalizeProbabilities({ home: '50%', draw: 30, away: '20' }), { home: 0.5, draw: 0.3, away: 0.2 });
+  });
+
+  test('drops negative and invalid values', () => {
+    assert.deepEqual(normalizeProbabilities({ home: -0.2, draw: 'abc', away: 0.4 }), { home: 0, draw: 0, away: 1 });
+  });
+
+  test('falls back to an even split without usable values', () => {
+    assert.deepEqual(normalizeProbabilities({}), { home: 0.34, draw: 0.33, away: 0.33 });
+  });
+});
+
+describe('extractJson', () => {
+  test('parses the first JSON object inside surrounding text', () => {
+    assert.deepEqual(extractJson('Hier ist die Analyse:\n```json\n{"prediction":"Heimsieg","probabilities":{"home":0.5}}\n```'), {
+      prediction: 'Heimsieg',
+      probabilities: { home: 0.5 }
+    });
+  });
+
+  test('stops at the end of the first object', () => {
+    assert.deepEqual(extractJson('{"a":{"b":"}"}} und danach {"c":1}'), { a: { b: '}' } });
+  });
+
+  test('returns null for missing or broken JSON', () => {
+    assert.equal(extractJson('keine Daten'), null);
+    assert.equal(extractJson('{"prediction": "Heimsieg",}'), null);
+    assert.equal(extractJson(null), null);
+  });
+});
+
+describe('normalizePrediction', () => {
+  test('returns null without probabilities', () => {
+    assert.equal(normalizePrediction({ prediction: 'Heimsieg' }, prepared()), null);
+    assert.equal(normalizePrediction(null, prepared()), null);
+  });
+
+  test('normalizes labels, probabilities and confidence', () => {
+    const result = normalizePrediction({
+      prediction: 'away',
+      probabilities: { home: 20, draw: 20, away: 60 },
+      betting_advice: { confidence: '72%', recommendation: 'Auswaertssieg', reasoning: 'Gast in Form' }
+    }, prepared());
+
+    assert.equal(result.match_id, 4711);
+    assert.equal(result.prediction, 'Auswaertssieg');
+    assert.deepEqual(result.probabilities, { home: 0.2, draw: 0.2, away: 0.6 });
+    assert.equal(result.betting_advice.confidence, 0.72);
+    assert.equal(result.betting_advice.recommendation, 'Auswaertssieg');
+    assert.equal(result.betting_advice.reasoning, 'Gast in Form');
+  });
+
+  test('derives the prediction from the probabilities when missing', () => {
+    const result = normalizePrediction({ probabilities: { home: 0.2, draw: 0.5, away: 0.3 } }, prepared());
+    assert.equal(result.prediction, 'Unentschieden');
+    assert.equal(result.betting_advice.confidence, 0.35);
+    assert.equal(result.betting_advice.recommendation, 'Keine klare Wette');
+  });
+
+  test('caps confidence when the data basis is thin', () => {
+    const payload = { prediction: 'Heimsieg', probabilities: { home: 0.7, draw: 0.2, away: 0.1 }, betting_advice: { confidence: 0.9 } };
+    assert.equal(normalizePrediction(payload, prepared({ hasUsableSamples: false })).betting_advice.confidence, 0.45);
+    assert.equal(normalizePrediction(payload, prepared({ localQualityLabel: 'schwach' })).betting_advice.confidence, 0.58);
+
+    const weak = normalizePrediction(payload, prepared({ hasUsableSamples: false }));
+    assert.equal(weak.betting_advice.recommendation, 'Keine klare Wette');
+  });
+
+  test('truncates long explanations', () => {
+    const result = normalizePrediction({ probabilities: { home: 1 }, explanation: 'x'.repeat(5000) }, prepared());
+    assert.equal(result.explanation.length, 1200);
+  });
+});
+
+describe('predictMatch LLM validation', () => {
+  test('accepts a valid answer without repair', async () => {
+    env.llm.reply = () => VALID;
+    const calls = env.llm.calls;
+
+    const result = await predictMatch(301);
+
+    assert.equal(result.engine, 'ollama:stub-model');
+    assert.equal(result.data_quality.llm_validation.status, 'valid');
+    assert.equal(env.llm.calls, calls + 1);
+  });
+
+  test('re-prompts once with the validation errors and uses the repaired answer', async () => {
+    const prompts = [];
+    env.llm.reply = (body) => {
+      prompts.push(body.prompt);
+      return prompts.length === 1 ? CONTRADICTORY : VALID;
+    };
+
+    const result = await predictMatch(301);
+
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /Deine letzte Antwort war ungueltig/);
+    assert.match(prompts[1], /prediction Heimsieg widerspricht probabilities/);
+    assert.equal(result.engine, 'ollama:stub-model');
+    assert.equal(result.prediction, 'Heimsieg');
+    assert.equal(result.data_quality.llm_validation.status, 'repaired');
+    assert.deepEqual(result.data_quality.llm_validation.attempts.map((attempt) => attempt.stage), ['initial', 'repair']);
+  });
+
+  test('sends the repair with the same model and options as the first attempt', async () => {
+    const bodies = [];
+    env.llm.reply = (body) => {
+      bodies.push(body);
+      return bodies.length === 1 ? CONTRADICTORY : VALID;
+    };
+
+    await predictMatch(301);
+
+    const { prompt: _first, ...initial } = bodies[0];
+    const { prompt: _repair, ...repair } = bodies[1];
+    assert.deepEqual(repair, initial);
+  });
+
+  test('falls back to the rule model when the repair fails as well', async () => {
+    env.llm.reply = () => ({ prediction: 'Heimsieg', probabilities: { home: 0.5 } });
+    const calls = env.llm.calls;
+
+    const result = await predictMatch(302);
+
+    assert.equal(env.llm.calls, calls + 2);
+    assert.equal(result.engine, 'rule-based');
+    assert.equal(result.data_quality.llm_validation.status, 'invalid');
+    assert.match(result.data_quality.ai_error, /probabilities\.draw fehlt/);
+  });
+
+  test('exposes the last validation in the debug data', async () => {
+    const debug = await getPredictionDebug(302);
+    assert.equal(debug.llmValidation.status, 'invalid');
+    assert.equal(debug.llmValidation.prediction_engine, 'rule-based');
+    assert.ok(debug.llmValidation.attempts.every((attempt) => attempt.errors.length > 0));
+  });
+});
+
+describe('predictMatch storage', () => {
+  test('keeps one open row per match and engine', () => {
+    const rows = env.db.prepare('SELECT engine, status FROM predictions WHERE match_id = 301').all();
+    assert.deepEqual(rows.map((row) => ({ ...row })), [{ engine: 'ollama:stub-model', status: 'open' }]);
+  });
+
+  test('does not store predictions for matches that already started', async () => {
+    env.llm.reply = () => VALID;
+    const result = await predictMatch(300);
+
+    assert.equal(result.engine, 'ollama:stub-model');
+    assert.equal(env.db.prepare('SELECT COUNT(*) AS n FROM predictions WHERE match_id = 300').get().n, 0);
+  });
+});
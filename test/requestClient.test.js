@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, mock, test } from 'node:test';
+
+import { setupTestEnv } from './helpers.js';
+
+const requests = [];
+
+let env;
+let server;
+let client;
+let cooldown;
+
+before(async () => {
+  process.env.API_USER_MAX_WAIT_MS = String(5 * 60 * 1000);
+  env = await setupTestEnv();
+  server = await startServer();
+  client = await import('../api/requestClient.js');
+  cooldown = await import('../api/apiCooldown.js');
+});
+
+after(async () => {
+  delete process.env.API_USER_MAX_WAIT_MS;
+  await new Promise((resolve) => server.close(resolve));
+  await env.close();
+});
+
+describe('requestApiSports', () => {
+  test('sends key and host headers and strips keys from the fetch log', async () => {
+    const payload = await client.requestApiSports(`${server.url}/status?season=2024&key=geheim&api_key=geheim`, { apiKey: 'schluessel', host: 'log.test', label: 'log' });
+    assert.deepEqual(payload.response, [{ id: 1 }]);
+
+    const { headers } = requests.at(-1);
+    assert.equal(headers['x-apisports-key'], 'schluessel');
+    assert.equal(headers['x-rapidapi-host'], 'log.test');
+
+    const row = env.db.prepare(`SELECT ok, status, response_count, url FROM api_fetch_log WHERE label = 'log'`).get();
+    assert.deepEqual({ ok: row.ok, status: row.status, count: row.response_count }, { ok: 1, status: 200, count: 1 });
+    assert.doesNotMatch(row.url, /geheim|key=/);
+    assert.match(row.url, /\/status\?season=2024$/);
+  });
+
+  test('keeps the daily reserve for user requests and stops at an exhausted quota', async () => {
+    await client.requestApiSports(`${server.url}/quota?remaining=5`, { host: 'quota.test', label: 'quota' });
+    const count = requests.length;
+
+    await assert.rejects(client.runInBackground(() => client.requestApiSports(`${server.url}/quota?remaining=5`, { host: 'quota.test', label: 'quota' })), /Restkontingent \(5\) fuer Nutzeranfragen reserviert/);
+    assert.equal(requests.length, count);
+
+    await client.requestApiSports(`${server.url}/quota?remaining=0`, { host: 'quota.test', label: 'quota' });
+    await assert.rejects(client.requestApiSports(`${server.url}/quota?remaining=0`, { host: 'quota.test', label: 'quota' }), /Tageskontingent erschoepft/);
+    assert.equal(requests.length, count + 1);
+
+    const state = client.getQuotaState().hosts.find((item) => item.host === 'quota.test');
+    assert.deepEqual({ limit: state.daily.limit, remaining: state.daily.remaining }, { limit: 100, remaining: 0 });
+    assert.deepEqual(state.requests, { user: 2, background: 0 });
+  });
+
+  test('serves queued user requests before background requests at the minute limit', async () => {
+    await client.requestApiSports(`${server.url}/minute?step=first`, { host: 'minute.test', label: 'minute' });
+
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+    try {
+      const background = client.runInBackground(() => client.requestApiSports(`${server.url}/minute?step=background`, { host: 'minute.test', label: 'minute' }));
+      const user = client.requestApiSports(`${server.url}/minute?step=user`, { host: 'minute.test', label: 'minute' });
+      const queued = client.getQuotaState().hosts.find((item) => item.host === 'minute.test');
+      assert.deepEqual(queued.queued, { user: 1, background: 1 });
+      assert.equal(queued.minute.remaining, 0);
+
+      mock.timers.tick(60 * 1000);
+      await Promise.race([user, background]);
+      assert.equal(requests.at(-1).url, '/minute?step=user');
+
+      mock.timers.tick(60 * 1000);
+      await background;
+      assert.equal(requests.at(-1).url, '/minute?step=background');
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  test('blocks the host and starts the API cooldown after HTTP 429', async () => {
+    try {
+      await assert.rejects(client.requestApiSports(`${server.url}/limited`, { host: 'limited.test', label: 'limited' }), /limited: HTTP 429/);
+
+      assert.equal(cooldown.getApiCooldownState().active, true);
+      assert.ok(client.getQuotaState().hosts.find((item) => item.host === 'limited.test').blocked_ms > 0);
+
+      const count = requests.length;
+      await assert.rejects(client.requestApiSports(`${server.url}/status`, { host: 'other.test', label: 'other' }), /other: API-Cooldown aktiv .*limited: HTTP 429/);
+      assert.equal(requests.length, count);
+    } finally {
+      cooldown.clearApiCooldown();
+    }
+  });
+});
+
+function startServer() {
+  const instance = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/limited') {
+      res.writeHead(429, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errors: { rateLimit: 'Too many requests' } }));
+      return;
+    }
+
+    const headers = { 'Content-Type': 'application/json', 'x-ratelimit-limit': url.pathname === '/minute' ? '1' : '10' };
+    if (url.searchParams.has('remaining')) {
+      headers['x-ratelimit-requests-limit'] = '100';
+      headers['x-ratelimit-requests-remaining'] = url.searchParams.get('remaining');
+    }
+    res.writeHead(200, headers);
+    res.end(JSON.stringify({ errors: [], results: 1, response: [{ id: 1 }] }));
+  });
+
+  return new Promise((resolve) => {
+    instance.listen(0, '127.0.0.1', () => {
+      instance.url = `http://127.0.0.1:${instance.address().port}`;
+      resolve(instance);
+    });
+  });
+}
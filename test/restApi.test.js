@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+
+import { daysBefore, seedMatches, setupTestEnv } from './helpers.js';
+
+const KICKOFF = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+const KEY = 'test-key';
+
+let env;
+let server;
+let baseUrl;
+let createRestHandler;
+
+before(async () => {
+  env = await setupTestEnv();
+  ({ createRestHandler } = await import('../api/restApi.js'));
+  server = http.createServer(createRestHandler({ apiKeys: [KEY, 'zweiter-key'] }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  seedMatches(env.db, [
+    { match_id: 400, date: daysBefore(KICKOFF, 7), home_team_id: 81, away_team_id: 82, home_team: 'Rot', away_team: 'Blau', home_goals: 1, away_goals: 1 },
+    { match_id: 401, date: KICKOFF, home_team_id: 81, away_team_id: 82, home_team: 'Rot', away_team: 'Blau' }
+  ]);
+});
+
+after(async () => {
+  await new Promise((done) => server.close(done));
+  await env.close();
+});
+
+function call(path, { method = 'GET', key = KEY, body } = {}) {
+  const headers = key ? { 'X-API-Key': key } : {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  return fetch(`${baseUrl}${path}`, { method, headers, body: typeof body === 'string' ? body : body && JSON.stringify(body) })
+    .then(async (res) => ({ status: res.status, body: await res.json() }));
+}
+
+describe('REST API auth and errors', () => {
+  test('serves /health without a key', async () => {
+    const { status, body } = await call('/health', { key: null });
+    assert.equal(status, 200);
+    assert.equal(body.db.ok, true);
+    assert.equal(body.api.key, true);
+    assert.deepEqual(body.llm.map((item) => item.id), ['ollama']);
+  });
+
+  test('rejects missing and wrong keys', async () => {
+    assert.deepEqual(await call('/matches', { key: null }), { status: 401, body: { error: 'API-Key fehlt (X-API-Key oder Authorization: Bearer)', status: 401 } });
+    assert.equal((await call('/matches', { key: 'falsch' })).status, 403);
+  });
+
+  test('accepts a bearer token', async () => {
+    const res = await fetch(`${baseUrl}/debug/401`, { headers: { Authorization: 'Bearer zweiter-key' } });
+    assert.equal(res.status, 200);
+  });
+
+  test('answers unknown paths and methods with JSON', async () => {
+    assert.deepEqual(await call('/nope'), { status: 404, body: { error: 'Unbekannter Pfad /nope', status: 404 } });
+    assert.equal((await call('/predict/401')).status, 405);
+  });
+
+  test('answers oversized bodies with 413 before closing the connection', async () => {
+    const res = await call('/matchup', { method: 'POST', body: JSON.stringify({ pad: 'x'.repeat(200 * 1024) }) });
+    assert.deepEqual(res, { status: 413, body: { error: 'Body groesser als 65536 Bytes', status: 413 } });
+    assert.equal((await call('/nope')).status, 404);
+  });
+
+  test('is disabled without configured keys', async () => {
+    const closed = http.createServer(createRestHandler({ apiKeys: [] }));
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const res = await fetch(`http://127.0.0.1:${closed.address().port}/matches`, { headers: { 'X-API-Key': KEY } });
+    assert.equal(res.status, 503);
+    await new Promise((done) => closed.close(done));
+  });
+});
+
+describe('REST API routes', () => {
+  test('validates match list parameters', async () => {
+    assert.equal((await call('/matches?mode=gestern')).status, 400);
+    assert.equal((await call('/matches?range=morgen')).status, 400);
+    assert.equal((await call('/matches?limit=0')).status, 400);
+  });
+
+  test('lists matches', async () => {
+    const { status, body } = await call('/matches?mode=upcoming&range=soon&limit=5');
+    assert.equal(status, 200);
+    assert.equal(body.mode, 'upcoming');
+    assert.equal(body.count, body.matches.length);
+  });
+
+  test('requires a search term for teams', async () => {
+    assert.equal((await call('/teams/search?q=a')).status, 400);
+    const { status, body } = await call('/teams/search?q=Rot');
+    assert.equal(status, 200);
+    assert.equal(body.query, 'Rot');
+  });
+
+  test('predicts a stored match', async () => {
+    const { status, body } = await call('/predict/401', { method: 'POST' });
+    assert.equal(status, 200);
+    assert.equal(body.match_id, 401);
+    assert.equal(body.engine, 'rule-based');
+    assert.ok(body.probabilities.home > 0);
+  });
+
+  test('maps predictor errors to status codes', async () => {
+    assert.equal((await call('/predict/abc', { method: 'POST' })).status, 400);
+    assert.deepEqual(await call('/predict/987654', { method: 'POST' }), { status: 404, body: { error: 'Match nicht gefunden', status: 404 } });
+  });
+
+  test('predicts a manual matchup by team ids', async () => {
+    assert.equal((await call('/matchup', { method: 'POST', body: '{kaputt' })).status, 400);
+    assert.equal((await call('/matchup', { method: 'POST', body: { home_team_id: 81, away_team_id: 81 } })).status, 400);
+
+    const { status, body } = await call('/matchup', { method: 'POST', body: { home_team_id: 81, away_team_id: 82 } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.manual_matchup.home, { id: 81, name: 'Rot', country: null });
+    assert.equal(body.manual_matchup.away.name, 'Blau');
+  });
+
+  test('returns debug data', async () => {
+    const { status, body } = await call('/debug/401');
+    assert.equal(status, 200);
+    assert.equal(body.match.match_id, 401);
+    assert.ok(Array.isArray(body.llm));
+  });
+});
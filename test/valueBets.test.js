@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { seedMatches, setupTestEnv } from './helpers.js';
+
+let env;
+let valueBets;
+
+before(async () => {
+  env = await setupTestEnv();
+  valueBets = await import('../ai/valueBets.js');
+  const { savePrediction } = await import('../data/predictionStore.js');
+  const { saveOddsSnapshot } = await import('../data/oddsStore.js');
+
+  seedMatches(env.db, [
+    { match_id: 950, date: '2026-07-14T21:30:00Z', home_team: 'Vorabend', away_team: 'Gast' },
+    { match_id: 951, date: '2026-07-14T22:30:00Z', home_team: 'Mitternacht', away_team: 'Gast' },
+    { match_id: 952, date: '2026-07-15T22:30:00Z', home_team: 'Folgetag', away_team: 'Gast' }
+  ]);
+  for (const matchId of [950, 951, 952]) {
+    savePrediction({ match_id: matchId, engine: 'rule', prediction: 'Heimsieg', probabilities: { home: 0.6, draw: 0.25, away: 0.15 }, betting_advice: { confidence: 0.6 } });
+    saveOddsSnapshot(matchId, [
+      { bookmaker: 'Buchmacher', market: '1x2', outcome: 'home', odd: 2.2 },
+      { bookmaker: 'Buchmacher', market: '1x2', outcome: 'draw', odd: 3.4 },
+      { bookmaker: 'Buchmacher', market: '1x2', outcome: 'away', odd: 4.5 }
+    ]);
+  }
+});
+
+after(async () => {
+  await env.close();
+});
+
+describe('findValueBets', () => {
+  test('removes the margin from the consensus odds and rates the best price', () => {
+    const result = valueBets.findValueBets(
+      { home: 0.6, draw: 0.25, away: 0.15 },
+      { home: 1.9, draw: 3.8, away: 3.8, bookmaker: 'Konsens', best: { home: { odd: 2.1, bookmaker: 'Spitze' } } }
+    );
+    const [home, draw, away] = result.outcomes;
+
+    assert.equal(result.margin, 0.0526);
+    assert.deepEqual([home.fair_probability, draw.fair_probability, away.fair_probability], [0.5, 0.25, 0.25]);
+    assert.equal(home.odd, 2.1);
+    assert.equal(home.bookmaker, 'Spitze');
+    assert.equal(home.consensus_odd, 1.9);
+    assert.equal(home.ev, 0.26);
+    assert.equal(draw.ev, -0.05);
+    assert.equal(draw.bookmaker, 'Konsens');
+    assert.equal(result.best.outcome, 'home');
+  });
+
+  test('marks nothing as value below the EV threshold and rejects incomplete odds', () => {
+    const result = valueBets.findValueBets({ home: 0.5, draw: 0.25, away: 0.25 }, { home: 2, draw: 4, away: 4 }, { minEv: 0.05 });
+    assert.equal(result.best, null);
+    assert.ok(result.outcomes.every((item) => !item.value));
+    assert.equal(valueBets.findValueBets({ home: 0.5 }, { home: 2, draw: 1, away: 4 }), null);
+  });
+});
+
+describe('kellyShare', () => {
+  test('stakes a fraction of full Kelly, capped and zero without edge', () => {
+    assert.equal(valueBets.kellyShare(0.6, 1.9), 0.0389);
+    assert.equal(valueBets.kellyShare(0.9, 3), 0.05);
+    assert.equal(valueBets.kellyShare(0.3, 2), 0);
+    assert.equal(valueBets.kellyShare(0.6, 1), 0);
+  });
+});
+
+describe('getTodayValueBets', () => {
+  test('groups matches by the API_TIMEZONE day instead of the UTC day', () => {
+    const bets = valueBets.getTodayValueBets({ date: '2026-07-15' });
+    assert.deepEqual([...new Set(bets.map((bet) => bet.match_id))], [951]);
+    assert.equal(bets[0].outcome, 'home');
+  });
+});